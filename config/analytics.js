@@ -0,0 +1,22 @@
+/**
+ * Listing analytics settings
+ * All values can be overridden through environment variables
+ */
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Repeat views/call clicks from the same visitor inside this window count once
+  dedupeWindowMinutes: toInt(process.env.ANALYTICS_DEDUPE_WINDOW_MINUTES, 30),
+
+  // Most anonymous visitors (device IDs / user agents) counted per listing from one IP in a window (shared Wi-Fi / mobile NAT)
+  maxDevicesPerNetwork: toInt(process.env.ANALYTICS_MAX_DEVICES_PER_IP, 5),
+
+  // Raw events are kept this long; daily rollups are kept forever
+  eventRetentionDays: toInt(process.env.ANALYTICS_EVENT_RETENTION_DAYS, 180),
+
+  // Day boundaries for rollups (default: Nepal Time, UTC+05:45)
+  timezoneOffsetMinutes: toInt(process.env.ANALYTICS_TZ_OFFSET_MINUTES, 345)
+};
@@ -7,22 +7,33 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
+// Default transformation for listing photos
+const IMAGE_TRANSFORMATION = [
+  { width: 1200, height: 1200, crop: 'limit' },
+  { quality: 'auto:good' },
+  { fetch_format: 'auto' }
+];
+
 /**
  * Upload image to Cloudinary
  * @param {string} file - Base64 encoded image or file path
  * @param {string} folder - Cloudinary folder name
+ * @param {object} options - Upload options
+ * @param {string} options.resourceType - 'auto' (default), 'image' or 'raw' (documents)
+ * @param {boolean} options.transform - Apply the listing-photo transformation (default true)
+ * @param {string} options.type - Delivery type: 'upload' (public, default) or 'authenticated' (signed URLs only)
  * @returns {Promise<object>} Cloudinary upload result
  */
-const uploadToCloudinary = async (file, folder = 'gharbeti') => {
+const uploadToCloudinary = async (file, folder = 'gharbeti', options = {}) => {
+  const resourceType = options.resourceType || 'auto';
+
   try {
     const result = await cloudinary.uploader.upload(file, {
       folder: folder,
-      resource_type: 'auto',
-      transformation: [
-        { width: 1200, height: 1200, crop: 'limit' },
-        { quality: 'auto:good' },
-        { fetch_format: 'auto' }
-      ]
+      resource_type: resourceType,
+      type: options.type || 'upload',
+      // Documents are stored as-is
+      ...(resourceType !== 'raw' && options.transform !== false && { transformation: IMAGE_TRANSFORMATION })
     });
 
     return {
@@ -0,0 +1,38 @@
+/**
+ * Duplicate / repost detection settings
+ * All values can be overridden through environment variables
+ */
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const toFloat = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Photos whose perceptual hashes differ by at most this many bits (of 64) are the same photo
+  imageHashDistance: toInt(process.env.DUPLICATE_IMAGE_HASH_DISTANCE, 10),
+
+  // Share of photos that must match for a listing to count as a repost
+  imageMatchRatio: toFloat(process.env.DUPLICATE_IMAGE_MATCH_RATIO, 0.5),
+
+  // Title + description word overlap (0-1) that counts as "the same text"
+  textSimilarity: toFloat(process.env.DUPLICATE_TEXT_SIMILARITY, 0.6),
+
+  // Listings within this distance count as the same location
+  nearbyMeters: toInt(process.env.DUPLICATE_NEARBY_METERS, 300),
+
+  // Rents within this fraction of each other count as the same rent
+  rentTolerance: toFloat(process.env.DUPLICATE_RENT_TOLERANCE, 0.1),
+
+  // Most listings compared / matches kept per check
+  maxCandidates: 50,
+  maxMatches: 5,
+
+  // Back-fill of listings created before detection existed
+  backfillBatchSize: toInt(process.env.DUPLICATE_BACKFILL_BATCH_SIZE, 20),
+  backfillIntervalMinutes: toInt(process.env.DUPLICATE_BACKFILL_INTERVAL_MINUTES, 10)
+};
@@ -0,0 +1,28 @@
+/**
+ * Image processing settings
+ * Every uploaded photo is re-encoded into these sizes (longest side, in pixels)
+ */
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Variant name -> max width/height; images are never enlarged
+  sizes: {
+    thumbnail: toInt(process.env.IMAGE_THUMBNAIL_SIZE, 320),
+    card: toInt(process.env.IMAGE_CARD_SIZE, 800),
+    full: toInt(process.env.IMAGE_FULL_SIZE, 1600)
+  },
+
+  // 'webp' (smaller) or 'jpeg' (widest support)
+  format: process.env.IMAGE_OUTPUT_FORMAT === 'jpeg' ? 'jpeg' : 'webp',
+
+  quality: toInt(process.env.IMAGE_QUALITY, 80),
+
+  // Formats accepted after decoding (extension and MIME type are not trusted)
+  acceptedFormats: ['jpeg', 'png', 'webp', 'gif', 'heif'],
+
+  // Reject decompression bombs (width * height)
+  maxInputPixels: toInt(process.env.IMAGE_MAX_INPUT_PIXELS, 40 * 1000 * 1000)
+};
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Lease agreement template
+ * Placeholders like {{rent}} are filled from the tenancy, property and both parties.
+ * Point LEASE_TEMPLATE_PATH at a JSON file with the same shape to use your own wording.
+ *
+ * Available placeholders:
+ *   ownerName, ownerPhone, ownerAddress, tenantName, tenantPhone, tenantAddress,
+ *   propertyTitle, propertyAddress, propertyType, rent, securityDeposit,
+ *   minimumStayMonths, startDate, endDate, utilities, agreementDate
+ */
+const DEFAULT_TEMPLATE = {
+  version: 'default-1',
+  title: 'Residential Lease Agreement',
+  intro: 'This agreement is made on {{agreementDate}} between {{ownerName}} ("Owner"), of {{ownerAddress}}, and {{tenantName}} ("Tenant"), of {{tenantAddress}}.',
+  clauses: [
+    'Property. The Owner lets to the Tenant the {{propertyType}} known as "{{propertyTitle}}", located at {{propertyAddress}}.',
+    'Term. The tenancy begins on {{startDate}} and continues until {{endDate}}. The minimum stay is {{minimumStayMonths}} month(s).',
+    'Rent. The Tenant will pay {{rent}} per month, due on the same day of each month as the start date.',
+    'Security deposit. The Tenant has paid a security deposit of {{securityDeposit}}, refundable at the end of the tenancy less any amounts owed for damage or unpaid rent.',
+    'Utilities. {{utilities}}',
+    'Maintenance. The Tenant will report repairs promptly through the Gharbeti app. The Owner will carry out necessary repairs within a reasonable time.',
+    'Notice. Either party may end the tenancy after the minimum stay by giving one month\'s written notice.'
+  ],
+  footer: 'Both parties accepted this agreement electronically in the Gharbeti app. Acceptance timestamps are recorded with the agreement.'
+};
+
+/**
+ * Load the lease template (custom file if configured, otherwise the default)
+ * @returns {object} Template { version, title, intro, clauses, footer }
+ */
+const getTemplate = () => {
+  const templatePath = process.env.LEASE_TEMPLATE_PATH;
+  if (!templatePath) return DEFAULT_TEMPLATE;
+
+  const custom = JSON.parse(fs.readFileSync(path.resolve(templatePath), 'utf8'));
+  return { ...DEFAULT_TEMPLATE, ...custom };
+};
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  getTemplate
+};
@@ -0,0 +1,46 @@
+/**
+ * Listing lifetime rules
+ * All values can be overridden through environment variables
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const listingConfig = {
+  // How long a newly published listing stays live
+  durationDays: toInt(process.env.LISTING_DURATION_DAYS, 90),
+
+  // How much each renewal extends expiresAt by
+  renewalDays: toInt(process.env.LISTING_RENEWAL_DAYS, 90),
+
+  // Renewal only opens this many days before expiry (expired listings can always be relisted)
+  renewWindowDays: toInt(process.env.LISTING_RENEW_WINDOW_DAYS, 14),
+
+  // Maximum number of renewals per listing (0 = unlimited)
+  maxRenewals: toInt(process.env.LISTING_MAX_RENEWALS, 0),
+
+  // Warn owners this many days before their listing expires
+  warningDays: toInt(process.env.LISTING_EXPIRY_WARNING_DAYS, 3),
+
+  // Listings whose rent dropped within this many days count as "recently reduced"
+  recentlyReducedDays: toInt(process.env.LISTING_RECENTLY_REDUCED_DAYS, 14),
+
+  // How often the expiry sweep runs
+  sweepIntervalMinutes: toInt(process.env.LISTING_SWEEP_INTERVAL_MINUTES, 60)
+};
+
+/**
+ * Get the expiry date for a listing going live now
+ * @param {Date} from - Start date (default: now)
+ * @returns {Date} Expiry date
+ */
+listingConfig.getExpiryDate = (from = new Date()) => {
+  return new Date(from.getTime() + listingConfig.durationDays * DAY);
+};
+
+listingConfig.DAY = DAY;
+
+module.exports = listingConfig;
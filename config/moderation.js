@@ -0,0 +1,13 @@
+/**
+ * Moderation settings
+ * All values can be overridden through environment variables
+ */
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Distinct open reports after which a listing is hidden pending review (0 = never)
+  reportAutoHideThreshold: toInt(process.env.REPORT_AUTO_HIDE_THRESHOLD, 3)
+};
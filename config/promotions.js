@@ -0,0 +1,49 @@
+/**
+ * Promotion packages owners can buy for a listing
+ * featured: listing appears in GET /api/properties/featured
+ * premium: featured + premium badge
+ * Prices are in NPR
+ */
+const PROMOTION_PACKAGES = [
+  {
+    code: 'featured_7',
+    name: 'Featured - 7 days',
+    type: 'featured',
+    durationDays: 7,
+    price: 299
+  },
+  {
+    code: 'featured_15',
+    name: 'Featured - 15 days',
+    type: 'featured',
+    durationDays: 15,
+    price: 549
+  },
+  {
+    code: 'featured_30',
+    name: 'Featured - 30 days',
+    type: 'featured',
+    durationDays: 30,
+    price: 999
+  },
+  {
+    code: 'premium_30',
+    name: 'Premium - 30 days',
+    type: 'premium',
+    durationDays: 30,
+    price: 1499
+  }
+];
+
+/**
+ * Find a promotion package by code
+ * @param {string} code - Package code
+ * @returns {object|undefined} Package definition
+ */
+const getPackage = (code) => PROMOTION_PACKAGES.find(pkg => pkg.code === code);
+
+module.exports = {
+  PROMOTION_PACKAGES,
+  CURRENCY: 'NPR',
+  getPackage
+};
@@ -0,0 +1,23 @@
+/**
+ * Rent ledger settings
+ * All values can be overridden through environment variables
+ */
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Charges are created this many days before they fall due
+  scheduleAheadDays: toInt(process.env.RENT_SCHEDULE_AHEAD_DAYS, 30),
+
+  // A charge becomes overdue this many days after its due date
+  graceDays: toInt(process.env.RENT_GRACE_DAYS, 5),
+
+  // How often the schedule/overdue job runs
+  sweepIntervalMinutes: toInt(process.env.RENT_SWEEP_INTERVAL_MINUTES, 60),
+
+  PAYMENT_METHODS: ['cash', 'bank', 'wallet'],
+
+  CURRENCY: 'NPR'
+};
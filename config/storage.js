@@ -0,0 +1,42 @@
+const path = require('path');
+
+/**
+ * Media storage settings
+ * STORAGE_DRIVER picks where uploads go: 'cloudinary' (default), 'local' or 's3'
+ */
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  driver: process.env.STORAGE_DRIVER || 'cloudinary',
+
+  // Default lifetime of signed URLs
+  signedUrlExpirySeconds: toInt(process.env.STORAGE_SIGNED_URL_EXPIRY_SECONDS, 15 * 60),
+
+  local: {
+    // Files are written here and served by the API at publicPath
+    directory: path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads'),
+    publicPath: '/uploads',
+    // Absolute base for stored URLs, e.g. https://api.example.com (defaults to a relative URL)
+    baseUrl: (process.env.LOCAL_STORAGE_BASE_URL || '').replace(/\/$/, ''),
+    // Secret for signing URLs; falls back to JWT_SECRET
+    signingSecret: process.env.LOCAL_STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+    // Only serve files with a valid signature
+    requireSignedUrls: process.env.LOCAL_STORAGE_REQUIRE_SIGNED === 'true'
+  },
+
+  s3: {
+    // Leave empty for AWS; set for MinIO/other S3-compatible servers (e.g. http://localhost:9000)
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    // MinIO needs path-style URLs (endpoint/bucket/key)
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+    // Public base URL for stored files (defaults to endpoint/bucket)
+    publicUrl: (process.env.S3_PUBLIC_URL || '').replace(/\/$/, '')
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Viewing appointment settings
+ * All values can be overridden through environment variables
+ */
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Send reminders this many hours before a viewing (comma separated)
+  reminderHours: (process.env.VIEWING_REMINDER_HOURS || '24,1')
+    .split(',')
+    .map(hours => parseInt(hours, 10))
+    .filter(hours => hours > 0)
+    .sort((a, b) => b - a),
+
+  // Slots must be booked/rescheduled at least this long before they start
+  minNoticeMinutes: toInt(process.env.VIEWING_MIN_NOTICE_MINUTES, 60),
+
+  // Longest single viewing slot
+  maxSlotMinutes: toInt(process.env.VIEWING_MAX_SLOT_MINUTES, 180),
+
+  // How often the reminder job runs
+  reminderIntervalMinutes: toInt(process.env.VIEWING_REMINDER_INTERVAL_MINUTES, 10)
+};
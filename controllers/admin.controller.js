@@ -0,0 +1,639 @@
+const User = require('../models/User');
+const Property = require('../models/Property');
+const Favorite = require('../models/Favorite');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const AuditLog = require('../models/AuditLog');
+const Payment = require('../models/Payment');
+const Review = require('../models/Review');
+const Report = require('../models/Report');
+const asyncHandler = require('../utils/asyncHandler');
+const escapeRegex = require('../utils/escapeRegex');
+const auditService = require('../services/audit.service');
+const reportService = require('../services/report.service');
+
+/**
+ * Convert an aggregate [{ _id, count }] result into { key: count }
+ * @param {Array} groups - Aggregation result
+ * @returns {object} Counts keyed by group ID
+ */
+const toCountMap = (groups) => {
+  return groups.reduce((map, group) => {
+    map[group._id || 'unknown'] = group.count;
+    return map;
+  }, {});
+};
+
+/**
+ * @desc    Get platform-wide counts
+ * @route   GET /api/admin/stats
+ * @access  Private (Admin/Moderator)
+ */
+exports.getStats = asyncHandler(async (req, res) => {
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+  const [
+    totalUsers,
+    activeUsers,
+    verifiedUsers,
+    newUsersThisWeek,
+    usersByRole,
+    totalProperties,
+    activeProperties,
+    verifiedProperties,
+    newPropertiesThisWeek,
+    propertiesByStatus,
+    propertiesByModeration,
+    totalFavorites,
+    totalConversations,
+    totalMessages
+  ] = await Promise.all([
+    User.countDocuments(),
+    User.countDocuments({ isActive: true }),
+    User.countDocuments({ isVerified: true }),
+    User.countDocuments({ createdAt: { $gte: weekAgo } }),
+    User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+    Property.countDocuments(),
+    Property.countDocuments({ isActive: true }),
+    Property.countDocuments({ isVerified: true }),
+    Property.countDocuments({ createdAt: { $gte: weekAgo } }),
+    Property.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    Property.aggregate([{ $group: { _id: '$moderationStatus', count: { $sum: 1 } } }]),
+    Favorite.countDocuments(),
+    Conversation.countDocuments(),
+    Message.countDocuments()
+  ]);
+
+  res.status(200).json({
+    success: true,
+    stats: {
+      users: {
+        total: totalUsers,
+        active: activeUsers,
+        deactivated: totalUsers - activeUsers,
+        verified: verifiedUsers,
+        newThisWeek: newUsersThisWeek,
+        byRole: toCountMap(usersByRole)
+      },
+      properties: {
+        total: totalProperties,
+        active: activeProperties,
+        unlisted: totalProperties - activeProperties,
+        verified: verifiedProperties,
+        newThisWeek: newPropertiesThisWeek,
+        byStatus: toCountMap(propertiesByStatus),
+        byModerationStatus: toCountMap(propertiesByModeration)
+      },
+      favorites: totalFavorites,
+      conversations: totalConversations,
+      messages: totalMessages
+    }
+  });
+});
+
+/**
+ * @desc    Search users
+ * @route   GET /api/admin/users
+ * @access  Private (Admin/Moderator)
+ * @query   search (name/email/phone), role, isActive, isVerified, page, limit, sort
+ */
+exports.getUsers = asyncHandler(async (req, res) => {
+  const {
+    search,
+    role,
+    isActive,
+    isVerified,
+    page = 1,
+    limit = 20,
+    sort = '-createdAt'
+  } = req.query;
+
+  const filter = {};
+
+  if (search && search.trim()) {
+    const pattern = { $regex: escapeRegex(search.trim()), $options: 'i' };
+    filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+  }
+
+  if (role) filter.role = role;
+  if (isActive !== undefined) filter.isActive = isActive === 'true';
+  if (isVerified !== undefined) filter.isVerified = isVerified === 'true';
+
+  const skip = (page - 1) * limit;
+
+  const users = await User.find(filter)
+    .sort(sort)
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await User.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    total,
+    users,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+      hasMore: page * limit < total
+    }
+  });
+});
+
+/**
+ * @desc    Get single user with their listings count
+ * @route   GET /api/admin/users/:id
+ * @access  Private (Admin/Moderator)
+ */
+exports.getUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const listings = await Property.countDocuments({ owner: user._id });
+
+  res.status(200).json({
+    success: true,
+    user,
+    listings
+  });
+});
+
+/**
+ * @desc    Activate or deactivate a user
+ * @route   PATCH /api/admin/users/:id/status
+ * @access  Private (Admin/Moderator)
+ * @body    { isActive, reason }
+ */
+exports.updateUserStatus = asyncHandler(async (req, res) => {
+  const { isActive, reason } = req.body;
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (user._id.toString() === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot change the status of your own account'
+    });
+  }
+
+  // Moderators cannot act on other staff accounts
+  if (user.isStaff() && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins can change the status of staff accounts'
+    });
+  }
+
+  const previous = user.isActive;
+  user.isActive = isActive;
+  await user.save({ validateBeforeSave: false });
+
+  await auditService.record(req, {
+    action: isActive ? 'user.activate' : 'user.deactivate',
+    targetType: 'User',
+    targetId: user._id,
+    reason,
+    details: { isActive: { from: previous, to: isActive } }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `User ${isActive ? 'activated' : 'deactivated'}`,
+    user
+  });
+});
+
+/**
+ * @desc    Mark a user as verified / unverified
+ * @route   PATCH /api/admin/users/:id/verify
+ * @access  Private (Admin/Moderator)
+ * @body    { isVerified, reason }
+ */
+exports.verifyUser = asyncHandler(async (req, res) => {
+  const { isVerified, reason } = req.body;
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const previous = user.isVerified;
+  user.isVerified = isVerified;
+  user.verifiedAt = isVerified ? Date.now() : undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await auditService.record(req, {
+    action: isVerified ? 'user.verify' : 'user.unverify',
+    targetType: 'User',
+    targetId: user._id,
+    reason,
+    details: { isVerified: { from: previous, to: isVerified } }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `User marked as ${isVerified ? 'verified' : 'unverified'}`,
+    user
+  });
+});
+
+/**
+ * @desc    Change a user's role (including staff roles)
+ * @route   PATCH /api/admin/users/:id/role
+ * @access  Private (Admin)
+ * @body    { role, reason }
+ */
+exports.updateUserRole = asyncHandler(async (req, res) => {
+  const { role, reason } = req.body;
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (user._id.toString() === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot change your own role'
+    });
+  }
+
+  const previous = user.role;
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  await auditService.record(req, {
+    action: 'user.role_change',
+    targetType: 'User',
+    targetId: user._id,
+    reason,
+    details: { role: { from: previous, to: role } }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `User role changed to ${role}`,
+    user
+  });
+});
+
+/**
+ * Shared handler for force-unlisting / relisting a property
+ * @param {boolean} isActive - New isActive value
+ * @returns {Function} Express handler
+ */
+const setPropertyListing = (isActive) => asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  const previous = property.isActive;
+  property.isActive = isActive;
+  await property.save({ validateBeforeSave: false });
+
+  await auditService.record(req, {
+    action: isActive ? 'property.relist' : 'property.unlist',
+    targetType: 'Property',
+    targetId: property._id,
+    reason,
+    details: { isActive: { from: previous, to: isActive } }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Property ${isActive ? 'relisted' : 'unlisted'}`,
+    property
+  });
+});
+
+/**
+ * @desc    Force-unlist a property (hides it from all public queries)
+ * @route   POST /api/admin/properties/:id/unlist
+ * @access  Private (Admin/Moderator)
+ * @body    { reason }
+ */
+exports.unlistProperty = setPropertyListing(false);
+
+/**
+ * @desc    Relist a previously unlisted property
+ * @route   POST /api/admin/properties/:id/relist
+ * @access  Private (Admin/Moderator)
+ * @body    { reason }
+ */
+exports.relistProperty = setPropertyListing(true);
+
+/**
+ * @desc    Mark a property as verified / unverified
+ * @route   PATCH /api/admin/properties/:id/verify
+ * @access  Private (Admin/Moderator)
+ * @body    { isVerified, reason }
+ */
+exports.verifyProperty = asyncHandler(async (req, res) => {
+  const { isVerified, reason } = req.body;
+
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  const previous = property.isVerified;
+  property.isVerified = isVerified;
+  property.verifiedAt = isVerified ? Date.now() : undefined;
+  await property.save({ validateBeforeSave: false });
+
+  await auditService.record(req, {
+    action: isVerified ? 'property.verify' : 'property.unverify',
+    targetType: 'Property',
+    targetId: property._id,
+    reason,
+    details: { isVerified: { from: previous, to: isVerified } }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Property marked as ${isVerified ? 'verified' : 'unverified'}`,
+    property
+  });
+});
+
+/**
+ * @desc    Get audit log
+ * @route   GET /api/admin/audit-logs
+ * @access  Private (Admin)
+ * @query   actor, action, targetType, targetId, page, limit
+ */
+exports.getAuditLogs = asyncHandler(async (req, res) => {
+  const {
+    actor,
+    action,
+    targetType,
+    targetId,
+    page = 1,
+    limit = 50
+  } = req.query;
+
+  const filter = {};
+  if (actor) filter.actor = actor;
+  if (action) filter.action = action;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+
+  const skip = (page - 1) * limit;
+
+  const logs = await AuditLog.find(filter)
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('actor', 'name email role');
+
+  const total = await AuditLog.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: logs.length,
+    total,
+    logs,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+      hasMore: page * limit < total
+    }
+  });
+});
+
+/**
+ * @desc    Get payment ledger
+ * @route   GET /api/admin/payments
+ * @access  Private (Admin)
+ * @query   status, gateway, user, page, limit
+ */
+exports.getPayments = asyncHandler(async (req, res) => {
+  const { status, gateway, user, page = 1, limit = 50 } = req.query;
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (gateway) filter.gateway = gateway;
+  if (user) filter.user = user;
+
+  const skip = (page - 1) * limit;
+
+  const payments = await Payment.find(filter)
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('user', 'name email phone')
+    .populate('order', 'packageCode type durationDays property status');
+
+  const total = await Payment.countDocuments(filter);
+
+  const totals = await Payment.aggregate([
+    { $match: { status: 'success' } },
+    { $group: { _id: '$currency', revenue: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: payments.length,
+    total,
+    revenue: totals,
+    payments,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+      hasMore: page * limit < total
+    }
+  });
+});
+
+/**
+ * @desc    Get reported reviews (most reported first)
+ * @route   GET /api/admin/reviews/reported
+ * @access  Private (Admin/Moderator)
+ * @query   status, page, limit
+ */
+exports.getReportedReviews = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const filter = { reportCount: { $gt: 0 } };
+  if (status) filter.status = status;
+
+  const skip = (page - 1) * limit;
+
+  const reviews = await Review.find(filter)
+    .sort('-reportCount -updatedAt')
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('reviewer', 'name email')
+    .populate('owner', 'name email');
+
+  const total = await Review.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: reviews.length,
+    total,
+    reviews,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+      hasMore: page * limit < total
+    }
+  });
+});
+
+/**
+ * @desc    Hide or restore a review
+ * @route   PATCH /api/admin/reviews/:id/status
+ * @access  Private (Admin/Moderator)
+ * @body    { status (published/hidden), reason }
+ */
+exports.updateReviewStatus = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+  }
+
+  const previous = review.status;
+  review.status = status;
+  await review.save(); // Recalculates the owner's rating
+
+  await auditService.record(req, {
+    action: status === 'hidden' ? 'review.hide' : 'review.restore',
+    targetType: 'Review',
+    targetId: review._id,
+    reason,
+    details: { status: { from: previous, to: status } }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Review ${status === 'hidden' ? 'hidden' : 'restored'}`,
+    review
+  });
+});
+
+/**
+ * @desc    Get abuse reports (oldest open first)
+ * @route   GET /api/admin/reports
+ * @access  Private (Admin/Moderator)
+ * @query   status (default: open), targetType, target, page, limit
+ */
+exports.getReports = asyncHandler(async (req, res) => {
+  const { status = 'open', targetType, target, page = 1, limit = 20 } = req.query;
+
+  const filter = { status };
+  if (targetType) filter.targetType = targetType;
+  if (target) filter.target = target;
+
+  const skip = (page - 1) * limit;
+
+  const reports = await Report.find(filter)
+    .sort('createdAt')
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('reporter', 'name email')
+    .populate('target', 'title name email moderationStatus isActive');
+
+  const total = await Report.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: reports.length,
+    total,
+    reports,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+      hasMore: page * limit < total
+    }
+  });
+});
+
+/**
+ * @desc    Update report status / record outcome (reporter is notified when closed)
+ * @route   PATCH /api/admin/reports/:id
+ * @access  Private (Admin/Moderator)
+ * @body    { status (reviewing/action_taken/dismissed), resolution }
+ */
+exports.resolveReport = asyncHandler(async (req, res) => {
+  const { status, resolution } = req.body;
+
+  let report = await Report.findById(req.params.id);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Report not found'
+    });
+  }
+
+  const previous = report.status;
+
+  report = await reportService.resolveReport(report, {
+    status,
+    resolution,
+    resolvedBy: req.user._id
+  });
+
+  await auditService.record(req, {
+    action: `report.${status}`,
+    targetType: 'Report',
+    targetId: report._id,
+    reason: resolution,
+    details: {
+      status: { from: previous, to: status },
+      reportedType: report.targetType,
+      reportedId: report.target
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Report updated',
+    report
+  });
+});
@@ -0,0 +1,248 @@
+const Application = require('../models/Application');
+const Property = require('../models/Property');
+const asyncHandler = require('../utils/asyncHandler');
+const applicationService = require('../services/application.service');
+
+/**
+ * @desc    Apply to rent a property
+ * @route   POST /api/properties/:id/applications
+ * @access  Private
+ * @body    { moveInDate, occupants, occupation, message }
+ */
+exports.submitApplication = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  const application = await applicationService.submitApplication(property, req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Application submitted. The owner has been notified.',
+    application
+  });
+});
+
+/**
+ * @desc    Get applications for a property (owner inbox)
+ * @route   GET /api/properties/:id/applications
+ * @access  Private (Owner of property)
+ * @query   status, page, limit
+ */
+exports.getPropertyApplications = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  // Check if user owns this property
+  if (property.owner._id.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view applications for this property'
+    });
+  }
+
+  const filter = { property: property._id };
+  if (status) filter.status = status;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [applications, total, counts] = await Promise.all([
+    Application.find(filter)
+      .populate('tenant', 'name phone photoURL isVerified')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum),
+    Application.countDocuments(filter),
+    Application.aggregate([
+      { $match: { property: property._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: applications.length,
+    total,
+    statusCounts: counts.reduce((acc, { _id, count }) => ({ ...acc, [_id]: count }), {}),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      pages: Math.ceil(total / limitNum),
+      hasMore: skip + applications.length < total
+    },
+    applications
+  });
+});
+
+/**
+ * @desc    Get my applications (tenant)
+ * @route   GET /api/applications/mine
+ * @access  Private
+ * @query   status, page, limit
+ */
+exports.getMyApplications = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const filter = { tenant: req.user._id };
+  if (status) filter.status = status;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [applications, total] = await Promise.all([
+    Application.find(filter)
+      .populate('property', 'title location rent images status')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum),
+    Application.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: applications.length,
+    total,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      pages: Math.ceil(total / limitNum),
+      hasMore: skip + applications.length < total
+    },
+    applications
+  });
+});
+
+/**
+ * @desc    Get a single application
+ * @route   GET /api/applications/:id
+ * @access  Private (Applicant or property owner)
+ */
+exports.getApplication = asyncHandler(async (req, res) => {
+  const application = await Application.findById(req.params.id)
+    .populate('property', 'title location rent images status')
+    .populate('tenant', 'name phone photoURL isVerified');
+
+  if (!application) {
+    return res.status(404).json({
+      success: false,
+      message: 'Application not found'
+    });
+  }
+
+  const userId = req.user._id.toString();
+
+  if (application.tenant._id.toString() !== userId && application.owner.toString() !== userId) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this application'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    application
+  });
+});
+
+/**
+ * @desc    Shortlist, accept or decline an application
+ * @route   PATCH /api/applications/:id/status
+ * @access  Private (Owner of property)
+ * @body    { status: 'shortlisted' | 'accepted' | 'declined', reason }
+ */
+exports.updateApplicationStatus = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  const application = await Application.findById(req.params.id).populate('property', 'title');
+
+  if (!application || !application.property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Application not found'
+    });
+  }
+
+  if (application.owner.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this application'
+    });
+  }
+
+  if (!application.isOpen()) {
+    return res.status(400).json({
+      success: false,
+      message: `This application is already ${application.status}`
+    });
+  }
+
+  let updated;
+  let message;
+
+  if (status === 'shortlisted') {
+    updated = await applicationService.shortlistApplication(application);
+    message = 'Application shortlisted';
+  } else if (status === 'declined') {
+    updated = await applicationService.declineApplication(application, reason);
+    message = 'Application declined';
+  } else {
+    const result = await applicationService.acceptApplication(application);
+    updated = result.application;
+    message = result.declined > 0
+      ? `Application accepted. Property marked as rented and ${result.declined} other application(s) declined.`
+      : 'Application accepted. Property marked as rented.';
+  }
+
+  res.status(200).json({
+    success: true,
+    message,
+    application: updated
+  });
+});
+
+/**
+ * @desc    Withdraw my application
+ * @route   PATCH /api/applications/:id/withdraw
+ * @access  Private (Applicant)
+ */
+exports.withdrawApplication = asyncHandler(async (req, res) => {
+  const application = await Application.findById(req.params.id);
+
+  if (!application) {
+    return res.status(404).json({
+      success: false,
+      message: 'Application not found'
+    });
+  }
+
+  if (application.tenant.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to withdraw this application'
+    });
+  }
+
+  const updated = await applicationService.withdrawApplication(application);
+
+  res.status(200).json({
+    success: true,
+    message: 'Application withdrawn',
+    application: updated
+  });
+});
@@ -120,7 +120,7 @@ exports.verifyOtp = asyncHandler(async (req, res) => {
       email,
       password,
       phone,
-      role: role || 'tenant',
+      role: ['tenant', 'owner'].includes(role) ? role : 'tenant', // Staff roles are never self-assigned
       isVerified: true // Phone Verified!
     });
 
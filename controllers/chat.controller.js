@@ -2,6 +2,9 @@ const asyncHandler = require('../utils/asyncHandler');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
 const User = require('../models/User');
+const Property = require('../models/Property');
+const analyticsService = require('../services/analytics.service');
+const chatService = require('../services/chat.service');
 
 /**
  * @desc    Get all conversations for current user
@@ -128,29 +131,25 @@ exports.startConversation = asyncHandler(async (req, res) => {
         });
     }
 
-    // Build query to find existing conversation
-    const query = {
-        participants: { $all: [req.user.id, recipientId] }
-    };
-
     // If propertyId is provided, look for property-specific conversation
     // This allows separate chats per property between same users
-    if (propertyId) {
-        query.propertyId = propertyId;
-    }
-
-    let conversation = await Conversation.findOne(query);
+    let { conversation, created } = await chatService.getOrCreateConversation(
+        req.user.id,
+        recipientId,
+        propertyId
+    );
 
-    if (!conversation) {
-        conversation = await Conversation.create({
-            participants: [req.user.id, recipientId],
-            propertyId: propertyId || null,
-            lastMessage: {
-                content: 'Conversation started',
-                sender: req.user.id,
-                createdAt: Date.now()
-            }
-        });
+    // A new conversation about a listing counts as an inquiry
+    if (created && propertyId) {
+        const property = await Property.findById(propertyId);
+        if (property) {
+            analyticsService.recordEvent(property, 'inquiry', {
+                ...analyticsService.getVisitor(req),
+                userId: req.user._id
+            }).catch(err => {
+                console.error('Failed to record inquiry event:', err);
+            });
+        }
     }
 
     // Populate participants and property details
@@ -1,6 +1,7 @@
 const Favorite = require('../models/Favorite');
 const Property = require('../models/Property');
 const asyncHandler = require('../utils/asyncHandler');
+const analyticsService = require('../services/analytics.service');
 
 /**
  * @desc    Get user's favorite properties
@@ -89,6 +90,13 @@ exports.addToFavorites = asyncHandler(async (req, res) => {
     notes: req.body.notes || ''
   });
 
+  analyticsService.recordEvent(property, 'favorite', {
+    ...analyticsService.getVisitor(req),
+    userId: req.user._id
+  }).catch(err => {
+    console.error('Failed to record favorite event:', err);
+  });
+
   // Populate property details
   await favorite.populate({
     path: 'property',
@@ -0,0 +1,135 @@
+const Tenancy = require('../models/Tenancy');
+const Lease = require('../models/Lease');
+const asyncHandler = require('../utils/asyncHandler');
+const leaseService = require('../services/lease.service');
+const { getSignedFileUrl } = require('../utils/imageUpload');
+
+/**
+ * Load a tenancy and check the user is a party to it
+ * @returns {Promise<object>} { tenancy, isOwner, error }
+ */
+const loadTenancy = async (req) => {
+  const tenancy = await Tenancy.findById(req.params.id);
+
+  if (!tenancy) {
+    return { error: { status: 404, message: 'Tenancy not found' } };
+  }
+
+  const userId = req.user._id.toString();
+  const isOwner = tenancy.owner.toString() === userId;
+  const isTenant = Boolean(tenancy.tenant) && tenancy.tenant.toString() === userId;
+
+  if (!isOwner && !isTenant) {
+    return { error: { status: 403, message: 'Not authorized to access this lease' } };
+  }
+
+  return { tenancy, isOwner };
+};
+
+/**
+ * @desc    Get the lease agreement for a tenancy
+ * @route   GET /api/tenancies/:id/lease
+ * @access  Private (Tenant or owner)
+ */
+exports.getLease = asyncHandler(async (req, res) => {
+  const { tenancy, error } = await loadTenancy(req);
+
+  if (error) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const lease = await Lease.findOne({ tenancy: tenancy._id }).select('+fileUrl');
+
+  if (!lease) {
+    return res.status(404).json({
+      success: false,
+      message: 'No lease has been generated for this tenancy yet'
+    });
+  }
+
+  // Leases are private - hand out a short-lived link, never the stored URL
+  const { fileUrl, ...leaseData } = lease.toObject();
+
+  res.status(200).json({
+    success: true,
+    lease: leaseData,
+    downloadUrl: await getSignedFileUrl(fileUrl)
+  });
+});
+
+/**
+ * @desc    Generate (or regenerate) the lease agreement
+ * @route   POST /api/tenancies/:id/lease
+ * @access  Private (Owner)
+ */
+exports.generateLease = asyncHandler(async (req, res) => {
+  const { tenancy, isOwner, error } = await loadTenancy(req);
+
+  if (error) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (!isOwner) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the owner can generate the lease'
+    });
+  }
+
+  if (tenancy.status !== 'active') {
+    return res.status(400).json({
+      success: false,
+      message: 'Leases can only be generated for active tenancies'
+    });
+  }
+
+  const lease = await leaseService.generateLease(tenancy);
+
+  res.status(201).json({
+    success: true,
+    message: 'Lease generated. Both parties need to accept it again.',
+    lease
+  });
+});
+
+/**
+ * @desc    Accept the lease agreement
+ * @route   POST /api/tenancies/:id/lease/accept
+ * @access  Private (Tenant or owner)
+ */
+exports.acceptLease = asyncHandler(async (req, res) => {
+  const { tenancy, error } = await loadTenancy(req);
+
+  if (error) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const lease = await Lease.findOne({ tenancy: tenancy._id });
+
+  if (!lease) {
+    return res.status(404).json({
+      success: false,
+      message: 'No lease has been generated for this tenancy yet'
+    });
+  }
+
+  await leaseService.acceptLease(lease, req.user, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.status(200).json({
+    success: true,
+    message: lease.status === 'accepted' ? 'Lease accepted by both parties' : 'Lease accepted. Waiting for the other party.',
+    lease
+  });
+});
@@ -0,0 +1,45 @@
+const asyncHandler = require('../utils/asyncHandler');
+const gazetteer = require('../services/gazetteer.service');
+
+/**
+ * @desc    Suggest places (provinces, districts, municipalities, wards, areas) as the user types
+ * @route   GET /api/locations/autocomplete
+ * @access  Public
+ * @query   q, type (comma separated), within (location ID), limit
+ */
+exports.autocomplete = asyncHandler(async (req, res) => {
+  const { q, type, within, limit = 10 } = req.query;
+
+  const locations = gazetteer.autocomplete(q, {
+    types: type ? type.split(',').map(value => value.trim()) : undefined,
+    within,
+    limit: parseInt(limit)
+  });
+
+  res.status(200).json({
+    success: true,
+    count: locations.length,
+    locations
+  });
+});
+
+/**
+ * @desc    Get a place with its aliases and hierarchy
+ * @route   GET /api/locations/:id
+ * @access  Public
+ */
+exports.getLocation = asyncHandler(async (req, res) => {
+  const location = gazetteer.getLocation(req.params.id);
+
+  if (!location) {
+    return res.status(404).json({
+      success: false,
+      message: 'Location not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    location
+  });
+});
@@ -0,0 +1,197 @@
+const MaintenanceTicket = require('../models/MaintenanceTicket');
+const Property = require('../models/Property');
+const asyncHandler = require('../utils/asyncHandler');
+const { uploadMultipleImages } = require('../utils/imageUpload');
+const maintenanceService = require('../services/maintenance.service');
+
+/**
+ * Check if the user is the tenant or owner on a ticket
+ * @param {object} ticket - MaintenanceTicket document (owner/tenant not populated)
+ * @param {object} user - Current user
+ * @returns {boolean} True if the user is a party to the ticket
+ */
+const isParty = (ticket, user) => {
+  const userId = user._id.toString();
+  return ticket.owner.toString() === userId || ticket.tenant.toString() === userId;
+};
+
+/**
+ * @desc    Raise a maintenance request
+ * @route   POST /api/properties/:id/maintenance
+ * @access  Private (Current tenant)
+ * @body    { category, description, urgency } + images (multipart, optional)
+ */
+exports.createTicket = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  // Check before uploading so rejected requests don't leave photos behind
+  const tenancy = await maintenanceService.getActiveTenancy(property, req.user);
+
+  let images = [];
+  if (req.files && req.files.length > 0) {
+    images = await uploadMultipleImages(req.files, 'gharbeti/maintenance');
+  }
+
+  const ticket = await maintenanceService.createTicket(tenancy, property, req.user, {
+    category: req.body.category,
+    description: req.body.description,
+    urgency: req.body.urgency,
+    images
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Maintenance request submitted. The owner has been notified.',
+    ticket
+  });
+});
+
+/**
+ * @desc    Get my maintenance requests (as tenant or owner)
+ * @route   GET /api/maintenance
+ * @access  Private
+ * @query   as (tenant|owner), status, propertyId, page, limit
+ */
+exports.getMyTickets = asyncHandler(async (req, res) => {
+  const { as = 'tenant', status, propertyId, page = 1, limit = 20 } = req.query;
+
+  const filter = as === 'owner' ? { owner: req.user._id } : { tenant: req.user._id };
+  if (status) filter.status = status;
+  if (propertyId) filter.property = propertyId;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [tickets, total] = await Promise.all([
+    MaintenanceTicket.find(filter)
+      .select('-comments -statusHistory')
+      .populate('property', 'title location')
+      .populate(as === 'owner' ? 'tenant' : 'owner', 'name phone photoURL')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum),
+    MaintenanceTicket.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: tickets.length,
+    total,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      pages: Math.ceil(total / limitNum),
+      hasMore: skip + tickets.length < total
+    },
+    tickets
+  });
+});
+
+/**
+ * @desc    Get a maintenance request with its comment thread
+ * @route   GET /api/maintenance/:id
+ * @access  Private (Tenant or owner)
+ */
+exports.getTicket = asyncHandler(async (req, res) => {
+  const ticket = await MaintenanceTicket.findById(req.params.id);
+
+  if (!ticket) {
+    return res.status(404).json({
+      success: false,
+      message: 'Maintenance request not found'
+    });
+  }
+
+  if (!isParty(ticket, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this request'
+    });
+  }
+
+  await ticket.populate([
+    { path: 'property', select: 'title location' },
+    { path: 'owner', select: 'name phone photoURL' },
+    { path: 'tenant', select: 'name phone photoURL' },
+    { path: 'comments.author', select: 'name photoURL' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    ticket
+  });
+});
+
+/**
+ * @desc    Update maintenance request status
+ * @route   PATCH /api/maintenance/:id/status
+ * @access  Private (Owner)
+ * @body    { status: 'in_progress' | 'resolved', note }
+ */
+exports.updateTicketStatus = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  const ticket = await MaintenanceTicket.findById(req.params.id).populate('property', 'title');
+
+  if (!ticket) {
+    return res.status(404).json({
+      success: false,
+      message: 'Maintenance request not found'
+    });
+  }
+
+  if (ticket.owner.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the owner can update the status of this request'
+    });
+  }
+
+  await maintenanceService.updateStatus(ticket, status, req.user, note);
+
+  res.status(200).json({
+    success: true,
+    message: `Request marked as ${status.replace('_', ' ')}`,
+    ticket
+  });
+});
+
+/**
+ * @desc    Comment on a maintenance request
+ * @route   POST /api/maintenance/:id/comments
+ * @access  Private (Tenant or owner)
+ * @body    { body }
+ */
+exports.addComment = asyncHandler(async (req, res) => {
+  const ticket = await MaintenanceTicket.findById(req.params.id);
+
+  if (!ticket) {
+    return res.status(404).json({
+      success: false,
+      message: 'Maintenance request not found'
+    });
+  }
+
+  if (!isParty(ticket, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to comment on this request'
+    });
+  }
+
+  const comment = await maintenanceService.addComment(ticket, req.user, req.body.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment added',
+    comment
+  });
+});
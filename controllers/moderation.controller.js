@@ -0,0 +1,184 @@
+const Property = require('../models/Property');
+const asyncHandler = require('../utils/asyncHandler');
+const notificationService = require('../services/notification.service');
+const savedSearchService = require('../services/savedSearch.service');
+const auditService = require('../services/audit.service');
+const listingConfig = require('../config/listing');
+const reportService = require('../services/report.service');
+
+/**
+ * @desc    Get listings waiting for review (oldest first)
+ * @route   GET /api/moderation/queue
+ * @access  Private (Admin/Moderator)
+ * @query   status (default: pending_review), flagged (true = hidden by user reports),
+ *          duplicates (true = matches another owner's listing), page, limit
+ */
+exports.getReviewQueue = asyncHandler(async (req, res) => {
+  const { status = 'pending_review', flagged, duplicates, page = 1, limit = 20 } = req.query;
+
+  const filter = { moderationStatus: status };
+
+  if (flagged === 'true') {
+    filter.hiddenByReportsAt = { $ne: null };
+  }
+
+  if (duplicates === 'true') {
+    filter['duplicateCheck.flaggedAt'] = { $ne: null };
+  }
+
+  const skip = (page - 1) * limit;
+
+  // Include duplicate check results (matches and their reasons) for reviewers
+  const properties = await Property.find(filter)
+    .select('+duplicateCheck')
+    .sort('submittedAt')
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Property.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: properties.length,
+    total,
+    properties,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+      hasMore: page * limit < total
+    }
+  });
+});
+
+/**
+ * @desc    Approve and publish a listing
+ * @route   POST /api/moderation/properties/:id/approve
+ * @access  Private (Admin/Moderator)
+ */
+exports.approveProperty = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  if (property.moderationStatus !== 'pending_review') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only listings pending review can be approved'
+    });
+  }
+
+  // Reviews triggered by other things (e.g. an owner edit) say nothing about the reports
+  const hiddenByReports = Boolean(property.hiddenByReportsAt);
+
+  property.moderationStatus = 'approved';
+  property.reviewedAt = Date.now();
+  property.reviewedBy = req.user._id;
+  property.rejectionReason = undefined;
+  property.hiddenByReportsAt = undefined;
+  // The listing lifetime starts when it first goes live, not when it was submitted
+  if (!property.publishedAt) {
+    property.publishedAt = Date.now();
+    property.expiresAt = listingConfig.getExpiryDate();
+  }
+  await property.save();
+
+  // Approving confirms the listing isn't an unwanted repost
+  await Property.updateOne({ _id: property._id }, { $unset: { 'duplicateCheck.flaggedAt': 1 } });
+
+  await auditService.record(req, {
+    action: 'property.approve',
+    targetType: 'Property',
+    targetId: property._id
+  });
+
+  // Approving a listing the reports hid means they were unfounded
+  if (hiddenByReports) {
+    await reportService.resolveReportsForTarget('Property', property._id, {
+      status: 'dismissed',
+      resolution: 'The listing was reviewed and meets our guidelines.',
+      resolvedBy: req.user._id
+    });
+  }
+
+  await notificationService.notify(property.owner._id, {
+    type: 'listing_approved',
+    title: 'Your listing is live',
+    body: `"${property.title}" has been approved and is now visible to tenants.`,
+    data: { propertyId: property._id }
+  });
+
+  // Listing is now public - alert matching saved searches (in background)
+  savedSearchService.processListing(property, 'created').catch(err => {
+    console.error('Failed to process saved search alerts:', err);
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Property approved and published',
+    property
+  });
+});
+
+/**
+ * @desc    Reject a listing with a reason
+ * @route   POST /api/moderation/properties/:id/reject
+ * @access  Private (Admin/Moderator)
+ * @body    { reason }
+ */
+exports.rejectProperty = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  if (property.moderationStatus !== 'pending_review') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only listings pending review can be rejected'
+    });
+  }
+
+  property.moderationStatus = 'rejected';
+  property.reviewedAt = Date.now();
+  property.reviewedBy = req.user._id;
+  property.rejectionReason = reason.trim();
+  await property.save();
+
+  await auditService.record(req, {
+    action: 'property.reject',
+    targetType: 'Property',
+    targetId: property._id,
+    reason: property.rejectionReason
+  });
+
+  await reportService.resolveReportsForTarget('Property', property._id, {
+    status: 'action_taken',
+    resolution: 'The listing was taken down until the owner fixes it.',
+    resolvedBy: req.user._id
+  });
+
+  await notificationService.notify(property.owner._id, {
+    type: 'listing_rejected',
+    title: 'Your listing needs changes',
+    body: `"${property.title}" was not approved: ${property.rejectionReason}`,
+    data: { propertyId: property._id }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Property rejected',
+    property
+  });
+});
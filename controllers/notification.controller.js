@@ -0,0 +1,85 @@
+const Notification = require('../models/Notification');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * @desc    Get user's notifications
+ * @route   GET /api/notifications
+ * @access  Private
+ * @query   unread, page, limit
+ */
+exports.getNotifications = asyncHandler(async (req, res) => {
+  const { unread, page = 1, limit = 20 } = req.query;
+
+  const filter = { user: req.user._id };
+
+  if (unread === 'true') {
+    filter.isRead = false;
+  }
+
+  const skip = (page - 1) * limit;
+
+  const notifications = await Notification.find(filter)
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Notification.countDocuments(filter);
+  const unreadCount = await Notification.countDocuments({ user: req.user._id, isRead: false });
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    total,
+    unreadCount,
+    notifications,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+      hasMore: page * limit < total
+    }
+  });
+});
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ */
+exports.markAsRead = asyncHandler(async (req, res) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id },
+    { isRead: true, readAt: Date.now() },
+    { new: true }
+  );
+
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      message: 'Notification not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    notification
+  });
+});
+
+/**
+ * @desc    Mark all notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+exports.markAllAsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { user: req.user._id, isRead: false },
+    { isRead: true, readAt: Date.now() }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Notifications marked as read',
+    modifiedCount: result.modifiedCount
+  });
+});
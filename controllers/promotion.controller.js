@@ -0,0 +1,201 @@
+const Property = require('../models/Property');
+const PromotionOrder = require('../models/PromotionOrder');
+const Payment = require('../models/Payment');
+const asyncHandler = require('../utils/asyncHandler');
+const promotionService = require('../services/promotion.service');
+const { getGateway, getAvailableGateways } = require('../services/payments');
+const { PROMOTION_PACKAGES, CURRENCY, getPackage } = require('../config/promotions');
+
+/**
+ * @desc    Get promotion packages and available payment gateways
+ * @route   GET /api/promotions/packages
+ * @access  Public
+ */
+exports.getPackages = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    currency: CURRENCY,
+    packages: PROMOTION_PACKAGES,
+    gateways: getAvailableGateways()
+  });
+});
+
+/**
+ * @desc    Create promotion order and start payment
+ * @route   POST /api/promotions/orders
+ * @access  Private (Owner of property)
+ * @body    { propertyId, packageCode, gateway, returnUrl, failureUrl }
+ */
+exports.createOrder = asyncHandler(async (req, res) => {
+  const { propertyId, packageCode, gateway, failureUrl } = req.body;
+  const returnUrl = req.body.returnUrl || process.env.PAYMENT_RETURN_URL;
+
+  const pkg = getPackage(packageCode);
+
+  if (!pkg) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid promotion package'
+    });
+  }
+
+  if (!getGateway(gateway)) {
+    return res.status(400).json({
+      success: false,
+      message: `Payment gateway must be one of: ${getAvailableGateways().join(', ')}`
+    });
+  }
+
+  if (!returnUrl) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a returnUrl for the payment redirect'
+    });
+  }
+
+  const property = await Property.findById(propertyId);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  // Check if user owns this property
+  if (property.owner._id.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to promote this property'
+    });
+  }
+
+  // Only live listings can be promoted
+  if (!property.isPubliclyVisible() || property.status !== 'available' || property.isExpired()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only approved, available listings can be promoted'
+    });
+  }
+
+  const { order, payment, checkout } = await promotionService.createOrder({
+    user: req.user,
+    property,
+    pkg,
+    gatewayName: gateway,
+    returnUrl,
+    failureUrl
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Order created. Redirect the user to the payment gateway.',
+    order,
+    payment: {
+      id: payment._id,
+      reference: payment.reference,
+      gateway: payment.gateway,
+      amount: payment.amount,
+      currency: payment.currency
+    },
+    checkout: {
+      redirectUrl: checkout.redirectUrl,
+      method: checkout.method,
+      formFields: checkout.formFields
+    }
+  });
+});
+
+/**
+ * @desc    Verify payment after gateway redirect and activate promotion
+ * @route   POST /api/promotions/orders/:id/verify
+ * @access  Private (Order owner)
+ * @body    Callback params received from the gateway redirect
+ */
+exports.verifyOrder = asyncHandler(async (req, res) => {
+  const order = await PromotionOrder.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const result = await promotionService.verifyOrder(order, req.body);
+
+  res.status(result.success ? 200 : 402).json({
+    success: result.success,
+    message: result.message,
+    order: result.order
+  });
+});
+
+/**
+ * @desc    Get user's promotion orders
+ * @route   GET /api/promotions/orders
+ * @access  Private
+ * @query   status, property, page, limit
+ */
+exports.getMyOrders = asyncHandler(async (req, res) => {
+  const { status, property, page = 1, limit = 20 } = req.query;
+
+  const filter = { user: req.user._id };
+  if (status) filter.status = status;
+  if (property) filter.property = property;
+
+  const skip = (page - 1) * limit;
+
+  const orders = await PromotionOrder.find(filter)
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('property', 'title images isPremium isFeatured premiumExpiry featuredExpiry');
+
+  const total = await PromotionOrder.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: orders.length,
+    total,
+    orders,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+      hasMore: page * limit < total
+    }
+  });
+});
+
+/**
+ * @desc    Get single promotion order with its payments
+ * @route   GET /api/promotions/orders/:id
+ * @access  Private (Order owner)
+ */
+exports.getOrder = asyncHandler(async (req, res) => {
+  const order = await PromotionOrder.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  }).populate('property', 'title images isPremium isFeatured premiumExpiry featuredExpiry');
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  const payments = await Payment.find({ order: order._id })
+    .select('-initiateResponse -verifyResponse')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    order,
+    payments
+  });
+});
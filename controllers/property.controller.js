@@ -1,127 +1,245 @@
 const Property = require('../models/Property');
 const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
-const { uploadMultipleImages, deleteMultipleImages } = require('../utils/imageUpload');
+const { uploadMultipleImageVariants } = require('../utils/imageUpload');
+const { buildPropertyFilter, visibleListingFilter } = require('../utils/propertyFilters');
+const savedSearchService = require('../services/savedSearch.service');
+const listingExpiryService = require('../services/listingExpiry.service');
+const analyticsService = require('../services/analytics.service');
+const applicationService = require('../services/application.service');
+const tenancyService = require('../services/tenancy.service');
+const propertyImageService = require('../services/propertyImage.service');
+const storageCleanup = require('../services/storageCleanup.service');
+const duplicateDetection = require('../services/duplicateDetection.service');
+const priceHistoryService = require('../services/priceHistory.service');
+const recommendationService = require('../services/recommendation.service');
+const similarListingsService = require('../services/similarListings.service');
+const mapSearchService = require('../services/mapSearch.service');
+const propertySearchService = require('../services/propertySearch.service');
+const gazetteer = require('../services/gazetteer.service');
+const notificationService = require('../services/notification.service');
+const { parseBoundingBox } = require('../utils/geo');
+
+// Fields owners cannot set directly through create/update
+const PROTECTED_FIELDS = [
+  'owner',
+  'imageVariants',
+  'moderationStatus',
+  'submittedAt',
+  'reviewedAt',
+  'reviewedBy',
+  'rejectionReason',
+  'publishedAt',
+  'reportCount',
+  'priceHistory',
+  'lastPriceDropAt',
+  'hiddenByReportsAt',
+  'duplicateCheck',
+  'expiresAt',
+  'renewalCount',
+  'lastRenewedAt',
+  'expiryWarningSentAt',
+  'isVerified',
+  'verifiedAt',
+  'isPremium',
+  'premiumExpiry',
+  'isFeatured',
+  'featuredExpiry',
+  'isActive', // Staff unlisting (see admin.controller)
+  'status', // Only through PATCH /:id/status, which records tenancies
+  'views',
+  'totalFavorites',
+  'clicksOnCall'
+];
+
+// Named sorts accepted in addition to raw field sorts (e.g. -rent)
+const SORT_ALIASES = {
+  reduced: '-lastPriceDropAt -createdAt' // Latest price drops first
+};
+
+// Changing these on an approved listing sends it back to review
+const REVIEWED_FIELDS = ['title', 'description'];
+
+/**
+ * Whether an update changes content moderators have approved
+ * @param {object} property - Property before the update
+ * @param {object} body - Request body
+ * @param {Array<string>} imageUrls - Images after the update
+ * @returns {boolean} True if the title, description, rent or photos change
+ */
+const changesReviewedContent = (property, body, imageUrls) => {
+  const textChanged = REVIEWED_FIELDS.some(field =>
+    body[field] !== undefined && String(body[field]).trim() !== (property[field] || '')
+  );
+  const rentChanged = body.rent !== undefined && Number(body.rent) !== property.rent;
+  const newImages = imageUrls.some(url => !property.images.includes(url));
+
+  return textChanged || rentChanged || newImages;
+};
+
+/**
+ * Tell moderators a listing is waiting for review (in background)
+ * @param {object} property - Property document
+ * @param {string} reason - 'submitted' or 'edited'
+ */
+const notifyModeratorsOfSubmission = (property, reason = 'submitted') => {
+  notificationService.notifyModerators({
+    type: 'listing_pending_review',
+    title: reason === 'edited' ? 'Edited listing needs review' : 'New listing needs review',
+    body: `"${property.title}" is waiting for review.`,
+    data: { propertyId: property._id }
+  }).catch(err => {
+    console.error('Failed to notify moderators:', err);
+  });
+};
+
+/**
+ * Remove protected fields from request body
+ * @param {object} body - Request body
+ * @returns {object} Body without protected fields
+ */
+const stripProtectedFields = (body) => {
+  const data = { ...body };
+  PROTECTED_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+/**
+ * Run the duplicate check for a saved listing
+ * A failed check never fails the request - the back-fill job picks the listing up later
+ * @param {object} property - Property document
+ * @returns {Promise<object|undefined>} Warning for the owner if it repeats one of their listings
+ */
+const checkForDuplicates = async (property) => {
+  try {
+    const { ownListings } = await duplicateDetection.checkProperty(property);
+    if (ownListings.length === 0) return undefined;
+
+    return {
+      message: 'This looks like a listing you have already posted. Update the existing listing instead of reposting it.',
+      listings: ownListings.map(listing => ({
+        _id: listing._id,
+        title: listing.title,
+        status: listing.status,
+        url: `/api/properties/${listing._id}`
+      }))
+    };
+  } catch (error) {
+    console.error('Duplicate check failed:', error);
+    return undefined;
+  }
+};
 
 /**
  * @desc    Get all properties with filters and pagination
  * @route   GET /api/properties
  * @access  Public
+ * @query   lat, lng, radius (km) - search around a point; nearLat, nearLng - measure distance from another
+ *          point (e.g. an office); reduced (true = rent lowered recently);
+ *          sort (field, "reduced" for latest price drops first, "distance" or "relevance")
  */
 exports.getProperties = asyncHandler(async (req, res) => {
   const {
     search,
-    city,
-    area,
-    minRent,
-    maxRent,
-    propertyType,
-    amenities,
-    status,
+    lat,
+    lng,
+    nearLat,
+    nearLng,
     page = 1,
-    limit = 20,
-    sort = '-createdAt'
+    limit = 20
   } = req.query;
 
+  const hasSearch = search && search.trim();
+
   // Build filter object
-  const filter = { isActive: true };
+  const filter = buildPropertyFilter(req.query);
 
-  // Only show available properties by default
-  if (status) {
-    filter.status = status;
-  } else {
-    filter.status = 'available';
+  // Point distances are measured from: a chosen landmark, else the search centre
+  let point = null;
+  if (nearLat && nearLng) {
+    point = [parseFloat(nearLng), parseFloat(nearLat)];
+  } else if (lat && lng) {
+    point = [parseFloat(lng), parseFloat(lat)];
   }
+  if (point && point.some(Number.isNaN)) point = null;
 
-  // Text search (title, description, location)
-  if (search && search.trim()) {
-    filter.$text = { $search: search.trim() };
-  }
-
-  // Location filters
-  if (city) filter['location.city'] = city;
-  if (area) filter['location.area'] = { $regex: area, $options: 'i' };
-
-  // Geospatial Search (Radius in km)
-  const { lat, lng, radius } = req.query;
-  if (lat && lng) {
-    const radiusInKm = parseFloat(radius) || 5; // Default 5km
-    const radiusInMeters = radiusInKm * 1000;
-
-    filter['location.coordinates'] = {
-      $near: {
-        $geometry: {
-          type: 'Point',
-          coordinates: [parseFloat(lng), parseFloat(lat)]
-        },
-        $maxDistance: radiusInMeters
-      }
-    };
-  }
+  let properties;
+  let total;
 
-  // Price range filter
-  if (minRent || maxRent) {
-    filter.rent = {};
-    if (minRent) filter.rent.$gte = parseInt(minRent);
-    if (maxRent) filter.rent.$lte = parseInt(maxRent);
-  }
+  if (point) {
+    // Every result gets its distance; nearest first unless another sort (or relevance) is asked for
+    const sort = req.query.sort || (hasSearch ? 'relevance' : 'distance');
 
-  // Property type filter
-  if (propertyType) {
-    if (Array.isArray(propertyType)) {
-      filter.propertyType = { $in: propertyType };
+    ({ properties, total } = await propertySearchService.searchByDistance(filter, {
+      point,
+      sort: SORT_ALIASES[sort] || sort,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    }));
+  } else {
+    const { sort = '-createdAt' } = req.query;
+    let query = Property.find(filter);
+
+    // If text search, sort by relevance score
+    if (hasSearch) {
+      query = query.select({ score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' } });
     } else {
-      filter.propertyType = propertyType;
+      query = query.sort(SORT_ALIASES[sort] || sort);
     }
-  }
 
-  // Amenities filter
-  if (amenities) {
-    const amenitiesArray = Array.isArray(amenities) ? amenities : amenities.split(',');
-    amenitiesArray.forEach(amenity => {
-      filter[`amenities.${amenity}`] = true;
-    });
+    // Execute query with pagination
+    properties = await query
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate('owner', 'name phone photoURL rating totalRatings isVerified');
+
+    total = await Property.countDocuments(filter);
   }
 
-  // Pagination
-  const skip = (page - 1) * limit;
+  res.status(200).json({
+    success: true,
+    count: properties.length,
+    total,
+    properties,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+      hasMore: page * limit < total
+    }
+  });
+});
+
+/**
+ * @desc    Search listings inside a drawn shape
+ * @route   POST /api/properties/search/area
+ * @access  Public
+ * @body    { shape: GeoJSON Polygon|MultiPolygon, search, city, area, minRent, maxRent, propertyType,
+ *            amenities, status, reduced, page, limit, sort }
+ */
+exports.searchPropertiesInArea = asyncHandler(async (req, res) => {
+  const { shape, search, sort = '-createdAt' } = req.body;
+  const page = parseInt(req.body.page) || 1;
+  const limit = parseInt(req.body.limit) || 20;
+
+  // The shape replaces any radius search
+  const filter = buildPropertyFilter({ ...req.body, lat: undefined, lng: undefined }, { shape });
 
-  // Build query
   let query = Property.find(filter);
 
-  // If text search, sort by relevance score
   if (search && search.trim()) {
     query = query.select({ score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' } });
-  } else if (lat && lng) {
-    // If geospatial search, do NOT apply explicit sort as $near sorts by distance
-    // and MongoDB throws error if we try to sort on top of $near
   } else {
-    query = query.sort(sort);
+    query = query.sort(SORT_ALIASES[sort] || sort);
   }
 
-  // Execute query with pagination
   const properties = await query
-    .skip(skip)
-    .limit(parseInt(limit))
+    .skip((page - 1) * limit)
+    .limit(limit)
     .populate('owner', 'name phone photoURL rating totalRatings isVerified');
 
-  // Create a separate filter for counting because $near is not supported in countDocuments
-  // $near implies sorting, which countDocuments doesn't support
-  const countFilter = { ...filter };
-
-  if (lat && lng) {
-    const radiusInKm = parseFloat(radius) || 5;
-    const radiusInRadians = radiusInKm / 6378.1; // Earth radius in km
-
-    // Replace $near with $geoWithin + $centerSphere for counting
-    countFilter['location.coordinates'] = {
-      $geoWithin: {
-        $centerSphere: [[parseFloat(lng), parseFloat(lat)], radiusInRadians]
-      }
-    };
-  }
-
-  const total = await Property.countDocuments(countFilter);
+  // $geoWithin (unlike $near) is allowed in counts, so the same filter gives the total
+  const total = await Property.countDocuments(filter);
 
   res.status(200).json({
     success: true,
@@ -129,14 +247,32 @@ exports.getProperties = asyncHandler(async (req, res) => {
     total,
     properties,
     pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
+      page,
+      limit,
       pages: Math.ceil(total / limit),
       hasMore: page * limit < total
     }
   });
 });
 
+/**
+ * @desc    Get listings inside a map viewport (pins, or clusters when there are many)
+ * @route   GET /api/properties/map
+ * @access  Public
+ * @query   bbox (minLng,minLat,maxLng,maxLat), zoom (0-22), plus any GET /api/properties filter
+ */
+exports.getMapProperties = asyncHandler(async (req, res) => {
+  const result = await mapSearchService.searchMap(req.query, {
+    bbox: parseBoundingBox(req.query.bbox),
+    zoom: parseInt(req.query.zoom)
+  });
+
+  res.status(200).json({
+    success: true,
+    ...result
+  });
+});
+
 /**
  * @desc    Get featured properties
  * @route   GET /api/properties/featured
@@ -146,7 +282,7 @@ exports.getFeaturedProperties = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
 
   const properties = await Property.find({
-    isActive: true,
+    ...visibleListingFilter(),
     status: 'available',
     isFeatured: true
   })
@@ -161,6 +297,33 @@ exports.getFeaturedProperties = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Get listings recommended for the logged-in tenant (ranked)
+ * @route   GET /api/properties/recommended
+ * @access  Private
+ * @query   page, limit
+ */
+exports.getRecommendedProperties = asyncHandler(async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+  const { strategy, properties, total } = await recommendationService.getRecommendations(req.user, { page, limit });
+
+  res.status(200).json({
+    success: true,
+    strategy,
+    count: properties.length,
+    total,
+    properties,
+    pagination: {
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      hasMore: page * limit < total
+    }
+  });
+});
+
 /**
  * @desc    Get single property by ID
  * @route   GET /api/properties/:id
@@ -177,12 +340,50 @@ exports.getProperty = asyncHandler(async (req, res) => {
     });
   }
 
+  // Listings still in moderation are only visible to their owner and staff
+  if (!property.isPubliclyVisible()) {
+    const isOwner = req.user && property.owner._id.toString() === req.user._id.toString();
+    const isStaff = req.user && req.user.isStaff();
+
+    if (!isOwner && !isStaff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+  }
+
   res.status(200).json({
     success: true,
     property
   });
 });
 
+/**
+ * @desc    Get available listings similar to a property (most similar first)
+ * @route   GET /api/properties/:id/similar
+ * @access  Public
+ * @query   limit (default: 6, max: 20)
+ */
+exports.getSimilarProperties = asyncHandler(async (req, res) => {
+  const limit = Math.min(20, Math.max(1, parseInt(req.query.limit) || 6));
+
+  const properties = await similarListingsService.getSimilarListings(req.params.id, { limit });
+
+  if (!properties) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    count: properties.length,
+    properties
+  });
+});
+
 /**
  * @desc    Create new property
  * @route   POST /api/properties
@@ -197,10 +398,12 @@ exports.createProperty = asyncHandler(async (req, res) => {
     });
   }
 
-  // Upload images if provided
+  // Upload images if provided (resized into thumbnail/card/full)
   let imageUrls = [];
+  let imageVariants = [];
   if (req.files && req.files.length > 0) {
-    imageUrls = await uploadMultipleImages(req.files, 'gharbeti/properties');
+    imageVariants = await uploadMultipleImageVariants(req.files, 'gharbeti/properties');
+    imageUrls = imageVariants.map(variant => variant.full);
   } else if (req.body.images) {
     // If images are provided as URLs (for testing)
     imageUrls = Array.isArray(req.body.images) ? req.body.images : [req.body.images];
@@ -239,6 +442,11 @@ exports.createProperty = asyncHandler(async (req, res) => {
     }
   }
 
+  // Canonical city / area names and gazetteer IDs, so "KTM" and "Kathmandu" are the same city
+  if (location && typeof location === 'object') {
+    location = gazetteer.normalizeLocation(location);
+  }
+
   // Parse amenities if it's a string
   let amenities = req.body.amenities;
   if (typeof amenities === 'string') {
@@ -249,13 +457,20 @@ exports.createProperty = asyncHandler(async (req, res) => {
     }
   }
 
+  // New listings go to the review queue unless saved as a draft
+  const isDraft = req.body.draft === true || req.body.draft === 'true';
+  delete req.body.draft;
+
   // Create property
   const property = await Property.create({
-    ...req.body,
+    ...stripProtectedFields(req.body),
     location,
     amenities,
     images: imageUrls,
-    owner: req.user._id
+    imageVariants,
+    owner: req.user._id,
+    moderationStatus: isDraft ? 'draft' : 'pending_review',
+    submittedAt: isDraft ? undefined : Date.now()
   });
 
   // Update user's total listings count
@@ -263,10 +478,25 @@ exports.createProperty = asyncHandler(async (req, res) => {
     $inc: { totalListings: 1 }
   });
 
+  // Reposts of another owner's listing are flagged for moderators
+  const duplicateWarning = await checkForDuplicates(property);
+
+  if (!isDraft) {
+    notifyModeratorsOfSubmission(property);
+  }
+
+  // Alert tenants whose saved searches match (in background)
+  savedSearchService.processListing(property, 'created').catch(err => {
+    console.error('Failed to process saved search alerts:', err);
+  });
+
   res.status(201).json({
     success: true,
-    message: 'Property created successfully',
-    property
+    message: isDraft
+      ? 'Property saved as draft'
+      : 'Property submitted for review. It will be published once approved.',
+    property,
+    duplicateWarning
   });
 });
 
@@ -286,7 +516,7 @@ exports.updateProperty = asyncHandler(async (req, res) => {
   }
 
   // Check if user owns this property
-  if (property.owner.toString() !== req.user._id.toString()) {
+  if (property.owner._id.toString() !== req.user._id.toString()) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to update this property'
@@ -295,19 +525,15 @@ exports.updateProperty = asyncHandler(async (req, res) => {
 
   // Handle image updates if new images are provided
   let imageUrls = property.images;
+  let imageVariants = property.imageVariants;
   if (req.files && req.files.length > 0) {
     // Upload new images
-    const newImageUrls = await uploadMultipleImages(req.files, 'gharbeti/properties');
-
-    // Delete old images (in background)
-    deleteMultipleImages(property.images).catch(err => {
-      console.error('Failed to delete old images:', err);
-    });
-
-    imageUrls = newImageUrls;
+    imageVariants = await uploadMultipleImageVariants(req.files, 'gharbeti/properties');
+    imageUrls = imageVariants.map(variant => variant.full);
   } else if (req.body.images) {
     // If images are provided as URLs
     imageUrls = Array.isArray(req.body.images) ? req.body.images : [req.body.images];
+    imageVariants = propertyImageService.orderVariants(property.imageVariants, imageUrls);
   }
 
   // Parse location if it's a string
@@ -335,6 +561,11 @@ exports.updateProperty = asyncHandler(async (req, res) => {
     }
   }
 
+  // Canonical city / area names and gazetteer IDs (only for a newly sent location)
+  if (location && typeof location === 'object' && location !== property.location) {
+    location = gazetteer.normalizeLocation(location);
+  }
+
   // Parse amenities if it's a string
   let amenities = req.body.amenities;
   if (typeof amenities === 'string') {
@@ -345,14 +576,31 @@ exports.updateProperty = asyncHandler(async (req, res) => {
     }
   }
 
-  // Update property
+  const removedImages = propertyImageService.getStoredFiles(
+    property,
+    property.images.filter(url => !imageUrls.includes(url))
+  );
+
+  const previousRent = property.rent;
+
+  // Edited content goes back through moderation before it is public again
+  const needsReview = property.isApproved() &&
+    changesReviewedContent(property, req.body, imageUrls);
+  const reviewUpdate = needsReview
+    ? { moderationStatus: 'pending_review', submittedAt: Date.now() }
+    : {};
+
+  // Update property (a rent change is added to the price history in the same write)
   property = await Property.findByIdAndUpdate(
     req.params.id,
     {
-      ...req.body,
+      ...stripProtectedFields(req.body),
+      ...priceHistoryService.rentChangeUpdate(property, req.body.rent),
+      ...reviewUpdate,
       location: location || property.location,
       amenities: amenities || property.amenities,
-      images: imageUrls
+      images: imageUrls,
+      imageVariants
     },
     {
       new: true,
@@ -360,10 +608,32 @@ exports.updateProperty = asyncHandler(async (req, res) => {
     }
   );
 
+  // Queue replaced images for deletion once the update has stuck (retried until storage confirms)
+  await storageCleanup.queueDeletion(removedImages, `Replaced on property ${property._id}`);
+
+  const duplicateWarning = await checkForDuplicates(property);
+
+  // Alert tenants whose saved searches now match (in background)
+  savedSearchService.processListing(property, 'updated').catch(err => {
+    console.error('Failed to process saved search alerts:', err);
+  });
+
+  // Tell tenants who favorited the listing about a lower rent (in background)
+  priceHistoryService.notifyPriceDrop(property, previousRent).catch(err => {
+    console.error('Failed to send price drop alerts:', err);
+  });
+
+  if (needsReview) {
+    notifyModeratorsOfSubmission(property, 'edited');
+  }
+
   res.status(200).json({
     success: true,
-    message: 'Property updated successfully',
-    property
+    message: needsReview
+      ? 'Property updated and sent back for review. It will be public again once approved.'
+      : 'Property updated successfully',
+    property,
+    duplicateWarning
   });
 });
 
@@ -390,14 +660,15 @@ exports.deleteProperty = asyncHandler(async (req, res) => {
     });
   }
 
-  // Delete images from Cloudinary (in background)
-  deleteMultipleImages(property.images).catch(err => {
-    console.error('Failed to delete images:', err);
-  });
-
   // Delete property
   await property.deleteOne();
 
+  // Queue images for deletion from Cloudinary (retried until storage confirms)
+  await storageCleanup.queueDeletion(
+    propertyImageService.getStoredFiles(property, property.images),
+    `Property ${property._id} deleted`
+  );
+
   // Update user's total listings count
   await User.findByIdAndUpdate(req.user._id, {
     $inc: { totalListings: -1 }
@@ -415,7 +686,7 @@ exports.deleteProperty = asyncHandler(async (req, res) => {
  * @access  Private (Owner/Both)
  */
 exports.getMyListings = asyncHandler(async (req, res) => {
-  const { status, page = 1, limit = 20, sort = '-createdAt' } = req.query;
+  const { status, moderationStatus, page = 1, limit = 20, sort = '-createdAt' } = req.query;
 
   const filter = { owner: req.user._id };
 
@@ -423,6 +694,10 @@ exports.getMyListings = asyncHandler(async (req, res) => {
     filter.status = status;
   }
 
+  if (moderationStatus) {
+    filter.moderationStatus = moderationStatus;
+  }
+
   const skip = (page - 1) * limit;
 
   const properties = await Property.find(filter)
@@ -448,19 +723,82 @@ exports.getMyListings = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Update property status (available/rented)
+ *          Marking rented opens a tenancy record, marking available closes it
  * @route   PATCH /api/properties/:id/status
  * @access  Private (Owner of property)
+ * @body    { status, tenantId, startDate, endDate, rent, securityDeposit }
  */
 exports.updatePropertyStatus = asyncHandler(async (req, res) => {
-  const { status } = req.body;
+  const { status, tenantId, startDate, endDate, rent, securityDeposit } = req.body;
+
+  const property = await Property.findById(req.params.id);
 
-  if (!status || !['available', 'rented'].includes(status)) {
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  // Check if user owns this property
+  if (property.owner._id.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this property'
+    });
+  }
+
+  const check = property.canChangeStatus(status);
+
+  if (!check.allowed) {
     return res.status(400).json({
       success: false,
-      message: 'Please provide a valid status (available or rented)'
+      message: check.reason
+    });
+  }
+
+  let tenancy = null;
+
+  if (status === 'rented') {
+    if (tenantId && !(await User.exists({ _id: tenantId, isActive: true }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found'
+      });
+    }
+
+    tenancy = await tenancyService.markRented(property, {
+      tenant: tenantId,
+      startDate,
+      endDate,
+      rent,
+      securityDeposit
     });
+
+    // Rented outside the app - close the remaining applications
+    await applicationService.declineOpenApplications(property._id, {
+      reason: 'The property is no longer available.'
+    });
+  } else {
+    tenancy = await tenancyService.markAvailable(property);
   }
 
+  res.status(200).json({
+    success: true,
+    message: property.status === 'expired'
+      ? 'Tenancy ended. This listing has expired - relist it to make it available again.'
+      : `Property marked as ${status}`,
+    property,
+    tenancy
+  });
+});
+
+/**
+ * @desc    Submit (or resubmit) property for review
+ * @route   POST /api/properties/:id/submit
+ * @access  Private (Owner of property)
+ */
+exports.submitForReview = asyncHandler(async (req, res) => {
   const property = await Property.findById(req.params.id);
 
   if (!property) {
@@ -474,16 +812,74 @@ exports.updatePropertyStatus = asyncHandler(async (req, res) => {
   if (property.owner._id.toString() !== req.user._id.toString()) {
     return res.status(403).json({
       success: false,
-      message: 'Not authorized to update this property'
+      message: 'Not authorized to submit this property'
     });
   }
 
-  property.status = status;
+  if (!['draft', 'rejected'].includes(property.moderationStatus)) {
+    return res.status(400).json({
+      success: false,
+      message: `Property cannot be submitted while ${(property.moderationStatus || 'approved').replace('_', ' ')}`
+    });
+  }
+
+  property.moderationStatus = 'pending_review';
+  property.submittedAt = Date.now();
   await property.save();
 
+  notifyModeratorsOfSubmission(property);
+
   res.status(200).json({
     success: true,
-    message: `Property marked as ${status}`,
+    message: 'Property submitted for review',
+    property
+  });
+});
+
+/**
+ * @desc    Renew a listing before it expires, or relist an expired one
+ * @route   POST /api/properties/:id/renew
+ * @route   POST /api/properties/:id/relist
+ * @access  Private (Owner of property)
+ */
+exports.renewProperty = asyncHandler(async (req, res) => {
+  let property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  // Check if user owns this property
+  if (property.owner._id.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to renew this property'
+    });
+  }
+
+  const { allowed, reason } = property.canRenew();
+
+  if (!allowed) {
+    return res.status(400).json({
+      success: false,
+      message: reason,
+      expiresAt: property.expiresAt
+    });
+  }
+
+  const wasExpired = property.status === 'expired' || property.isExpired();
+
+  property = await listingExpiryService.renewListing(property);
+
+  res.status(200).json({
+    success: true,
+    message: wasExpired
+      ? 'Property relisted successfully'
+      : 'Property renewed successfully',
+    expiresAt: property.expiresAt,
     property
   });
 });
@@ -503,12 +899,16 @@ exports.incrementViews = asyncHandler(async (req, res) => {
     });
   }
 
-  await property.incrementViews();
+  // Repeat views from the same visitor within the dedupe window are ignored
+  const counted = await analyticsService.recordEvent(property, 'view', {
+    ...analyticsService.getVisitor(req),
+    userId: req.user && req.user._id
+  });
 
   res.status(200).json({
     success: true,
-    message: 'View counted',
-    views: property.views
+    message: counted ? 'View counted' : 'View already counted',
+    views: property.views + (counted ? 1 : 0)
   });
 });
 
@@ -527,12 +927,222 @@ exports.incrementCallClicks = asyncHandler(async (req, res) => {
     });
   }
 
-  await property.incrementCallClicks();
+  // Repeat clicks from the same visitor within the dedupe window are ignored
+  const counted = await analyticsService.recordEvent(property, 'call_click', {
+    ...analyticsService.getVisitor(req),
+    userId: req.user && req.user._id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: counted ? 'Call click counted' : 'Call click already counted',
+    clicksOnCall: property.clicksOnCall + (counted ? 1 : 0)
+  });
+});
+
+/**
+ * @desc    Get listing analytics (per-day series and conversion ratios)
+ * @route   GET /api/properties/:id/analytics
+ * @access  Private (Owner of property / Staff)
+ * @query   from, to (YYYY-MM-DD, default: last 30 days)
+ */
+exports.getPropertyAnalytics = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  // Check if user owns this property
+  if (property.owner._id.toString() !== req.user._id.toString() && !req.user.isStaff()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view analytics for this property'
+    });
+  }
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid date range (from <= to, YYYY-MM-DD)'
+    });
+  }
+
+  if (to - from > 366 * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Date range cannot exceed one year'
+    });
+  }
+
+  const analytics = await analyticsService.getListingAnalytics(property._id, from, to);
 
   res.status(200).json({
     success: true,
-    message: 'Call click counted',
-    clicksOnCall: property.clicksOnCall
+    propertyId: property._id,
+    lifetime: {
+      views: property.views,
+      callClicks: property.clicksOnCall,
+      favorites: property.totalFavorites
+    },
+    ...analytics
   });
 });
 
+
+/**
+ * Load a property for image management and check ownership
+ * @returns {Promise<object>} { property, error }
+ */
+const loadOwnedProperty = async (req) => {
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return { error: { status: 404, message: 'Property not found' } };
+  }
+
+  // Check if user owns this property
+  if (property.owner._id.toString() !== req.user._id.toString()) {
+    return { error: { status: 403, message: 'Not authorized to manage images of this property' } };
+  }
+
+  return { property };
+};
+
+/**
+ * @desc    Add images to a listing
+ * @route   POST /api/properties/:id/images
+ * @access  Private (Owner of property)
+ * @body    images (multipart)
+ */
+exports.addPropertyImages = asyncHandler(async (req, res) => {
+  const { property, error } = await loadOwnedProperty(req);
+
+  if (error) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide at least one image'
+    });
+  }
+
+  // Check before uploading so we don't store files we'll reject
+  if (property.images.length + req.files.length > propertyImageService.MAX_IMAGES) {
+    return res.status(400).json({
+      success: false,
+      message: `A listing can have at most ${propertyImageService.MAX_IMAGES} images (currently ${property.images.length})`
+    });
+  }
+
+  const variants = await uploadMultipleImageVariants(req.files, 'gharbeti/properties');
+  let updated = await propertyImageService.appendImages(property, variants);
+
+  // New photos on an approved listing go back through moderation
+  if (updated.isApproved()) {
+    updated = await Property.findByIdAndUpdate(
+      updated._id,
+      { moderationStatus: 'pending_review', submittedAt: Date.now() },
+      { new: true }
+    );
+    notifyModeratorsOfSubmission(updated, 'edited');
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${variants.length} image(s) added`,
+    images: updated.images,
+    imageVariants: updated.imageVariants
+  });
+});
+
+/**
+ * @desc    Remove one image from a listing
+ * @route   DELETE /api/properties/:id/images
+ * @access  Private (Owner of property)
+ * @body    { url }
+ */
+exports.removePropertyImage = asyncHandler(async (req, res) => {
+  const { property, error } = await loadOwnedProperty(req);
+
+  if (error) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const updated = await propertyImageService.removeImage(property, req.body.url);
+
+  res.status(200).json({
+    success: true,
+    message: 'Image removed',
+    images: updated.images,
+    imageVariants: updated.imageVariants
+  });
+});
+
+/**
+ * @desc    Reorder listing images
+ * @route   PATCH /api/properties/:id/images/order
+ * @access  Private (Owner of property)
+ * @body    { images: [url, ...] }
+ */
+exports.reorderPropertyImages = asyncHandler(async (req, res) => {
+  const { property, error } = await loadOwnedProperty(req);
+
+  if (error) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const updated = await propertyImageService.reorderImages(property, req.body.images);
+
+  res.status(200).json({
+    success: true,
+    message: 'Images reordered',
+    images: updated.images,
+    imageVariants: updated.imageVariants
+  });
+});
+
+/**
+ * @desc    Set the cover image (moves it to the front)
+ * @route   PATCH /api/properties/:id/images/cover
+ * @access  Private (Owner of property)
+ * @body    { url }
+ */
+exports.setPropertyCoverImage = asyncHandler(async (req, res) => {
+  const { property, error } = await loadOwnedProperty(req);
+
+  if (error) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const updated = await propertyImageService.setCoverImage(property, req.body.url);
+
+  res.status(200).json({
+    success: true,
+    message: 'Cover image updated',
+    images: updated.images,
+    imageVariants: updated.imageVariants
+  });
+});
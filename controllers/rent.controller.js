@@ -0,0 +1,240 @@
+const Tenancy = require('../models/Tenancy');
+const RentCharge = require('../models/RentCharge');
+const RentPayment = require('../models/RentPayment');
+const asyncHandler = require('../utils/asyncHandler');
+const rentService = require('../services/rent.service');
+const receiptService = require('../services/receipt.service');
+
+/**
+ * Check if the user is the owner or tenant on a tenancy/charge
+ * @param {object} record - Document with owner and tenant fields (not populated)
+ * @param {object} user - Current user
+ * @returns {object} { isOwner, isTenant }
+ */
+const getParty = (record, user) => {
+  const userId = user._id.toString();
+  return {
+    isOwner: record.owner.toString() === userId,
+    isTenant: Boolean(record.tenant) && record.tenant.toString() === userId
+  };
+};
+
+/**
+ * @desc    Get rent schedule and balance for a tenancy
+ * @route   GET /api/tenancies/:id/rent
+ * @access  Private (Tenant or owner)
+ */
+exports.getTenancyRent = asyncHandler(async (req, res) => {
+  const tenancy = await Tenancy.findById(req.params.id);
+
+  if (!tenancy) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tenancy not found'
+    });
+  }
+
+  const { isOwner, isTenant } = getParty(tenancy, req.user);
+
+  if (!isOwner && !isTenant) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view rent for this tenancy'
+    });
+  }
+
+  // The job extends schedules periodically; catch up here too so the view is never stale
+  if (tenancy.status === 'active') {
+    await rentService.generateSchedule(tenancy);
+  }
+
+  const charges = await RentCharge.find({ tenancy: tenancy._id }).sort({ dueDate: 1 });
+
+  res.status(200).json({
+    success: true,
+    summary: rentService.summarize(charges),
+    count: charges.length,
+    charges
+  });
+});
+
+/**
+ * @desc    Get a rent charge with its payments
+ * @route   GET /api/rent/charges/:id
+ * @access  Private (Tenant or owner)
+ */
+exports.getCharge = asyncHandler(async (req, res) => {
+  const charge = await RentCharge.findById(req.params.id).populate('property', 'title location');
+
+  if (!charge) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rent charge not found'
+    });
+  }
+
+  const { isOwner, isTenant } = getParty(charge, req.user);
+
+  if (!isOwner && !isTenant) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this charge'
+    });
+  }
+
+  const payments = await RentPayment.find({ charge: charge._id }).sort({ paidAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    charge,
+    payments
+  });
+});
+
+/**
+ * @desc    Set utility amounts for a month
+ * @route   PATCH /api/rent/charges/:id/utilities
+ * @access  Private (Owner)
+ * @body    { electricity, water }
+ */
+exports.updateUtilities = asyncHandler(async (req, res) => {
+  const charge = await RentCharge.findById(req.params.id);
+
+  if (!charge) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rent charge not found'
+    });
+  }
+
+  if (!getParty(charge, req.user).isOwner) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this charge'
+    });
+  }
+
+  await rentService.setUtilityAmounts(charge, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Utility amounts updated',
+    charge
+  });
+});
+
+/**
+ * @desc    Record a rent payment (full or partial)
+ * @route   POST /api/rent/charges/:id/payments
+ * @access  Private (Owner)
+ * @body    { amount, method: 'cash' | 'bank' | 'wallet', paidAt, reference, note }
+ */
+exports.recordPayment = asyncHandler(async (req, res) => {
+  const charge = await RentCharge.findById(req.params.id);
+
+  if (!charge) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rent charge not found'
+    });
+  }
+
+  if (!getParty(charge, req.user).isOwner) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to record payments for this charge'
+    });
+  }
+
+  if (charge.status === 'paid') {
+    return res.status(400).json({
+      success: false,
+      message: 'This charge is already fully paid'
+    });
+  }
+
+  const result = await rentService.recordPayment(charge, req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: result.charge.status === 'paid' ? 'Payment recorded. Charge fully paid.' : 'Partial payment recorded',
+    payment: result.payment,
+    charge: result.charge
+  });
+});
+
+/**
+ * @desc    Get overdue charges
+ * @route   GET /api/rent/overdue
+ * @access  Private
+ * @query   as (tenant|owner)
+ */
+exports.getOverdueCharges = asyncHandler(async (req, res) => {
+  const { as = 'owner' } = req.query;
+
+  const filter = {
+    ...RentCharge.overdueFilter(),
+    ...(as === 'tenant' ? { tenant: req.user._id } : { owner: req.user._id })
+  };
+
+  const charges = await RentCharge.find(filter)
+    .populate('property', 'title location')
+    .populate(as === 'tenant' ? 'owner' : 'tenant', 'name phone photoURL')
+    .sort({ dueDate: 1 });
+
+  res.status(200).json({
+    success: true,
+    summary: rentService.summarize(charges),
+    count: charges.length,
+    charges
+  });
+});
+
+/**
+ * @desc    Download a PDF receipt for a payment
+ * @route   GET /api/rent/payments/:id/receipt
+ * @access  Private (Tenant or owner)
+ */
+exports.downloadReceipt = asyncHandler(async (req, res) => {
+  const payment = await RentPayment.findById(req.params.id);
+
+  if (!payment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payment not found'
+    });
+  }
+
+  const charge = await RentCharge.findById(payment.charge)
+    .populate('property', 'title location')
+    .populate('owner', 'name')
+    .populate('tenant', 'name');
+
+  if (!charge) {
+    return res.status(404).json({
+      success: false,
+      message: 'Rent charge not found'
+    });
+  }
+
+  const userId = req.user._id.toString();
+  const isOwner = Boolean(charge.owner) && charge.owner._id.toString() === userId;
+  const isTenant = Boolean(charge.tenant) && charge.tenant._id.toString() === userId;
+
+  if (!isOwner && !isTenant) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to download this receipt'
+    });
+  }
+
+  const doc = receiptService.renderReceipt(payment, charge, {
+    property: charge.property,
+    owner: charge.owner,
+    tenant: charge.tenant
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${payment.receiptNumber}.pdf"`);
+  doc.pipe(res);
+});
@@ -0,0 +1,150 @@
+const Report = require('../models/Report');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const reportService = require('../services/report.service');
+
+/**
+ * @desc    Report a listing
+ * @route   POST /api/properties/:id/report
+ * @access  Private
+ * @body    { reason, details }
+ */
+exports.reportProperty = asyncHandler(async (req, res) => {
+  const { reason, details } = req.body;
+
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  if (property.owner._id.toString() === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot report your own listing'
+    });
+  }
+
+  const existing = await Report.findOne({
+    reporter: req.user._id,
+    targetType: 'Property',
+    target: property._id
+  });
+
+  if (existing) {
+    return res.status(400).json({
+      success: false,
+      message: 'You have already reported this listing',
+      report: existing
+    });
+  }
+
+  const { report } = await reportService.createReport({
+    reporter: req.user,
+    targetType: 'Property',
+    target: property,
+    reason,
+    details
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Thanks for letting us know. Our team will review this listing.',
+    report
+  });
+});
+
+/**
+ * @desc    Report a user
+ * @route   POST /api/users/:id/report
+ * @access  Private
+ * @body    { reason, details }
+ */
+exports.reportUser = asyncHandler(async (req, res) => {
+  const { reason, details } = req.body;
+
+  if (req.params.id === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot report yourself'
+    });
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const existing = await Report.findOne({
+    reporter: req.user._id,
+    targetType: 'User',
+    target: user._id
+  });
+
+  if (existing) {
+    return res.status(400).json({
+      success: false,
+      message: 'You have already reported this user',
+      report: existing
+    });
+  }
+
+  const { report } = await reportService.createReport({
+    reporter: req.user,
+    targetType: 'User',
+    target: user,
+    reason,
+    details
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Thanks for letting us know. Our team will review this account.',
+    report
+  });
+});
+
+/**
+ * @desc    Get reports filed by current user with their outcome
+ * @route   GET /api/reports/mine
+ * @access  Private
+ * @query   status, page, limit
+ */
+exports.getMyReports = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const filter = { reporter: req.user._id };
+  if (status) filter.status = status;
+
+  const skip = (page - 1) * limit;
+
+  const reports = await Report.find(filter)
+    .select('-resolvedBy')
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('target', 'title name images photoURL');
+
+  const total = await Report.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: reports.length,
+    total,
+    reports,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+      hasMore: page * limit < total
+    }
+  });
+});
@@ -0,0 +1,305 @@
+const Review = require('../models/Review');
+const User = require('../models/User');
+const Property = require('../models/Property');
+const asyncHandler = require('../utils/asyncHandler');
+const reviewService = require('../services/review.service');
+const notificationService = require('../services/notification.service');
+
+/**
+ * @desc    Get published reviews for an owner
+ * @route   GET /api/users/:id/reviews
+ * @access  Public
+ * @query   page, limit, sort
+ */
+exports.getOwnerReviews = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, sort = '-createdAt' } = req.query;
+
+  const owner = await User.findById(req.params.id);
+
+  if (!owner || !owner.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const filter = { owner: owner._id, status: 'published' };
+
+  const skip = (page - 1) * limit;
+
+  const reviews = await Review.find(filter)
+    .select('-reports')
+    .sort(sort)
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('reviewer', 'name photoURL')
+    .populate('property', 'title location.area location.city');
+
+  const total = await Review.countDocuments(filter);
+  const breakdown = await Review.getRatingBreakdown(owner._id);
+
+  res.status(200).json({
+    success: true,
+    count: reviews.length,
+    total,
+    rating: owner.rating,
+    totalRatings: owner.totalRatings,
+    breakdown,
+    reviews,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+      hasMore: page * limit < total
+    }
+  });
+});
+
+/**
+ * @desc    Check if current user can review an owner
+ * @route   GET /api/reviews/eligibility/:ownerId
+ * @access  Private
+ */
+exports.checkEligibility = asyncHandler(async (req, res) => {
+  const eligibility = await reviewService.getEligibility(req.user._id, req.params.ownerId);
+
+  const existing = await Review.findOne({
+    owner: req.params.ownerId,
+    reviewer: req.user._id
+  }).select('_id rating');
+
+  res.status(200).json({
+    success: true,
+    eligible: eligibility.eligible,
+    basis: eligibility.basis,
+    existingReview: existing
+  });
+});
+
+/**
+ * @desc    Create review for an owner
+ * @route   POST /api/reviews
+ * @access  Private (Tenants who rented from, viewed with or heard back from the owner)
+ * @body    { ownerId, propertyId (optional), rating, comment }
+ */
+exports.createReview = asyncHandler(async (req, res) => {
+  const { ownerId, propertyId, rating, comment } = req.body;
+
+  if (ownerId === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot review yourself'
+    });
+  }
+
+  const owner = await User.findById(ownerId);
+
+  if (!owner || !owner.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'Owner not found'
+    });
+  }
+
+  if (propertyId && !(await Property.exists({ _id: propertyId, owner: owner._id }))) {
+    return res.status(400).json({
+      success: false,
+      message: 'That property does not belong to this owner'
+    });
+  }
+
+  const eligibility = await reviewService.getEligibility(req.user._id, owner._id);
+
+  if (!eligibility.eligible) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only review owners who have replied to you, shown you a property or rented to you'
+    });
+  }
+
+  const existing = await Review.findOne({ owner: owner._id, reviewer: req.user._id });
+
+  if (existing) {
+    return res.status(400).json({
+      success: false,
+      message: 'You have already reviewed this owner. Edit your existing review instead.',
+      reviewId: existing._id
+    });
+  }
+
+  const review = await Review.create({
+    owner: owner._id,
+    reviewer: req.user._id,
+    property: propertyId || eligibility.propertyId,
+    rating,
+    comment
+  });
+
+  await notificationService.notify(owner._id, {
+    type: 'review_received',
+    title: 'You received a new review',
+    body: `${req.user.name} rated you ${rating}/5.`,
+    data: { reviewId: review._id }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Review posted successfully',
+    review
+  });
+});
+
+/**
+ * @desc    Update own review
+ * @route   PUT /api/reviews/:id
+ * @access  Private (Reviewer)
+ * @body    { rating, comment }
+ */
+exports.updateReview = asyncHandler(async (req, res) => {
+  const { rating, comment } = req.body;
+
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+  }
+
+  // Check if user wrote this review
+  if (review.reviewer.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this review'
+    });
+  }
+
+  if (rating !== undefined) review.rating = rating;
+  if (comment !== undefined) review.comment = comment;
+  review.isEdited = true;
+  await review.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Review updated successfully',
+    review
+  });
+});
+
+/**
+ * @desc    Delete own review
+ * @route   DELETE /api/reviews/:id
+ * @access  Private (Reviewer)
+ */
+exports.deleteReview = asyncHandler(async (req, res) => {
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+  }
+
+  // Check if user wrote this review
+  if (review.reviewer.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to delete this review'
+    });
+  }
+
+  // findOneAndDelete so the rating hook runs
+  await Review.findOneAndDelete({ _id: review._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Review deleted successfully'
+  });
+});
+
+/**
+ * @desc    Reply to a review (one public reply, can be edited)
+ * @route   POST /api/reviews/:id/reply
+ * @access  Private (Reviewed owner)
+ * @body    { text }
+ */
+exports.replyToReview = asyncHandler(async (req, res) => {
+  const { text } = req.body;
+
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+  }
+
+  // Only the reviewed owner can reply
+  if (review.owner.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the reviewed owner can reply to this review'
+    });
+  }
+
+  review.reply = {
+    text,
+    repliedAt: Date.now()
+  };
+  await review.save();
+
+  await notificationService.notify(review.reviewer, {
+    type: 'review_reply',
+    title: 'The owner replied to your review',
+    body: text.length > 100 ? `${text.slice(0, 97)}...` : text,
+    data: { reviewId: review._id, ownerId: review.owner }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Reply posted successfully',
+    review
+  });
+});
+
+/**
+ * @desc    Report a review for abuse
+ * @route   POST /api/reviews/:id/report
+ * @access  Private
+ * @body    { reason, details }
+ */
+exports.reportReview = asyncHandler(async (req, res) => {
+  const { reason, details } = req.body;
+
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+  }
+
+  const alreadyReported = review.reports.some(
+    report => report.user.toString() === req.user._id.toString()
+  );
+
+  if (alreadyReported) {
+    return res.status(400).json({
+      success: false,
+      message: 'You have already reported this review'
+    });
+  }
+
+  review.reports.push({ user: req.user._id, reason, details });
+  review.reportCount = review.reports.length;
+  await review.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Review reported. Our team will look into it.'
+  });
+});
@@ -0,0 +1,203 @@
+const SavedSearch = require('../models/SavedSearch');
+const SearchAlert = require('../models/SearchAlert');
+const asyncHandler = require('../utils/asyncHandler');
+const gazetteer = require('../services/gazetteer.service');
+
+/**
+ * Normalise filters sent by the client
+ * Accepts the same shapes as GET /api/properties (comma separated lists or arrays)
+ * @param {object|string} filters - Raw filters from request body
+ * @returns {object} Filters ready to store on a SavedSearch
+ */
+const parseFilters = (filters) => {
+  if (typeof filters === 'string') {
+    try {
+      filters = JSON.parse(filters);
+    } catch (e) {
+      filters = {};
+    }
+  }
+
+  const parsed = { ...(filters || {}) };
+
+  ['propertyType', 'amenities'].forEach(key => {
+    if (typeof parsed[key] === 'string') {
+      parsed[key] = parsed[key].split(',').map(v => v.trim()).filter(Boolean);
+    }
+  });
+
+  // Store the canonical city name so alert matching agrees with normalised listings
+  if (typeof parsed.city === 'string' && !gazetteer.isLocationId(parsed.city)) {
+    const city = gazetteer.resolveCity(parsed.city);
+    if (city) parsed.city = city.name;
+  }
+
+  return parsed;
+};
+
+/**
+ * @desc    Get user's saved searches
+ * @route   GET /api/saved-searches
+ * @access  Private
+ */
+exports.getSavedSearches = asyncHandler(async (req, res) => {
+  const savedSearches = await SavedSearch.find({ user: req.user._id })
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: savedSearches.length,
+    savedSearches
+  });
+});
+
+/**
+ * @desc    Get single saved search
+ * @route   GET /api/saved-searches/:id
+ * @access  Private
+ */
+exports.getSavedSearch = asyncHandler(async (req, res) => {
+  const savedSearch = await SavedSearch.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!savedSearch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Saved search not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    savedSearch
+  });
+});
+
+/**
+ * @desc    Create saved search
+ * @route   POST /api/saved-searches
+ * @access  Private
+ */
+exports.createSavedSearch = asyncHandler(async (req, res) => {
+  const { name, filters, alertsEnabled } = req.body;
+
+  const savedSearch = await SavedSearch.create({
+    user: req.user._id,
+    name,
+    filters: parseFilters(filters),
+    alertsEnabled
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Search saved successfully',
+    savedSearch
+  });
+});
+
+/**
+ * @desc    Update saved search
+ * @route   PUT /api/saved-searches/:id
+ * @access  Private
+ */
+exports.updateSavedSearch = asyncHandler(async (req, res) => {
+  const { name, filters, alertsEnabled } = req.body;
+
+  // Build update object (only include fields that were provided)
+  const updateData = {};
+  if (name !== undefined) updateData.name = name;
+  if (filters !== undefined) updateData.filters = parseFilters(filters);
+  if (alertsEnabled !== undefined) updateData.alertsEnabled = alertsEnabled;
+
+  const savedSearch = await SavedSearch.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id },
+    updateData,
+    {
+      new: true,
+      runValidators: true
+    }
+  );
+
+  if (!savedSearch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Saved search not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Saved search updated successfully',
+    savedSearch
+  });
+});
+
+/**
+ * @desc    Delete saved search
+ * @route   DELETE /api/saved-searches/:id
+ * @access  Private
+ */
+exports.deleteSavedSearch = asyncHandler(async (req, res) => {
+  const savedSearch = await SavedSearch.findOneAndDelete({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!savedSearch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Saved search not found'
+    });
+  }
+
+  await SearchAlert.deleteMany({ savedSearch: savedSearch._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Saved search deleted successfully'
+  });
+});
+
+/**
+ * @desc    Get listings alerted for user's saved searches
+ * @route   GET /api/saved-searches/alerts
+ * @access  Private
+ */
+exports.getAlerts = asyncHandler(async (req, res) => {
+  const { savedSearch, page = 1, limit = 20 } = req.query;
+
+  const filter = { user: req.user._id };
+
+  if (savedSearch) {
+    filter.savedSearch = savedSearch;
+  }
+
+  const skip = (page - 1) * limit;
+
+  const alerts = await SearchAlert.find(filter)
+    .sort('-createdAt')
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('savedSearch', 'name')
+    .populate('property', 'title propertyType rent location images status isPremium isFeatured');
+
+  // Filter out alerts where property might have been deleted
+  const validAlerts = alerts.filter(alert => alert.property !== null);
+
+  const total = await SearchAlert.countDocuments(filter);
+
+  res.status(200).json({
+    success: true,
+    count: validAlerts.length,
+    total,
+    alerts: validAlerts,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit),
+      hasMore: page * limit < total
+    }
+  });
+});
@@ -0,0 +1,112 @@
+const Tenancy = require('../models/Tenancy');
+const Property = require('../models/Property');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * @desc    Get my tenancy history (as tenant or as owner)
+ * @route   GET /api/tenancies/mine
+ * @access  Private
+ * @query   as (tenant|owner), status, page, limit
+ */
+exports.getMyTenancies = asyncHandler(async (req, res) => {
+  const { as = 'tenant', status, page = 1, limit = 20 } = req.query;
+
+  const filter = as === 'owner' ? { owner: req.user._id } : { tenant: req.user._id };
+  if (status) filter.status = status;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [tenancies, total] = await Promise.all([
+    Tenancy.find(filter)
+      .populate('property', 'title location images')
+      .populate(as === 'owner' ? 'tenant' : 'owner', 'name phone photoURL')
+      .sort({ startDate: -1 })
+      .skip(skip)
+      .limit(limitNum),
+    Tenancy.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: tenancies.length,
+    total,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      pages: Math.ceil(total / limitNum),
+      hasMore: skip + tenancies.length < total
+    },
+    tenancies
+  });
+});
+
+/**
+ * @desc    Get a single tenancy
+ * @route   GET /api/tenancies/:id
+ * @access  Private (Tenant or owner)
+ */
+exports.getTenancy = asyncHandler(async (req, res) => {
+  const tenancy = await Tenancy.findById(req.params.id)
+    .populate('property', 'title location images')
+    .populate('owner', 'name phone photoURL')
+    .populate('tenant', 'name phone photoURL');
+
+  if (!tenancy) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tenancy not found'
+    });
+  }
+
+  const userId = req.user._id.toString();
+  const isTenant = tenancy.tenant && tenancy.tenant._id.toString() === userId;
+  const isOwner = tenancy.owner && tenancy.owner._id.toString() === userId;
+
+  if (!isTenant && !isOwner) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this tenancy'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    tenancy
+  });
+});
+
+/**
+ * @desc    Get tenancy history of a property
+ * @route   GET /api/properties/:id/tenancies
+ * @access  Private (Owner of property)
+ */
+exports.getPropertyTenancies = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  // Check if user owns this property
+  if (property.owner._id.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view tenancies for this property'
+    });
+  }
+
+  const tenancies = await Tenancy.find({ property: property._id })
+    .populate('tenant', 'name phone photoURL')
+    .sort({ startDate: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: tenancies.length,
+    tenancies
+  });
+});
@@ -0,0 +1,43 @@
+const User = require('../models/User');
+const Property = require('../models/Property');
+const asyncHandler = require('../utils/asyncHandler');
+const { visibleListingFilter } = require('../utils/propertyFilters');
+
+/**
+ * @desc    Get public profile of a user (owner profile page)
+ * @route   GET /api/users/:id
+ * @access  Public
+ */
+exports.getUserProfile = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user || !user.isActive) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  const activeListings = await Property.countDocuments({
+    ...visibleListingFilter(),
+    owner: user._id,
+    status: 'available'
+  });
+
+  res.status(200).json({
+    success: true,
+    user: {
+      id: user._id,
+      name: user.name,
+      role: user.role,
+      photoURL: user.photoURL,
+      bio: user.bio,
+      rating: user.rating,
+      totalRatings: user.totalRatings,
+      totalListings: user.totalListings,
+      activeListings,
+      isVerified: user.isVerified,
+      createdAt: user.createdAt
+    }
+  });
+});
@@ -0,0 +1,288 @@
+const Property = require('../models/Property');
+const ViewingSlot = require('../models/ViewingSlot');
+const Viewing = require('../models/Viewing');
+const asyncHandler = require('../utils/asyncHandler');
+const viewingService = require('../services/viewing.service');
+
+/**
+ * @desc    Get viewing slots for a property
+ * @route   GET /api/properties/:id/viewing-slots
+ * @access  Private (tenants see open slots, owner sees all upcoming slots)
+ */
+exports.getPropertySlots = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  const isOwner = property.owner._id.toString() === req.user._id.toString();
+
+  if (!isOwner && !property.isPubliclyVisible()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  const filter = {
+    property: property._id,
+    startsAt: { $gt: new Date() },
+    status: isOwner ? { $ne: 'cancelled' } : 'open'
+  };
+
+  let query = ViewingSlot.find(filter).sort({ startsAt: 1 });
+
+  if (isOwner) {
+    query = query.populate({
+      path: 'viewing',
+      select: 'tenant note status',
+      populate: { path: 'tenant', select: 'name phone photoURL' }
+    });
+  }
+
+  const slots = await query;
+
+  res.status(200).json({
+    success: true,
+    count: slots.length,
+    slots
+  });
+});
+
+/**
+ * @desc    Publish viewing slots for a property
+ * @route   POST /api/properties/:id/viewing-slots
+ * @access  Private (Owner of property)
+ * @body    { slots: [{ startsAt, endsAt }] }
+ */
+exports.createSlots = asyncHandler(async (req, res) => {
+  const property = await Property.findById(req.params.id);
+
+  if (!property) {
+    return res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+  }
+
+  // Check if user owns this property
+  if (property.owner._id.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to add viewing slots to this property'
+    });
+  }
+
+  if (property.status !== 'available') {
+    return res.status(400).json({
+      success: false,
+      message: 'Viewing slots can only be added to available properties'
+    });
+  }
+
+  const slots = await viewingService.createSlots(property, req.body.slots);
+
+  res.status(201).json({
+    success: true,
+    message: `${slots.length} viewing slot(s) added`,
+    slots
+  });
+});
+
+/**
+ * @desc    Remove a viewing slot (cancels its booking, if any)
+ * @route   DELETE /api/viewings/slots/:id
+ * @access  Private (Owner of slot)
+ */
+exports.deleteSlot = asyncHandler(async (req, res) => {
+  const slot = await ViewingSlot.findById(req.params.id);
+
+  if (!slot || slot.status === 'cancelled') {
+    return res.status(404).json({
+      success: false,
+      message: 'Viewing slot not found'
+    });
+  }
+
+  if (slot.owner.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to remove this slot'
+    });
+  }
+
+  if (slot.status === 'booked' && slot.viewing) {
+    const viewing = await Viewing.findById(slot.viewing);
+    if (viewing && viewing.status === 'booked') {
+      await viewingService.cancelViewing(viewing, req.user, req.body.reason || 'The owner withdrew this time slot');
+    }
+  }
+
+  slot.status = 'cancelled';
+  slot.viewing = undefined;
+  await slot.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Viewing slot removed'
+  });
+});
+
+/**
+ * @desc    Book a viewing slot
+ * @route   POST /api/viewings/slots/:id/book
+ * @access  Private
+ * @body    { note }
+ */
+exports.bookSlot = asyncHandler(async (req, res) => {
+  const viewing = await viewingService.bookSlot(req.params.id, req.user, req.body.note);
+
+  res.status(201).json({
+    success: true,
+    message: 'Viewing booked. The owner has been notified.',
+    viewing
+  });
+});
+
+/**
+ * @desc    Get my viewings
+ * @route   GET /api/viewings
+ * @access  Private
+ * @query   as (tenant|owner), status, upcoming, page, limit
+ */
+exports.getMyViewings = asyncHandler(async (req, res) => {
+  const { as = 'tenant', status, upcoming, page = 1, limit = 20 } = req.query;
+
+  const filter = as === 'owner' ? { owner: req.user._id } : { tenant: req.user._id };
+
+  if (status) filter.status = status;
+  if (upcoming === 'true') filter.startsAt = { $gt: new Date() };
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [viewings, total] = await Promise.all([
+    Viewing.find(filter)
+      .populate('property', 'title location rent images')
+      .populate(as === 'owner' ? 'tenant' : 'owner', 'name phone photoURL')
+      .sort({ startsAt: upcoming === 'true' ? 1 : -1 })
+      .skip(skip)
+      .limit(limitNum),
+    Viewing.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: viewings.length,
+    total,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      pages: Math.ceil(total / limitNum),
+      hasMore: skip + viewings.length < total
+    },
+    viewings
+  });
+});
+
+/**
+ * @desc    Move a viewing to another slot of the same property
+ * @route   PATCH /api/viewings/:id/reschedule
+ * @access  Private (Tenant who booked)
+ * @body    { slotId }
+ */
+exports.rescheduleViewing = asyncHandler(async (req, res) => {
+  const viewing = await Viewing.findById(req.params.id);
+
+  if (!viewing) {
+    return res.status(404).json({
+      success: false,
+      message: 'Viewing not found'
+    });
+  }
+
+  if (viewing.tenant.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the tenant who booked can reschedule this viewing'
+    });
+  }
+
+  await viewingService.rescheduleViewing(viewing, req.body.slotId, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Viewing rescheduled',
+    viewing
+  });
+});
+
+/**
+ * @desc    Confirm the tenant attended a viewing
+ * @route   PATCH /api/viewings/:id/attended
+ * @access  Private (Owner)
+ */
+exports.markAttended = asyncHandler(async (req, res) => {
+  const viewing = await Viewing.findById(req.params.id);
+
+  if (!viewing) {
+    return res.status(404).json({
+      success: false,
+      message: 'Viewing not found'
+    });
+  }
+
+  if (viewing.owner.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the owner can confirm a viewing took place'
+    });
+  }
+
+  await viewingService.markAttended(viewing);
+
+  res.status(200).json({
+    success: true,
+    message: 'Viewing marked as attended',
+    viewing
+  });
+});
+
+/**
+ * @desc    Cancel a viewing
+ * @route   PATCH /api/viewings/:id/cancel
+ * @access  Private (Tenant or owner)
+ * @body    { reason }
+ */
+exports.cancelViewing = asyncHandler(async (req, res) => {
+  const viewing = await Viewing.findById(req.params.id);
+
+  if (!viewing) {
+    return res.status(404).json({
+      success: false,
+      message: 'Viewing not found'
+    });
+  }
+
+  const userId = req.user._id.toString();
+
+  if (viewing.tenant.toString() !== userId && viewing.owner.toString() !== userId) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to cancel this viewing'
+    });
+  }
+
+  await viewingService.cancelViewing(viewing, req.user, req.body.reason);
+
+  res.status(200).json({
+    success: true,
+    message: 'Viewing cancelled',
+    viewing
+  });
+});
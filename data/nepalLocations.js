@@ -0,0 +1,299 @@
+/**
+ * Nepal location gazetteer
+ * Provinces, districts, the larger municipalities and well-known areas, with the
+ * spellings and short forms people actually type (aliases)
+ * Centroids are approximate [longitude, latitude] - good for map centring, not for distance filters
+ * Wards are generated from `wards` (ward count) on a municipality and share its centroid
+ * Used by services/gazetteer.service.js - IDs built from these slugs are stored on listings, so
+ * don't rename a slug once it has shipped (add the old name as an alias instead)
+ */
+
+// ====================================
+// PROVINCES
+// ====================================
+const PROVINCES = [
+  { slug: 'koshi', name: 'Koshi', centroid: [87.30, 27.05], aliases: ['Province 1', 'Province No. 1', 'Koshi Pradesh'] },
+  { slug: 'madhesh', name: 'Madhesh', centroid: [85.90, 26.85], aliases: ['Province 2', 'Province No. 2', 'Madhesh Pradesh', 'Madhes'] },
+  { slug: 'bagmati', name: 'Bagmati', centroid: [85.45, 27.75], aliases: ['Province 3', 'Province No. 3', 'Bagmati Pradesh'] },
+  { slug: 'gandaki', name: 'Gandaki', centroid: [84.00, 28.40], aliases: ['Province 4', 'Province No. 4', 'Gandaki Pradesh'] },
+  { slug: 'lumbini', name: 'Lumbini', centroid: [82.90, 28.00], aliases: ['Province 5', 'Province No. 5', 'Lumbini Pradesh'] },
+  { slug: 'karnali', name: 'Karnali', centroid: [82.20, 29.20], aliases: ['Province 6', 'Province No. 6', 'Karnali Pradesh'] },
+  { slug: 'sudurpashchim', name: 'Sudurpashchim', centroid: [80.95, 29.25], aliases: ['Province 7', 'Province No. 7', 'Sudurpaschim', 'Far Western', 'Far West'] }
+];
+
+// ====================================
+// DISTRICTS (all 77)
+// ====================================
+const DISTRICTS = [
+  // Koshi
+  { slug: 'bhojpur', name: 'Bhojpur', province: 'koshi', centroid: [87.05, 27.17] },
+  { slug: 'dhankuta', name: 'Dhankuta', province: 'koshi', centroid: [87.33, 26.98] },
+  { slug: 'ilam', name: 'Ilam', province: 'koshi', centroid: [87.93, 26.91], aliases: ['Illam'] },
+  { slug: 'jhapa', name: 'Jhapa', province: 'koshi', centroid: [87.90, 26.63] },
+  { slug: 'khotang', name: 'Khotang', province: 'koshi', centroid: [86.80, 27.20] },
+  { slug: 'morang', name: 'Morang', province: 'koshi', centroid: [87.46, 26.67] },
+  { slug: 'okhaldhunga', name: 'Okhaldhunga', province: 'koshi', centroid: [86.50, 27.32] },
+  { slug: 'panchthar', name: 'Panchthar', province: 'koshi', centroid: [87.76, 27.15] },
+  { slug: 'sankhuwasabha', name: 'Sankhuwasabha', province: 'koshi', centroid: [87.30, 27.60] },
+  { slug: 'solukhumbu', name: 'Solukhumbu', province: 'koshi', centroid: [86.66, 27.79] },
+  { slug: 'sunsari', name: 'Sunsari', province: 'koshi', centroid: [87.15, 26.63] },
+  { slug: 'taplejung', name: 'Taplejung', province: 'koshi', centroid: [87.80, 27.60] },
+  { slug: 'terhathum', name: 'Terhathum', province: 'koshi', centroid: [87.55, 27.13], aliases: ['Tehrathum'] },
+  { slug: 'udayapur', name: 'Udayapur', province: 'koshi', centroid: [86.70, 26.85], aliases: ['Udaypur'] },
+
+  // Madhesh
+  { slug: 'bara', name: 'Bara', province: 'madhesh', centroid: [85.00, 27.05] },
+  { slug: 'dhanusha', name: 'Dhanusha', province: 'madhesh', centroid: [85.98, 26.83], aliases: ['Dhanusa'] },
+  { slug: 'mahottari', name: 'Mahottari', province: 'madhesh', centroid: [85.78, 26.85] },
+  { slug: 'parsa', name: 'Parsa', province: 'madhesh', centroid: [84.80, 27.10] },
+  { slug: 'rautahat', name: 'Rautahat', province: 'madhesh', centroid: [85.30, 26.95] },
+  { slug: 'saptari', name: 'Saptari', province: 'madhesh', centroid: [86.75, 26.60] },
+  { slug: 'sarlahi', name: 'Sarlahi', province: 'madhesh', centroid: [85.55, 26.98] },
+  { slug: 'siraha', name: 'Siraha', province: 'madhesh', centroid: [86.35, 26.75] },
+
+  // Bagmati
+  { slug: 'bhaktapur', name: 'Bhaktapur', province: 'bagmati', centroid: [85.43, 27.67] },
+  { slug: 'chitwan', name: 'Chitwan', province: 'bagmati', centroid: [84.35, 27.55], aliases: ['Chitawan'] },
+  { slug: 'dhading', name: 'Dhading', province: 'bagmati', centroid: [84.90, 27.90] },
+  { slug: 'dolakha', name: 'Dolakha', province: 'bagmati', centroid: [86.17, 27.78] },
+  { slug: 'kathmandu', name: 'Kathmandu', province: 'bagmati', centroid: [85.32, 27.71] },
+  { slug: 'kavrepalanchok', name: 'Kavrepalanchok', province: 'bagmati', centroid: [85.60, 27.53], aliases: ['Kavre', 'Kabhre', 'Kabhrepalanchok'] },
+  { slug: 'lalitpur', name: 'Lalitpur', province: 'bagmati', centroid: [85.34, 27.55] },
+  { slug: 'makwanpur', name: 'Makwanpur', province: 'bagmati', centroid: [85.03, 27.43], aliases: ['Makawanpur'] },
+  { slug: 'nuwakot', name: 'Nuwakot', province: 'bagmati', centroid: [85.20, 27.95] },
+  { slug: 'ramechhap', name: 'Ramechhap', province: 'bagmati', centroid: [86.10, 27.45] },
+  { slug: 'rasuwa', name: 'Rasuwa', province: 'bagmati', centroid: [85.35, 28.15] },
+  { slug: 'sindhuli', name: 'Sindhuli', province: 'bagmati', centroid: [85.95, 27.25] },
+  { slug: 'sindhupalchok', name: 'Sindhupalchok', province: 'bagmati', centroid: [85.70, 27.95], aliases: ['Sindhupalchowk'] },
+
+  // Gandaki
+  { slug: 'baglung', name: 'Baglung', province: 'gandaki', centroid: [83.35, 28.35] },
+  { slug: 'gorkha', name: 'Gorkha', province: 'gandaki', centroid: [84.80, 28.30] },
+  { slug: 'kaski', name: 'Kaski', province: 'gandaki', centroid: [83.95, 28.30] },
+  { slug: 'lamjung', name: 'Lamjung', province: 'gandaki', centroid: [84.40, 28.25] },
+  { slug: 'manang', name: 'Manang', province: 'gandaki', centroid: [84.10, 28.67] },
+  { slug: 'mustang', name: 'Mustang', province: 'gandaki', centroid: [83.85, 28.99] },
+  { slug: 'myagdi', name: 'Myagdi', province: 'gandaki', centroid: [83.40, 28.50] },
+  { slug: 'nawalpur', name: 'Nawalpur', province: 'gandaki', centroid: [84.10, 27.65], aliases: ['Nawalparasi East', 'Nawalparasi Bardaghat Susta East'] },
+  { slug: 'parbat', name: 'Parbat', province: 'gandaki', centroid: [83.68, 28.22] },
+  { slug: 'syangja', name: 'Syangja', province: 'gandaki', centroid: [83.87, 28.05] },
+  { slug: 'tanahun', name: 'Tanahun', province: 'gandaki', centroid: [84.25, 27.95], aliases: ['Tanahu'] },
+
+  // Lumbini
+  { slug: 'arghakhanchi', name: 'Arghakhanchi', province: 'lumbini', centroid: [83.13, 27.97] },
+  { slug: 'banke', name: 'Banke', province: 'lumbini', centroid: [81.75, 28.10] },
+  { slug: 'bardiya', name: 'Bardiya', province: 'lumbini', centroid: [81.40, 28.35], aliases: ['Bardia'] },
+  { slug: 'dang', name: 'Dang', province: 'lumbini', centroid: [82.40, 28.05], aliases: ['Dang Deukhuri'] },
+  { slug: 'rukum-east', name: 'Rukum East', province: 'lumbini', centroid: [82.60, 28.65], aliases: ['Eastern Rukum', 'Purbi Rukum'] },
+  { slug: 'gulmi', name: 'Gulmi', province: 'lumbini', centroid: [83.25, 28.07] },
+  { slug: 'kapilvastu', name: 'Kapilvastu', province: 'lumbini', centroid: [83.00, 27.60], aliases: ['Kapilbastu'] },
+  { slug: 'parasi', name: 'Parasi', province: 'lumbini', centroid: [83.70, 27.55], aliases: ['Nawalparasi West', 'Nawalparasi Bardaghat Susta West'] },
+  { slug: 'palpa', name: 'Palpa', province: 'lumbini', centroid: [83.55, 27.87] },
+  { slug: 'pyuthan', name: 'Pyuthan', province: 'lumbini', centroid: [82.86, 28.10] },
+  { slug: 'rolpa', name: 'Rolpa', province: 'lumbini', centroid: [82.65, 28.30] },
+  { slug: 'rupandehi', name: 'Rupandehi', province: 'lumbini', centroid: [83.40, 27.60] },
+
+  // Karnali
+  { slug: 'dailekh', name: 'Dailekh', province: 'karnali', centroid: [81.71, 28.84] },
+  { slug: 'dolpa', name: 'Dolpa', province: 'karnali', centroid: [82.90, 29.10] },
+  { slug: 'humla', name: 'Humla', province: 'karnali', centroid: [81.80, 30.00] },
+  { slug: 'jajarkot', name: 'Jajarkot', province: 'karnali', centroid: [82.19, 28.70] },
+  { slug: 'jumla', name: 'Jumla', province: 'karnali', centroid: [82.18, 29.27] },
+  { slug: 'kalikot', name: 'Kalikot', province: 'karnali', centroid: [81.60, 29.15] },
+  { slug: 'mugu', name: 'Mugu', province: 'karnali', centroid: [82.30, 29.60] },
+  { slug: 'rukum-west', name: 'Rukum West', province: 'karnali', centroid: [82.48, 28.63], aliases: ['Western Rukum', 'Paschim Rukum'] },
+  { slug: 'salyan', name: 'Salyan', province: 'karnali', centroid: [82.16, 28.38] },
+  { slug: 'surkhet', name: 'Surkhet', province: 'karnali', centroid: [81.63, 28.60] },
+
+  // Sudurpashchim
+  { slug: 'achham', name: 'Achham', province: 'sudurpashchim', centroid: [81.30, 29.15] },
+  { slug: 'baitadi', name: 'Baitadi', province: 'sudurpashchim', centroid: [80.43, 29.53] },
+  { slug: 'bajhang', name: 'Bajhang', province: 'sudurpashchim', centroid: [81.20, 29.70] },
+  { slug: 'bajura', name: 'Bajura', province: 'sudurpashchim', centroid: [81.60, 29.50] },
+  { slug: 'dadeldhura', name: 'Dadeldhura', province: 'sudurpashchim', centroid: [80.58, 29.30] },
+  { slug: 'darchula', name: 'Darchula', province: 'sudurpashchim', centroid: [80.70, 29.90] },
+  { slug: 'doti', name: 'Doti', province: 'sudurpashchim', centroid: [80.94, 29.26] },
+  { slug: 'kailali', name: 'Kailali', province: 'sudurpashchim', centroid: [80.90, 28.80] },
+  { slug: 'kanchanpur', name: 'Kanchanpur', province: 'sudurpashchim', centroid: [80.30, 28.85] }
+];
+
+// ====================================
+// MUNICIPALITIES
+// Metropolitan and sub-metropolitan cities plus the municipalities listings come from most
+// ====================================
+const MUNICIPALITIES = [
+  // Kathmandu valley
+  { slug: 'kathmandu', name: 'Kathmandu', district: 'kathmandu', centroid: [85.3240, 27.7172], wards: 32, aliases: ['KTM', 'Kathmandu Metro', 'Kathmandu City', 'Kantipur'] },
+  { slug: 'kirtipur', name: 'Kirtipur', district: 'kathmandu', centroid: [85.2770, 27.6780] },
+  { slug: 'budhanilkantha', name: 'Budhanilkantha', district: 'kathmandu', centroid: [85.3650, 27.7650], aliases: ['Budanilkantha', 'Budhanilkanth'] },
+  { slug: 'tokha', name: 'Tokha', district: 'kathmandu', centroid: [85.3250, 27.7700] },
+  { slug: 'tarakeshwar', name: 'Tarakeshwar', district: 'kathmandu', centroid: [85.2850, 27.7750], aliases: ['Tarakeshwor'] },
+  { slug: 'nagarjun', name: 'Nagarjun', district: 'kathmandu', centroid: [85.2550, 27.7300] },
+  { slug: 'chandragiri', name: 'Chandragiri', district: 'kathmandu', centroid: [85.2200, 27.6700] },
+  { slug: 'dakshinkali', name: 'Dakshinkali', district: 'kathmandu', centroid: [85.2600, 27.6100] },
+  { slug: 'kageshwari-manohara', name: 'Kageshwari Manohara', district: 'kathmandu', centroid: [85.4200, 27.7300], aliases: ['Kageshwori Manohara'] },
+  { slug: 'gokarneshwar', name: 'Gokarneshwar', district: 'kathmandu', centroid: [85.3900, 27.7500], aliases: ['Gokarneshwor'] },
+  { slug: 'shankharapur', name: 'Shankharapur', district: 'kathmandu', centroid: [85.4900, 27.7600], aliases: ['Sankhu'] },
+  { slug: 'lalitpur', name: 'Lalitpur', district: 'lalitpur', centroid: [85.3247, 27.6588], wards: 29, aliases: ['Patan', 'LTP'] },
+  { slug: 'godawari', name: 'Godawari', district: 'lalitpur', centroid: [85.3700, 27.5900], aliases: ['Godavari'] },
+  { slug: 'mahalaxmi', name: 'Mahalaxmi', district: 'lalitpur', centroid: [85.3600, 27.6500], aliases: ['Mahalakshmi'] },
+  { slug: 'bhaktapur', name: 'Bhaktapur', district: 'bhaktapur', centroid: [85.4298, 27.6710], aliases: ['Bhadgaon', 'Khwopa'] },
+  { slug: 'madhyapur-thimi', name: 'Madhyapur Thimi', district: 'bhaktapur', centroid: [85.3870, 27.6800], aliases: ['Thimi'] },
+  { slug: 'changunarayan', name: 'Changunarayan', district: 'bhaktapur', centroid: [85.4300, 27.7100] },
+  { slug: 'suryabinayak', name: 'Suryabinayak', district: 'bhaktapur', centroid: [85.4400, 27.6600], aliases: ['Surya Binayak'] },
+  { slug: 'banepa', name: 'Banepa', district: 'kavrepalanchok', centroid: [85.5200, 27.6300] },
+  { slug: 'dhulikhel', name: 'Dhulikhel', district: 'kavrepalanchok', centroid: [85.5550, 27.6200] },
+  { slug: 'panauti', name: 'Panauti', district: 'kavrepalanchok', centroid: [85.5200, 27.5850] },
+
+  // Rest of Bagmati
+  { slug: 'bharatpur', name: 'Bharatpur', district: 'chitwan', centroid: [84.4333, 27.6833], wards: 29 },
+  { slug: 'ratnanagar', name: 'Ratnanagar', district: 'chitwan', centroid: [84.5100, 27.6200] },
+  { slug: 'hetauda', name: 'Hetauda', district: 'makwanpur', centroid: [85.0322, 27.4284], aliases: ['Hetaunda'] },
+  { slug: 'bidur', name: 'Bidur', district: 'nuwakot', centroid: [85.1500, 27.9200], aliases: ['Trishuli', 'Battar'] },
+  { slug: 'kamalamai', name: 'Kamalamai', district: 'sindhuli', centroid: [85.9100, 27.2100], aliases: ['Sindhulimadhi', 'Sindhulimadi'] },
+  { slug: 'bhimeshwar', name: 'Bhimeshwar', district: 'dolakha', centroid: [86.0500, 27.6700], aliases: ['Charikot'] },
+
+  // Koshi
+  { slug: 'biratnagar', name: 'Biratnagar', district: 'morang', centroid: [87.2718, 26.4525], wards: 19 },
+  { slug: 'itahari', name: 'Itahari', district: 'sunsari', centroid: [87.2750, 26.6630] },
+  { slug: 'dharan', name: 'Dharan', district: 'sunsari', centroid: [87.2833, 26.8125] },
+  { slug: 'inaruwa', name: 'Inaruwa', district: 'sunsari', centroid: [87.1500, 26.6100] },
+  { slug: 'birtamod', name: 'Birtamod', district: 'jhapa', centroid: [87.9900, 26.6400], aliases: ['Birtamode'] },
+  { slug: 'damak', name: 'Damak', district: 'jhapa', centroid: [87.7000, 26.6600] },
+  { slug: 'mechinagar', name: 'Mechinagar', district: 'jhapa', centroid: [88.1100, 26.6600], aliases: ['Kakarbhitta', 'Kakadbhitta'] },
+  { slug: 'bhadrapur', name: 'Bhadrapur', district: 'jhapa', centroid: [88.0900, 26.5400] },
+  { slug: 'dhankuta', name: 'Dhankuta', district: 'dhankuta', centroid: [87.3300, 26.9800] },
+  { slug: 'ilam', name: 'Ilam', district: 'ilam', centroid: [87.9300, 26.9100], aliases: ['Illam'] },
+
+  // Madhesh
+  { slug: 'birgunj', name: 'Birgunj', district: 'parsa', centroid: [84.8770, 27.0104], wards: 32, aliases: ['Birganj'] },
+  { slug: 'janakpur', name: 'Janakpur', district: 'dhanusha', centroid: [85.9263, 26.7288], aliases: ['Janakpurdham', 'Janakpur Dham'] },
+  { slug: 'kalaiya', name: 'Kalaiya', district: 'bara', centroid: [85.0000, 27.0333] },
+  { slug: 'jitpur-simara', name: 'Jitpur Simara', district: 'bara', centroid: [84.9833, 27.1667], aliases: ['Simara'] },
+  { slug: 'rajbiraj', name: 'Rajbiraj', district: 'saptari', centroid: [86.7500, 26.5400] },
+  { slug: 'lahan', name: 'Lahan', district: 'siraha', centroid: [86.4800, 26.7200] },
+  { slug: 'gaur', name: 'Gaur', district: 'rautahat', centroid: [85.2800, 26.7700] },
+  { slug: 'malangwa', name: 'Malangwa', district: 'sarlahi', centroid: [85.5600, 26.8700] },
+  { slug: 'jaleshwar', name: 'Jaleshwar', district: 'mahottari', centroid: [85.8000, 26.6500] },
+
+  // Gandaki
+  { slug: 'pokhara', name: 'Pokhara', district: 'kaski', centroid: [83.9856, 28.2096], wards: 33, aliases: ['Pokhara Lekhnath', 'PKR'] },
+  { slug: 'gorkha', name: 'Gorkha', district: 'gorkha', centroid: [84.6300, 28.0000] },
+  { slug: 'vyas', name: 'Vyas', district: 'tanahun', centroid: [84.2700, 27.9800], aliases: ['Byas', 'Damauli'] },
+  { slug: 'baglung', name: 'Baglung', district: 'baglung', centroid: [83.5900, 28.2700] },
+  { slug: 'beni', name: 'Beni', district: 'myagdi', centroid: [83.5700, 28.3500] },
+  { slug: 'kusma', name: 'Kusma', district: 'parbat', centroid: [83.6800, 28.2200] },
+  { slug: 'waling', name: 'Waling', district: 'syangja', centroid: [83.7700, 28.0700] },
+  { slug: 'putalibazar', name: 'Putalibazar', district: 'syangja', centroid: [83.8700, 28.1000], aliases: ['Putali Bazar'] },
+  { slug: 'besisahar', name: 'Besisahar', district: 'lamjung', centroid: [84.3800, 28.2300], aliases: ['Besishahar'] },
+  { slug: 'kawasoti', name: 'Kawasoti', district: 'nawalpur', centroid: [84.1300, 27.6400] },
+
+  // Lumbini
+  { slug: 'butwal', name: 'Butwal', district: 'rupandehi', centroid: [83.4484, 27.7006] },
+  { slug: 'siddharthanagar', name: 'Siddharthanagar', district: 'rupandehi', centroid: [83.4500, 27.5050], aliases: ['Bhairahawa', 'Bhairahwa'] },
+  { slug: 'tilottama', name: 'Tilottama', district: 'rupandehi', centroid: [83.4700, 27.6300], aliases: ['Manigram'] },
+  { slug: 'lumbini-sanskritik', name: 'Lumbini Sanskritik', district: 'rupandehi', centroid: [83.2800, 27.4800], aliases: ['Lumbini Sanskritik Nagar'] },
+  { slug: 'tansen', name: 'Tansen', district: 'palpa', centroid: [83.5450, 27.8700] },
+  { slug: 'ghorahi', name: 'Ghorahi', district: 'dang', centroid: [82.4833, 28.0333] },
+  { slug: 'tulsipur', name: 'Tulsipur', district: 'dang', centroid: [82.2973, 28.1310] },
+  { slug: 'nepalgunj', name: 'Nepalgunj', district: 'banke', centroid: [81.6167, 28.0500], aliases: ['Nepalganj'] },
+  { slug: 'gulariya', name: 'Gulariya', district: 'bardiya', centroid: [81.3500, 28.2100] },
+
+  // Karnali
+  { slug: 'birendranagar', name: 'Birendranagar', district: 'surkhet', centroid: [81.6333, 28.6000] },
+
+  // Sudurpashchim
+  { slug: 'dhangadhi', name: 'Dhangadhi', district: 'kailali', centroid: [80.6000, 28.6833] },
+  { slug: 'tikapur', name: 'Tikapur', district: 'kailali', centroid: [81.1200, 28.5250] },
+  { slug: 'bhimdatta', name: 'Bhimdatta', district: 'kanchanpur', centroid: [80.1800, 28.9650], aliases: ['Mahendranagar'] },
+  { slug: 'dipayal-silgadhi', name: 'Dipayal Silgadhi', district: 'doti', centroid: [80.9400, 29.2600], aliases: ['Dipayal', 'Silgadhi'] }
+];
+
+// ====================================
+// AREAS
+// Neighbourhoods people name listings by
+// ====================================
+const AREAS = [
+  // Kathmandu
+  { slug: 'thamel', name: 'Thamel', municipality: 'kathmandu', centroid: [85.3123, 27.7154] },
+  { slug: 'new-baneshwor', name: 'New Baneshwor', municipality: 'kathmandu', centroid: [85.3420, 27.6885], aliases: ['Baneshwor', 'Baneshwar', 'New Baneshwar'] },
+  { slug: 'old-baneshwor', name: 'Old Baneshwor', municipality: 'kathmandu', centroid: [85.3390, 27.7010], aliases: ['Old Baneshwar'] },
+  { slug: 'koteshwor', name: 'Koteshwor', municipality: 'kathmandu', centroid: [85.3494, 27.6788], aliases: ['Koteshwar'] },
+  { slug: 'tinkune', name: 'Tinkune', municipality: 'kathmandu', centroid: [85.3480, 27.6860] },
+  { slug: 'sinamangal', name: 'Sinamangal', municipality: 'kathmandu', centroid: [85.3550, 27.6960] },
+  { slug: 'battisputali', name: 'Battisputali', municipality: 'kathmandu', centroid: [85.3450, 27.7040] },
+  { slug: 'gaushala', name: 'Gaushala', municipality: 'kathmandu', centroid: [85.3440, 27.7070] },
+  { slug: 'chabahil', name: 'Chabahil', municipality: 'kathmandu', centroid: [85.3466, 27.7172], aliases: ['Chabhil'] },
+  { slug: 'boudha', name: 'Boudha', municipality: 'kathmandu', centroid: [85.3620, 27.7215], aliases: ['Boudhanath', 'Bouddha', 'Baudha'] },
+  { slug: 'maharajgunj', name: 'Maharajgunj', municipality: 'kathmandu', centroid: [85.3300, 27.7360], aliases: ['Maharajganj'] },
+  { slug: 'baluwatar', name: 'Baluwatar', municipality: 'kathmandu', centroid: [85.3300, 27.7280] },
+  { slug: 'basundhara', name: 'Basundhara', municipality: 'kathmandu', centroid: [85.3310, 27.7420] },
+  { slug: 'lazimpat', name: 'Lazimpat', municipality: 'kathmandu', centroid: [85.3200, 27.7230], aliases: ['Lajimpat'] },
+  { slug: 'naxal', name: 'Naxal', municipality: 'kathmandu', centroid: [85.3280, 27.7150] },
+  { slug: 'durbar-marg', name: 'Durbar Marg', municipality: 'kathmandu', centroid: [85.3180, 27.7100], aliases: ['Durbarmarg'] },
+  { slug: 'putalisadak', name: 'Putalisadak', municipality: 'kathmandu', centroid: [85.3230, 27.7040], aliases: ['Putali Sadak'] },
+  { slug: 'dillibazar', name: 'Dillibazar', municipality: 'kathmandu', centroid: [85.3270, 27.7060], aliases: ['Dilli Bazar'] },
+  { slug: 'maitidevi', name: 'Maitidevi', municipality: 'kathmandu', centroid: [85.3330, 27.7050], aliases: ['Maiti Devi'] },
+  { slug: 'new-road', name: 'New Road', municipality: 'kathmandu', centroid: [85.3100, 27.7040], aliases: ['Newroad'] },
+  { slug: 'asan', name: 'Asan', municipality: 'kathmandu', centroid: [85.3110, 27.7080] },
+  { slug: 'tripureshwor', name: 'Tripureshwor', municipality: 'kathmandu', centroid: [85.3140, 27.6940], aliases: ['Tripureshwar'] },
+  { slug: 'thapathali', name: 'Thapathali', municipality: 'kathmandu', centroid: [85.3200, 27.6920] },
+  { slug: 'teku', name: 'Teku', municipality: 'kathmandu', centroid: [85.3060, 27.6960] },
+  { slug: 'kalimati', name: 'Kalimati', municipality: 'kathmandu', centroid: [85.2990, 27.6980] },
+  { slug: 'kalanki', name: 'Kalanki', municipality: 'kathmandu', centroid: [85.2810, 27.6930] },
+  { slug: 'chhauni', name: 'Chhauni', municipality: 'kathmandu', centroid: [85.2940, 27.7060], aliases: ['Chauni'] },
+  { slug: 'swayambhu', name: 'Swayambhu', municipality: 'kathmandu', centroid: [85.2904, 27.7149], aliases: ['Swoyambhu', 'Swayambhunath'] },
+  { slug: 'sitapaila', name: 'Sitapaila', municipality: 'kathmandu', centroid: [85.2800, 27.7080] },
+  { slug: 'balaju', name: 'Balaju', municipality: 'kathmandu', centroid: [85.3030, 27.7340] },
+  { slug: 'gongabu', name: 'Gongabu', municipality: 'kathmandu', centroid: [85.3140, 27.7350], aliases: ['Gongabu Bus Park', 'New Bus Park'] },
+  { slug: 'samakhusi', name: 'Samakhusi', municipality: 'kathmandu', centroid: [85.3180, 27.7330] },
+
+  // Around Kathmandu
+  { slug: 'kapan', name: 'Kapan', municipality: 'budhanilkantha', centroid: [85.3600, 27.7370] },
+  { slug: 'jorpati', name: 'Jorpati', municipality: 'gokarneshwar', centroid: [85.3780, 27.7260] },
+  { slug: 'lokanthali', name: 'Lokanthali', municipality: 'madhyapur-thimi', centroid: [85.3600, 27.6740] },
+  { slug: 'gatthaghar', name: 'Gatthaghar', municipality: 'madhyapur-thimi', centroid: [85.3770, 27.6790] },
+  { slug: 'imadol', name: 'Imadol', municipality: 'mahalaxmi', centroid: [85.3420, 27.6640] },
+  { slug: 'sallaghari', name: 'Sallaghari', municipality: 'bhaktapur', centroid: [85.4130, 27.6730] },
+
+  // Lalitpur
+  { slug: 'jawalakhel', name: 'Jawalakhel', municipality: 'lalitpur', centroid: [85.3140, 27.6730] },
+  { slug: 'pulchowk', name: 'Pulchowk', municipality: 'lalitpur', centroid: [85.3160, 27.6780], aliases: ['Pulchok'] },
+  { slug: 'kupondole', name: 'Kupondole', municipality: 'lalitpur', centroid: [85.3170, 27.6870], aliases: ['Kupandol'] },
+  { slug: 'sanepa', name: 'Sanepa', municipality: 'lalitpur', centroid: [85.3060, 27.6840] },
+  { slug: 'mangal-bazar', name: 'Mangal Bazar', municipality: 'lalitpur', centroid: [85.3250, 27.6730], aliases: ['Patan Durbar Square', 'Mangalbazar'] },
+  { slug: 'lagankhel', name: 'Lagankhel', municipality: 'lalitpur', centroid: [85.3230, 27.6670] },
+  { slug: 'kumaripati', name: 'Kumaripati', municipality: 'lalitpur', centroid: [85.3200, 27.6700] },
+  { slug: 'gwarko', name: 'Gwarko', municipality: 'lalitpur', centroid: [85.3330, 27.6670] },
+  { slug: 'satdobato', name: 'Satdobato', municipality: 'lalitpur', centroid: [85.3250, 27.6580] },
+  { slug: 'ekantakuna', name: 'Ekantakuna', municipality: 'lalitpur', centroid: [85.3080, 27.6680] },
+  { slug: 'bhaisepati', name: 'Bhaisepati', municipality: 'lalitpur', centroid: [85.3020, 27.6530] },
+  { slug: 'dhapakhel', name: 'Dhapakhel', municipality: 'lalitpur', centroid: [85.3270, 27.6360] },
+
+  // Pokhara
+  { slug: 'lakeside', name: 'Lakeside', municipality: 'pokhara', centroid: [83.9590, 28.2090], aliases: ['Baidam', 'Lake Side'] },
+  { slug: 'damside', name: 'Damside', municipality: 'pokhara', centroid: [83.9620, 28.2010], aliases: ['Dam Side'] },
+  { slug: 'mahendrapool', name: 'Mahendrapool', municipality: 'pokhara', centroid: [83.9890, 28.2180], aliases: ['Mahendrapul'] },
+  { slug: 'chipledhunga', name: 'Chipledhunga', municipality: 'pokhara', centroid: [83.9880, 28.2220] },
+  { slug: 'prithvi-chowk', name: 'Prithvi Chowk', municipality: 'pokhara', centroid: [83.9800, 28.2110], aliases: ['Prithvichowk'] },
+  { slug: 'bagar', name: 'Bagar', municipality: 'pokhara', centroid: [83.9910, 28.2420] },
+  { slug: 'lamachaur', name: 'Lamachaur', municipality: 'pokhara', centroid: [83.9750, 28.2580] },
+  { slug: 'lekhnath', name: 'Lekhnath', municipality: 'pokhara', centroid: [84.0670, 28.1670], aliases: ['Talchowk'] },
+
+  // Other cities
+  { slug: 'narayangarh', name: 'Narayangarh', municipality: 'bharatpur', centroid: [84.4300, 27.6960], aliases: ['Narayanghat'] },
+  { slug: 'sauraha', name: 'Sauraha', municipality: 'ratnanagar', centroid: [84.4960, 27.5780] },
+  { slug: 'tandi', name: 'Tandi', municipality: 'ratnanagar', centroid: [84.5100, 27.6200] },
+  { slug: 'traffic-chowk-butwal', name: 'Traffic Chowk', municipality: 'butwal', centroid: [83.4600, 27.6900] },
+  { slug: 'kalikanagar', name: 'Kalikanagar', municipality: 'butwal', centroid: [83.4500, 27.6950] },
+  { slug: 'traffic-chowk-biratnagar', name: 'Traffic Chowk', municipality: 'biratnagar', centroid: [87.2800, 26.4550] },
+  { slug: 'ghantaghar-birgunj', name: 'Ghantaghar', municipality: 'birgunj', centroid: [84.8780, 27.0120] },
+  { slug: 'bhanu-chowk', name: 'Bhanu Chowk', municipality: 'dharan', centroid: [87.2840, 26.8130] }
+];
+
+module.exports = {
+  PROVINCES,
+  DISTRICTS,
+  MUNICIPALITIES,
+  AREAS
+};
@@ -0,0 +1,70 @@
+const scheduler = require('../services/scheduler.service');
+const listingConfig = require('../config/listing');
+const listingExpiryService = require('../services/listingExpiry.service');
+const promotionService = require('../services/promotion.service');
+const viewingConfig = require('../config/viewings');
+const viewingService = require('../services/viewing.service');
+const rentConfig = require('../config/rent');
+const rentService = require('../services/rent.service');
+const storageCleanup = require('../services/storageCleanup.service');
+const duplicateConfig = require('../config/duplicates');
+const duplicateDetection = require('../services/duplicateDetection.service');
+const locationBackfill = require('../services/locationBackfill.service');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Register all background jobs with the scheduler
+ */
+const registerJobs = () => {
+  // Expire old listings and warn owners before expiry
+  scheduler.schedule(
+    'listing-expiry-sweep',
+    listingConfig.sweepIntervalMinutes * MINUTE,
+    listingExpiryService.runSweep
+  );
+
+  // Downgrade listings whose premium/featured promotion has ended
+  scheduler.schedule(
+    'promotion-expiry',
+    15 * MINUTE,
+    promotionService.expirePromotions
+  );
+
+  // Remind tenants and owners of upcoming viewings, expire past unconfirmed ones
+  scheduler.schedule(
+    'viewing-reminders',
+    viewingConfig.reminderIntervalMinutes * MINUTE,
+    viewingService.sendReminders
+  );
+
+  // Create upcoming rent charges and flag overdue ones
+  scheduler.schedule(
+    'rent-sweep',
+    rentConfig.sweepIntervalMinutes * MINUTE,
+    rentService.runSweep
+  );
+
+  // Delete removed files from storage, retrying failures with backoff
+  scheduler.schedule(
+    'storage-cleanup',
+    5 * MINUTE,
+    storageCleanup.processQueue
+  );
+
+  // Hash images and check for duplicates on listings created before detection existed
+  scheduler.schedule(
+    'duplicate-backfill',
+    duplicateConfig.backfillIntervalMinutes * MINUTE,
+    duplicateDetection.runBackfill
+  );
+
+  // Normalise locations of listings created before the gazetteer existed
+  scheduler.schedule(
+    'location-backfill',
+    30 * MINUTE,
+    locationBackfill.runBackfill
+  );
+};
+
+module.exports = registerJobs;
@@ -58,7 +58,7 @@ exports.protect = asyncHandler(async (req, res, next) => {
 
 /**
  * Restrict access to specific roles
- * @param {...string} roles - Allowed roles (tenant, owner, both)
+ * @param {...string} roles - Allowed roles (tenant, owner, admin, moderator)
  */
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -0,0 +1,41 @@
+const express = require('express');
+const storageConfig = require('../config/storage');
+const { isDocumentKey } = require('../services/storage/helpers');
+
+/**
+ * Serve files stored by the local storage driver
+ * Documents (lease PDFs...) are only served through signed URLs (see getSignedFileUrl);
+ * when LOCAL_STORAGE_REQUIRE_SIGNED=true, images are too
+ * @returns {Array<Function>} Express middleware stack
+ */
+exports.serveLocalUploads = () => {
+  const { directory, requireSignedUrls } = storageConfig.local;
+
+  const checkSignature = (req, res, next) => {
+    let key;
+    try {
+      key = decodeURIComponent(req.path.replace(/^\//, ''));
+    } catch (error) {
+      // Malformed percent escape - can't be a stored file
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (!requireSignedUrls && !isDocumentKey(key)) return next();
+
+    const localDriver = require('../services/storage/local.driver');
+
+    if (!localDriver.verifySignature(key, req.query)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This link has expired or is invalid'
+      });
+    }
+
+    next();
+  };
+
+  return [checkSignature, express.static(directory, { index: false, dotfiles: 'deny' })];
+};
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Applications in these states still await the owner's decision
+const OPEN_STATUSES = ['pending', 'shortlisted'];
+
+const applicationSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Application must be for a property']
+  },
+
+  // Denormalized so the owner's inbox doesn't need a join
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Application must have a tenant']
+  },
+
+  moveInDate: {
+    type: Date,
+    required: [true, 'Please provide a move-in date']
+  },
+
+  occupants: {
+    type: Number,
+    required: [true, 'Please provide the number of occupants'],
+    min: [1, 'At least 1 occupant is required'],
+    max: [20, 'Occupants cannot exceed 20']
+  },
+
+  occupation: {
+    type: String,
+    required: [true, 'Please provide your occupation'],
+    trim: true,
+    maxlength: [100, 'Occupation cannot exceed 100 characters']
+  },
+
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+
+  // pending -> shortlisted -> accepted / declined, or withdrawn by the tenant
+  status: {
+    type: String,
+    enum: ['pending', 'shortlisted', 'accepted', 'declined', 'withdrawn'],
+    default: 'pending'
+  },
+
+  // Shown to the tenant when declined
+  declineReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  shortlistedAt: {
+    type: Date
+  },
+
+  decidedAt: {
+    type: Date
+  }
+
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// ====================================
+// INDEXES
+// ====================================
+
+applicationSchema.index({ property: 1, status: 1, createdAt: -1 });
+applicationSchema.index({ tenant: 1, createdAt: -1 });
+applicationSchema.index({ property: 1, tenant: 1 });
+
+// ====================================
+// METHODS
+// ====================================
+
+/**
+ * Check if the application still awaits a decision
+ */
+applicationSchema.methods.isOpen = function () {
+  return OPEN_STATUSES.includes(this.status);
+};
+
+applicationSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('Application', applicationSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Staff member who performed the action
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Audit log must have an actor'],
+    index: true
+  },
+
+  actorRole: {
+    type: String,
+    required: true
+  },
+
+  // What was done (e.g. user.deactivate, property.unlist)
+  action: {
+    type: String,
+    required: [true, 'Audit log must have an action'],
+    index: true
+  },
+
+  // What it was done to
+  targetType: {
+    type: String,
+    enum: ['User', 'Property', 'Review', 'Report'],
+    required: true
+  },
+
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'targetType'
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  // Before/after values and any extra context
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  ipAddress: {
+    type: String
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ====================================
+// INDEXES
+// ====================================
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const acceptanceSchema = new mongoose.Schema({
+  acceptedAt: {
+    type: Date,
+    required: true
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, { _id: false });
+
+const leaseSchema = new mongoose.Schema({
+  // One lease per tenancy; regenerating replaces the document
+  tenancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenancy',
+    required: true,
+    unique: true
+  },
+
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+
+  // Stored PDF - private, only loaded with select('+fileUrl') and handed out as a signed link
+  fileUrl: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  templateVersion: {
+    type: String
+  },
+
+  // Terms as printed in the PDF
+  terms: {
+    rent: Number,
+    securityDeposit: Number,
+    minimumStayMonths: Number,
+    startDate: Date,
+    endDate: Date
+  },
+
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  ownerAcceptance: {
+    type: acceptanceSchema,
+    default: null
+  },
+
+  tenantAcceptance: {
+    type: acceptanceSchema,
+    default: null
+  },
+
+  // pending until both parties accept
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'pending'
+  }
+
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('Lease', leaseSchema);
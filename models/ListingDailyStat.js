@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Daily rollup of listing engagement
+ * One document per property per day, incremented as events are recorded
+ */
+const listingDailyStatSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+
+  // Local calendar day (YYYY-MM-DD)
+  date: {
+    type: String,
+    required: true
+  },
+
+  views: {
+    type: Number,
+    default: 0
+  },
+
+  callClicks: {
+    type: Number,
+    default: 0
+  },
+
+  favorites: {
+    type: Number,
+    default: 0
+  },
+
+  inquiries: {
+    type: Number,
+    default: 0
+  }
+
+}, {
+  timestamps: true
+});
+
+// ====================================
+// INDEXES
+// ====================================
+listingDailyStatSchema.index({ property: 1, date: 1 }, { unique: true });
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('ListingDailyStat', listingDailyStatSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const analyticsConfig = require('../config/analytics');
+
+const listingEventSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+
+  // Listing owner at the time of the event
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  type: {
+    type: String,
+    enum: ['view', 'call_click', 'favorite', 'inquiry'],
+    required: true
+  },
+
+  // Logged in user (if any)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Stable visitor identity: user ID, device ID or hashed IP + user agent
+  visitorId: {
+    type: String
+  },
+
+  // Hashed IP of anonymous visitors - caps how many anonymous visitors count per network
+  networkId: {
+    type: String
+  },
+
+  // Set for de-duplicated events (property + visitor + type + time window)
+  dedupeKey: {
+    type: String
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// ====================================
+// INDEXES
+// ====================================
+listingEventSchema.index({ property: 1, type: 1, createdAt: -1 });
+listingEventSchema.index(
+  { property: 1, type: 1, networkId: 1, createdAt: -1 },
+  { partialFilterExpression: { networkId: { $type: 'string' } } }
+);
+
+// Unique per window - a second insert for the same key is a duplicate
+listingEventSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+// Raw events expire; daily rollups (ListingDailyStat) are kept
+listingEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: analyticsConfig.eventRetentionDays * 24 * 60 * 60 }
+);
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('ListingEvent', listingEventSchema);
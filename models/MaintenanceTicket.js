@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+// Owners move tickets forward only
+const STATUS_TRANSITIONS = {
+  open: ['in_progress', 'resolved'],
+  in_progress: ['resolved'],
+  resolved: []
+};
+
+const ticketCommentSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment cannot be empty'],
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const maintenanceTicketSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Ticket must be for a property']
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Ticket must have a tenant']
+  },
+
+  // Tenancy the ticket was raised under
+  tenancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenancy',
+    required: true
+  },
+
+  category: {
+    type: String,
+    required: [true, 'Please select a category'],
+    enum: {
+      values: ['plumbing', 'electrical', 'appliance', 'structural', 'pest_control', 'internet', 'cleaning', 'other'],
+      message: 'Invalid maintenance category'
+    }
+  },
+
+  description: {
+    type: String,
+    required: [true, 'Please describe the problem'],
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+
+  urgency: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'emergency'],
+    default: 'medium'
+  },
+
+  images: {
+    type: [String],
+    validate: {
+      validator: function (images) {
+        return images.length <= 10;
+      },
+      message: 'Maximum 10 photos allowed'
+    },
+    default: []
+  },
+
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'open'
+  },
+
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
+
+  comments: {
+    type: [ticketCommentSchema],
+    default: []
+  },
+
+  resolvedAt: {
+    type: Date
+  }
+
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// ====================================
+// INDEXES
+// ====================================
+maintenanceTicketSchema.index({ owner: 1, status: 1, createdAt: -1 });
+maintenanceTicketSchema.index({ tenant: 1, createdAt: -1 });
+maintenanceTicketSchema.index({ property: 1, createdAt: -1 });
+
+// ====================================
+// METHODS
+// ====================================
+
+/**
+ * Check if the ticket can move to a status
+ * @param {string} status - Target status
+ * @returns {boolean} True if allowed
+ */
+maintenanceTicketSchema.methods.canTransitionTo = function (status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('MaintenanceTicket', maintenanceTicketSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Notification must belong to a user'],
+    index: true
+  },
+
+  // Notification category (e.g. search_alert)
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    trim: true
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [150, 'Title cannot exceed 150 characters']
+  },
+
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Body cannot exceed 1000 characters']
+  },
+
+  // Related entities for deep linking in the app
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+
+  readAt: {
+    type: Date
+  }
+
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// ====================================
+// INDEXES
+// ====================================
+notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * Payment ledger entry
+ * One document per gateway transaction attempt; entries are never deleted
+ */
+const paymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // What is being paid for
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromotionOrder',
+    required: true,
+    index: true
+  },
+
+  gateway: {
+    type: String,
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  currency: {
+    type: String,
+    default: 'NPR'
+  },
+
+  // initiated -> success / failed
+  status: {
+    type: String,
+    enum: ['initiated', 'success', 'failed'],
+    default: 'initiated',
+    index: true
+  },
+
+  // Our reference sent to the gateway (purchase order ID / transaction UUID)
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Gateway's own transaction ID, known after verification
+  gatewayTransactionId: {
+    type: String,
+    sparse: true
+  },
+
+  // Raw gateway payloads for reconciliation
+  initiateResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  verifyResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  failureReason: {
+    type: String
+  },
+
+  verifiedAt: {
+    type: Date
+  }
+
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// ====================================
+// INDEXES
+// ====================================
+paymentSchema.index({ gateway: 1, gatewayTransactionId: 1 });
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const promotionOrderSchema = new mongoose.Schema({
+  // Owner buying the promotion
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Order must belong to a user'],
+    index: true
+  },
+
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Order must reference a property'],
+    index: true
+  },
+
+  // Snapshot of the package at purchase time
+  packageCode: {
+    type: String,
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['featured', 'premium'],
+    required: true
+  },
+
+  durationDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  currency: {
+    type: String,
+    default: 'NPR'
+  },
+
+  gateway: {
+    type: String,
+    required: true
+  },
+
+  // pending -> paid (activated) / failed / cancelled
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+
+  paidAt: {
+    type: Date
+  },
+
+  // Promotion window applied to the property
+  startsAt: {
+    type: Date
+  },
+
+  endsAt: {
+    type: Date
+  }
+
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// ====================================
+// INDEXES
+// ====================================
+promotionOrderSchema.index({ user: 1, createdAt: -1 });
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('PromotionOrder', promotionOrderSchema);
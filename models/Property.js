@@ -1,4 +1,34 @@
 const mongoose = require('mongoose');
+const { visibleListingFilter } = require('../utils/propertyFilters');
+const listingConfig = require('../config/listing');
+
+/**
+ * Result of the last duplicate / repost check (see duplicateDetection.service)
+ */
+const duplicateCheckSchema = new mongoose.Schema({
+  checkedAt: Date,
+
+  // Perceptual hash of every image, including ones uploaded before hashing existed
+  imageHashes: [{
+    url: String,
+    hash: String,
+    _id: false
+  }],
+
+  // Every band of every image hash (see hashBands) - indexed so near-identical photos can be looked up
+  hashBands: [String],
+
+  matches: [{
+    property: { type: mongoose.Schema.Types.ObjectId, ref: 'Property' },
+    sameOwner: Boolean,
+    score: Number, // 0-1
+    reasons: [String],
+    _id: false
+  }],
+
+  // Set when the listing matches another owner's listing, for moderators to look at
+  flaggedAt: Date
+}, { _id: false });
 
 const propertySchema = new mongoose.Schema({
   // Owner Reference
@@ -59,6 +89,13 @@ const propertySchema = new mongoose.Schema({
     coordinates: {
       type: [Number], // [longitude, latitude]
       index: '2dsphere'
+    },
+    // Gazetteer IDs of every place the listing is in, province first (see gazetteer.service)
+    // Empty when the city isn't in the gazetteer; missing on listings not yet normalised
+    locationIds: {
+      type: [String],
+      default: undefined,
+      index: true
     }
   },
 
@@ -76,6 +113,23 @@ const propertySchema = new mongoose.Schema({
     default: 0
   },
 
+  // Every rent change, oldest first
+  priceHistory: {
+    type: [{
+      from: Number,
+      to: Number,
+      changedAt: { type: Date, default: Date.now },
+      _id: false
+    }],
+    default: []
+  },
+
+  // Set when the rent is lowered, cleared if it goes back up (powers "recently reduced")
+  lastPriceDropAt: {
+    type: Date,
+    index: true
+  },
+
   negotiable: {
     type: Boolean,
     default: false
@@ -169,6 +223,21 @@ const propertySchema = new mongoose.Schema({
     }
   },
 
+  // Resized copies of each image, in the same order as images
+  // Images uploaded before processing existed have no entry here
+  imageVariants: {
+    type: [{
+      full: { type: String, required: true }, // Same URL as in images
+      card: String,
+      thumbnail: String,
+      width: Number,
+      height: Number,
+      hash: String, // Perceptual hash, used for duplicate detection
+      _id: false
+    }],
+    default: []
+  },
+
   // Availability
   availableFrom: {
     type: Date,
@@ -184,8 +253,8 @@ const propertySchema = new mongoose.Schema({
   status: {
     type: String,
     enum: {
-      values: ['available', 'rented'],
-      message: 'Status must be either available or rented'
+      values: ['available', 'rented', 'expired'],
+      message: 'Status must be available, rented or expired'
     },
     default: 'available',
     index: true
@@ -197,6 +266,59 @@ const propertySchema = new mongoose.Schema({
     index: true
   },
 
+  // Moderation
+  // draft -> pending_review -> approved (published) / rejected (owner can resubmit)
+  moderationStatus: {
+    type: String,
+    enum: {
+      values: ['draft', 'pending_review', 'approved', 'rejected'],
+      message: 'Moderation status must be draft, pending_review, approved or rejected'
+    },
+    // No default: createProperty always sets it, and a default would be applied to listings
+    // created before moderation existed when they are loaded, hiding them
+    index: true
+  },
+
+  submittedAt: {
+    type: Date
+  },
+
+  reviewedAt: {
+    type: Date
+  },
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+
+  publishedAt: {
+    type: Date
+  },
+
+  // Abuse reports (see Report model)
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Set when the listing was sent back to review by user reports
+  hiddenByReportsAt: {
+    type: Date
+  },
+
+  // Duplicate / repost detection - internal, only loaded with select('+duplicateCheck')
+  duplicateCheck: {
+    type: duplicateCheckSchema,
+    select: false
+  },
+
   // Engagement Metrics
   views: {
     type: Number,
@@ -241,13 +363,33 @@ const propertySchema = new mongoose.Schema({
     index: true
   },
 
+  // Set by featured-only promotions (premium promotions use premiumExpiry)
+  featuredExpiry: {
+    type: Date
+  },
+
   // Listing Expiry
   expiresAt: {
     type: Date,
     default: function () {
-      // Default expiry: 90 days from now
-      return new Date(Date.now() + 90 * 24 * 60 * 60 * 1000);
-    }
+      // Default expiry: LISTING_DURATION_DAYS (90) from now
+      return listingConfig.getExpiryDate();
+    },
+    index: true
+  },
+
+  renewalCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastRenewedAt: {
+    type: Date
+  },
+
+  // Set once the owner has been warned about the upcoming expiry
+  expiryWarningSentAt: {
+    type: Date
   }
 
 }, {
@@ -261,9 +403,14 @@ propertySchema.index({ 'location.city': 1, 'location.area': 1 });
 // propertySchema.index({ 'location.coordinates': '2dsphere' }); // Defined in schema path
 propertySchema.index({ rent: 1 });
 propertySchema.index({ status: 1, isActive: 1 });
+propertySchema.index({ moderationStatus: 1, submittedAt: 1 });
+propertySchema.index({ status: 1, expiresAt: 1 });
 propertySchema.index({ createdAt: -1 });
 propertySchema.index({ isPremium: 1, isFeatured: 1 });
 propertySchema.index({ views: -1 });
+propertySchema.index({ 'duplicateCheck.imageHashes.hash': 1 });
+propertySchema.index({ 'duplicateCheck.hashBands': 1 });
+propertySchema.index({ 'duplicateCheck.flaggedAt': 1 }, { sparse: true });
 
 // Compound text index for search
 propertySchema.index({
@@ -310,13 +457,20 @@ propertySchema.pre(/^find/, function (next) {
 
 /**
  * Check and update premium/featured status based on expiry
+ * Premium includes featured, so featured stays on while either promotion is running
  */
 propertySchema.pre('save', function (next) {
   const now = new Date();
+  const premiumActive = this.premiumExpiry && this.premiumExpiry >= now;
+  const featuredActive = this.featuredExpiry && this.featuredExpiry >= now;
 
   // Check if premium has expired
-  if (this.isPremium && this.premiumExpiry && this.premiumExpiry < now) {
+  if (this.isPremium && this.premiumExpiry && !premiumActive) {
     this.isPremium = false;
+  }
+
+  // Check if featured has expired (flags set without any expiry are left alone)
+  if (this.isFeatured && (this.premiumExpiry || this.featuredExpiry) && !premiumActive && !featuredActive) {
     this.isFeatured = false;
   }
 
@@ -343,6 +497,21 @@ propertySchema.methods.incrementCallClicks = async function () {
   await this.save({ validateBeforeSave: false });
 };
 
+/**
+ * Check if property has passed moderation
+ * Listings created before moderation existed have no moderationStatus and count as approved
+ */
+propertySchema.methods.isApproved = function () {
+  return !this.moderationStatus || this.moderationStatus === 'approved';
+};
+
+/**
+ * Check if property has passed moderation and can be shown publicly
+ */
+propertySchema.methods.isPubliclyVisible = function () {
+  return this.isActive && this.isApproved();
+};
+
 /**
  * Check if property is expired
  */
@@ -350,6 +519,53 @@ propertySchema.methods.isExpired = function () {
   return this.expiresAt < new Date();
 };
 
+/**
+ * Check if the listing can be renewed (or relisted) right now
+ * @returns {{ allowed: boolean, reason: string }} Renewal eligibility
+ */
+propertySchema.methods.canRenew = function () {
+  if (this.status === 'rented') {
+    return { allowed: false, reason: 'Rented listings cannot be renewed. Mark it available first.' };
+  }
+
+  if (!this.isApproved()) {
+    return { allowed: false, reason: 'Only approved listings can be renewed' };
+  }
+
+  if (listingConfig.maxRenewals > 0 && this.renewalCount >= listingConfig.maxRenewals) {
+    return { allowed: false, reason: `Listings can be renewed at most ${listingConfig.maxRenewals} times` };
+  }
+
+  const windowOpensAt = new Date(this.expiresAt.getTime() - listingConfig.renewWindowDays * listingConfig.DAY);
+  if (!this.isExpired() && windowOpensAt > new Date()) {
+    return {
+      allowed: false,
+      reason: `Listings can only be renewed within ${listingConfig.renewWindowDays} days of expiry`
+    };
+  }
+
+  return { allowed: true, reason: null };
+};
+
+/**
+ * Check if the owner can move the listing to a status
+ * Shared by manual status changes and accepting an application
+ * @param {string} status - 'available' or 'rented'
+ * @returns {object} { allowed, reason }
+ */
+propertySchema.methods.canChangeStatus = function (status) {
+  if (!['available', 'rented'].includes(status)) {
+    return { allowed: false, reason: 'Please provide a valid status (available or rented)' };
+  }
+
+  // A rented listing that expired can still end its tenancy - it goes to expired instead (see markAvailable)
+  if (status === 'available' && this.isExpired() && this.status !== 'rented') {
+    return { allowed: false, reason: 'This listing has expired. Relist it to make it available again.' };
+  }
+
+  return { allowed: true, reason: null };
+};
+
 /**
  * Get property summary (for lists)
  */
@@ -364,8 +580,13 @@ propertySchema.methods.getSummary = function () {
       area: this.location.area
     },
     images: this.images,
+    coverThumbnail: this.imageVariants && this.imageVariants.length > 0 && this.imageVariants[0].full === this.images[0]
+      ? this.imageVariants[0].thumbnail
+      : this.images[0],
     numberOfRooms: this.numberOfRooms,
     status: this.status,
+    moderationStatus: this.moderationStatus,
+    expiresAt: this.expiresAt,
     isPremium: this.isPremium,
     isFeatured: this.isFeatured,
     views: this.views,
@@ -385,7 +606,7 @@ propertySchema.methods.getSummary = function () {
  */
 propertySchema.statics.getFeatured = function (limit = 10) {
   return this.find({
-    isActive: true,
+    ...visibleListingFilter(),
     status: 'available',
     isFeatured: true
   })
@@ -401,8 +622,8 @@ propertySchema.statics.getFeatured = function (limit = 10) {
  */
 propertySchema.statics.getByCity = function (city, limit = 20) {
   return this.find({
+    ...visibleListingFilter(),
     'location.city': city,
-    isActive: true,
     status: 'available'
   })
     .sort('-createdAt')
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const rentConfig = require('../config/rent');
+
+const lineItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['rent', 'electricity', 'water'],
+    required: true
+  },
+
+  description: {
+    type: String,
+    trim: true
+  },
+
+  // Utilities start at 0 until the owner enters the bill
+  amount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative'],
+    default: 0
+  }
+}, { _id: false });
+
+const rentChargeSchema = new mongoose.Schema({
+  tenancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenancy',
+    required: true
+  },
+
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Billing month as YYYY-MM
+  period: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}$/, 'Period must be YYYY-MM']
+  },
+
+  dueDate: {
+    type: Date,
+    required: true
+  },
+
+  lineItems: {
+    type: [lineItemSchema],
+    default: []
+  },
+
+  // Sum of line items, kept in sync on save
+  amountDue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  amountPaid: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['unpaid', 'partially_paid', 'paid'],
+    default: 'unpaid'
+  },
+
+  overdueNotifiedAt: {
+    type: Date
+  }
+
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ====================================
+// INDEXES
+// ====================================
+
+// One charge per tenancy per month - schedule generation is idempotent
+rentChargeSchema.index({ tenancy: 1, period: 1 }, { unique: true });
+rentChargeSchema.index({ status: 1, dueDate: 1 });
+rentChargeSchema.index({ owner: 1, dueDate: -1 });
+rentChargeSchema.index({ tenant: 1, dueDate: -1 });
+
+// ====================================
+// VIRTUALS
+// ====================================
+
+rentChargeSchema.virtual('balance').get(function () {
+  return Math.max(0, (this.amountDue || 0) - (this.amountPaid || 0));
+});
+
+rentChargeSchema.virtual('isOverdue').get(function () {
+  if (this.status === 'paid' || !this.dueDate) return false;
+  return this.dueDate.getTime() + rentConfig.graceDays * 24 * 60 * 60 * 1000 < Date.now();
+});
+
+// ====================================
+// MIDDLEWARE
+// ====================================
+
+/**
+ * Keep totals and status in sync with line items and payments
+ */
+rentChargeSchema.pre('save', function (next) {
+  this.amountDue = this.lineItems.reduce((sum, item) => sum + (item.amount || 0), 0);
+
+  if (this.amountPaid <= 0) {
+    this.status = 'unpaid';
+  } else if (this.amountPaid < this.amountDue) {
+    this.status = 'partially_paid';
+  } else {
+    this.status = 'paid';
+  }
+
+  next();
+});
+
+// ====================================
+// STATICS
+// ====================================
+
+/**
+ * Filter for charges that are past due (plus grace period) and not fully paid
+ * @returns {object} MongoDB filter object
+ */
+rentChargeSchema.statics.overdueFilter = function () {
+  return {
+    status: { $ne: 'paid' },
+    dueDate: { $lt: new Date(Date.now() - rentConfig.graceDays * 24 * 60 * 60 * 1000) }
+  };
+};
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('RentCharge', rentChargeSchema);
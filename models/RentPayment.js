@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const rentConfig = require('../config/rent');
+
+const rentPaymentSchema = new mongoose.Schema({
+  charge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RentCharge',
+    required: true,
+    index: true
+  },
+
+  tenancy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenancy',
+    required: true,
+    index: true
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'Please provide the amount paid'],
+    min: [1, 'Amount must be at least 1']
+  },
+
+  method: {
+    type: String,
+    enum: {
+      values: rentConfig.PAYMENT_METHODS,
+      message: 'Payment method must be cash, bank or wallet'
+    },
+    required: [true, 'Please provide the payment method']
+  },
+
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Bank transaction ID, wallet reference, etc.
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Printed on the receipt, e.g. RCPT-202510-4F2A9C
+  receiptNumber: {
+    type: String,
+    required: true,
+    unique: true
+  }
+
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('RentPayment', rentPaymentSchema);
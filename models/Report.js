@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const reportSchema = new mongoose.Schema({
+  // User who filed the report
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Report must have a reporter'],
+    index: true
+  },
+
+  // What is being reported
+  targetType: {
+    type: String,
+    enum: ['Property', 'User'],
+    required: true
+  },
+
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'targetType'
+  },
+
+  reason: {
+    type: String,
+    required: [true, 'Please select a reason'],
+    enum: {
+      values: ['scam', 'fake_listing', 'wrong_information', 'already_rented', 'duplicate', 'offensive', 'harassment', 'spam', 'other'],
+      message: 'Invalid report reason'
+    }
+  },
+
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot exceed 1000 characters']
+  },
+
+  // open -> reviewing -> action_taken / dismissed
+  status: {
+    type: String,
+    enum: ['open', 'reviewing', 'action_taken', 'dismissed'],
+    default: 'open',
+    index: true
+  },
+
+  // Outcome shown to the reporter
+  resolution: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Resolution cannot exceed 500 characters']
+  },
+
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  resolvedAt: {
+    type: Date
+  }
+
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// ====================================
+// INDEXES
+// ====================================
+
+// One report per user per target - repeat reports don't count twice
+reportSchema.index({ reporter: 1, targetType: 1, target: 1 }, { unique: true });
+reportSchema.index({ targetType: 1, target: 1, status: 1 });
+reportSchema.index({ status: 1, createdAt: 1 });
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+
+const reviewReportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'offensive', 'fake', 'personal_info', 'other'],
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Details cannot exceed 500 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const reviewSchema = new mongoose.Schema({
+  // Owner being reviewed
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Review must be for an owner'],
+    index: true
+  },
+
+  // Tenant who wrote the review
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Review must have a reviewer'],
+    index: true
+  },
+
+  // Property the interaction was about (optional)
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property'
+  },
+
+  rating: {
+    type: Number,
+    required: [true, 'Please provide a rating'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review cannot exceed 1000 characters']
+  },
+
+  // Owner's public reply
+  reply: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reply cannot exceed 1000 characters']
+    },
+    repliedAt: Date
+  },
+
+  // Abuse reports
+  reports: [reviewReportSchema],
+
+  reportCount: {
+    type: Number,
+    default: 0,
+    index: true
+  },
+
+  // Hidden reviews are excluded from listings and the owner's rating
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published',
+    index: true
+  },
+
+  isEdited: {
+    type: Boolean,
+    default: false
+  }
+
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// ====================================
+// INDEXES
+// ====================================
+
+// One review per tenant per owner (it can be edited)
+reviewSchema.index({ owner: 1, reviewer: 1 }, { unique: true });
+reviewSchema.index({ owner: 1, status: 1, createdAt: -1 });
+
+// ====================================
+// STATIC METHODS
+// ====================================
+
+/**
+ * Recalculate an owner's aggregate rating from published reviews
+ * @param {ObjectId} ownerId - Owner user ID
+ * @returns {Promise<object>} { rating, totalRatings }
+ */
+reviewSchema.statics.updateOwnerRating = async function (ownerId) {
+  const [result] = await this.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(ownerId), status: 'published' } },
+    { $group: { _id: '$owner', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const rating = result ? Math.round(result.average * 10) / 10 : 0;
+  const totalRatings = result ? result.count : 0;
+
+  await mongoose.model('User').findByIdAndUpdate(ownerId, { rating, totalRatings });
+
+  return { rating, totalRatings };
+};
+
+/**
+ * Get count of published reviews per star rating for an owner
+ * @param {ObjectId} ownerId - Owner user ID
+ * @returns {Promise<object>} { 1: n, 2: n, 3: n, 4: n, 5: n }
+ */
+reviewSchema.statics.getRatingBreakdown = async function (ownerId) {
+  const groups = await this.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(ownerId), status: 'published' } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  groups.forEach(group => {
+    breakdown[group._id] = group.count;
+  });
+
+  return breakdown;
+};
+
+// ====================================
+// MIDDLEWARE
+// ====================================
+
+/**
+ * Keep the owner's aggregate rating in sync when a review is added or changed
+ */
+reviewSchema.post('save', async function () {
+  try {
+    await this.constructor.updateOwnerRating(this.owner);
+  } catch (error) {
+    console.error('Error updating owner rating:', error);
+  }
+});
+
+/**
+ * Keep the owner's aggregate rating in sync when a review is removed
+ */
+reviewSchema.post('findOneAndDelete', async function (doc) {
+  if (doc) {
+    try {
+      await mongoose.model('Review').updateOwnerRating(doc.owner);
+    } catch (error) {
+      console.error('Error updating owner rating:', error);
+    }
+  }
+});
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// Filter combination accepted by GET /api/properties
+const searchFiltersSchema = new mongoose.Schema({
+  search: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  area: {
+    type: String,
+    trim: true
+  },
+  // Gazetteer IDs, comma separated
+  locationId: {
+    type: String,
+    trim: true
+  },
+  minRent: {
+    type: Number,
+    min: [0, 'Minimum rent cannot be negative']
+  },
+  maxRent: {
+    type: Number,
+    min: [0, 'Maximum rent cannot be negative']
+  },
+  propertyType: [{
+    type: String,
+    enum: ['room', 'flat', 'apartment', 'hostel', 'house']
+  }],
+  amenities: [{
+    type: String
+  }],
+  lat: {
+    type: Number,
+    min: -90,
+    max: 90
+  },
+  lng: {
+    type: Number,
+    min: -180,
+    max: 180
+  },
+  radius: {
+    type: Number, // in km
+    min: [0, 'Radius cannot be negative']
+  }
+}, { _id: false });
+
+const savedSearchSchema = new mongoose.Schema({
+  // Tenant who saved the search
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Saved search must belong to a user'],
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Please provide a name for this search'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+
+  filters: {
+    type: searchFiltersSchema,
+    default: () => ({})
+  },
+
+  // Send alerts when new listings match
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+
+  lastAlertedAt: {
+    type: Date
+  }
+
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// ====================================
+// INDEXES
+// ====================================
+savedSearchSchema.index({ alertsEnabled: 1, 'filters.city': 1 });
+
+// ====================================
+// METHODS
+// ====================================
+
+/**
+ * Get filters as GET /api/properties query params
+ * @returns {object} Plain params object for buildPropertyFilter
+ */
+savedSearchSchema.methods.toQueryParams = function () {
+  const filters = this.filters ? this.filters.toObject() : {};
+  const params = {};
+
+  Object.keys(filters).forEach(key => {
+    const value = filters[key];
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value) && value.length === 0) return;
+    params[key] = Array.isArray(value) ? value : String(value);
+  });
+
+  return params;
+};
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
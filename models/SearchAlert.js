@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * Delivery record for a saved search match
+ * One document per (saved search, property) so the same listing is never alerted twice
+ */
+const searchAlertSchema = new mongoose.Schema({
+  savedSearch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch',
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+
+  // Whether the alert was triggered by a new listing or an update
+  trigger: {
+    type: String,
+    enum: ['created', 'updated'],
+    default: 'created'
+  },
+
+  deliveredAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: true
+});
+
+// ====================================
+// INDEXES
+// ====================================
+
+// Compound unique index - prevent duplicate alerts
+searchAlertSchema.index({ savedSearch: 1, property: 1 }, { unique: true });
+searchAlertSchema.index({ user: 1, createdAt: -1 });
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('SearchAlert', searchAlertSchema);
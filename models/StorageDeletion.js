@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Files waiting to be removed from storage
+ * Deletions are queued here and retried by a background job instead of
+ * being fired and forgotten, so a storage outage doesn't leave orphaned files
+ */
+const storageDeletionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+
+  // Why the file was removed (for debugging orphaned files)
+  reason: {
+    type: String,
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'done', 'failed'],
+    default: 'pending'
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastError: {
+    type: String
+  },
+
+  completedAt: {
+    type: Date
+  }
+
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// ====================================
+// INDEXES
+// ====================================
+storageDeletionSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Keep finished entries for a week
+storageDeletionSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60, partialFilterExpression: { status: 'done' } }
+);
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('StorageDeletion', storageDeletionSchema);
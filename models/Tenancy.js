@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const tenancySchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Tenancy must be for a property']
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Empty when the owner rented to someone who isn't on the app
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Application that led to this tenancy, if any
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+
+  startDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  // Agreed end of the lease (optional, open-ended if not set)
+  endDate: {
+    type: Date
+  },
+
+  // Agreed terms, copied from the listing when not given
+  rent: {
+    type: Number,
+    required: [true, 'Please provide the agreed rent'],
+    min: [0, 'Rent cannot be negative']
+  },
+
+  securityDeposit: {
+    type: Number,
+    min: [0, 'Security deposit cannot be negative'],
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'ended'],
+    default: 'active'
+  },
+
+  // When the tenancy was actually closed
+  endedAt: {
+    type: Date
+  }
+
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// ====================================
+// INDEXES
+// ====================================
+
+// A property has at most one active tenancy
+tenancySchema.index(
+  { property: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' }, name: 'one_active_tenancy_per_property' }
+);
+tenancySchema.index({ property: 1, startDate: -1 });
+tenancySchema.index({ tenant: 1, startDate: -1 });
+tenancySchema.index({ owner: 1, startDate: -1 });
+
+// ====================================
+// MIDDLEWARE
+// ====================================
+
+/**
+ * Validate lease dates
+ */
+tenancySchema.pre('validate', function (next) {
+  if (this.endDate && this.startDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  next();
+});
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('Tenancy', tenancySchema);
@@ -34,8 +34,8 @@ const userSchema = new mongoose.Schema({
   role: {
     type: String,
     enum: {
-      values: ['tenant', 'owner'],
-      message: 'Role must be either tenant or owner'
+      values: ['tenant', 'owner', 'admin', 'moderator'],
+      message: 'Role must be tenant, owner, admin or moderator'
     },
     default: 'tenant'
   },
@@ -98,6 +98,10 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+
+  verifiedAt: {
+    type: Date
+  },
   
   // Statistics
   totalListings: {
@@ -185,6 +189,14 @@ userSchema.methods.getPublicProfile = function() {
   };
 };
 
+/**
+ * Check if user is platform staff (admin or moderator)
+ * @returns {boolean} True for staff roles
+ */
+userSchema.methods.isStaff = function() {
+  return ['admin', 'moderator'].includes(this.role);
+};
+
 /**
  * Update last login timestamp
  */
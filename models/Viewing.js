@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const viewingSchema = new mongoose.Schema({
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ViewingSlot',
+    required: true
+  },
+
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true,
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  tenant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Copied from the slot so lists and reminders don't need a join
+  startsAt: {
+    type: Date,
+    required: true
+  },
+
+  endsAt: {
+    type: Date,
+    required: true
+  },
+
+  // booked -> attended (confirmed by the owner) / expired (start passed without confirmation) / cancelled
+  status: {
+    type: String,
+    enum: ['booked', 'cancelled', 'attended', 'expired'],
+    default: 'booked',
+    index: true
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  cancelledAt: {
+    type: Date
+  },
+
+  attendedAt: {
+    type: Date
+  },
+
+  rescheduleCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Conversation the booking updates are posted into
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+
+  // Reminder offsets (hours before start) already sent for the current time
+  remindersSent: {
+    type: [Number],
+    default: []
+  }
+
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// ====================================
+// INDEXES
+// ====================================
+
+// A slot can only ever hold one active booking
+viewingSchema.index(
+  { slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'booked' } }
+);
+viewingSchema.index({ status: 1, startsAt: 1 });
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('Viewing', viewingSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const viewingSlotSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: [true, 'Slot must belong to a property'],
+    index: true
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  startsAt: {
+    type: Date,
+    required: [true, 'Please provide a start time']
+  },
+
+  endsAt: {
+    type: Date,
+    required: [true, 'Please provide an end time']
+  },
+
+  // open -> booked (one tenant per slot) / cancelled
+  status: {
+    type: String,
+    enum: ['open', 'booked', 'cancelled'],
+    default: 'open'
+  },
+
+  // Booking holding this slot
+  viewing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Viewing'
+  }
+
+}, {
+  timestamps: true // Adds createdAt and updatedAt
+});
+
+// ====================================
+// INDEXES
+// ====================================
+viewingSlotSchema.index({ property: 1, status: 1, startsAt: 1 });
+viewingSlotSchema.index({ owner: 1, startsAt: 1, endsAt: 1 });
+
+// ====================================
+// MIDDLEWARE
+// ====================================
+
+/**
+ * Validate slot times
+ */
+viewingSlotSchema.pre('validate', function (next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End time must be after start time');
+  }
+  next();
+});
+
+// ====================================
+// EXPORT MODEL
+// ====================================
+module.exports = mongoose.model('ViewingSlot', viewingSlotSchema);
@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getStats,
+  getUsers,
+  getUser,
+  updateUserStatus,
+  verifyUser,
+  updateUserRole,
+  unlistProperty,
+  relistProperty,
+  verifyProperty,
+  getAuditLogs,
+  getPayments,
+  getReportedReviews,
+  updateReviewStatus,
+  getReports,
+  resolveReport
+} = require('../controllers/admin.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const {
+  userStatusValidation,
+  verificationValidation,
+  userRoleValidation,
+  listingActionValidation,
+  reviewStatusValidation,
+  resolveReportValidation,
+  objectIdValidation
+} = require('../utils/validators');
+
+// All admin routes are staff only
+router.use(protect, authorize('admin', 'moderator'));
+
+// ====================================
+// DASHBOARD
+// ====================================
+
+/**
+ * @route   GET /api/admin/stats
+ * @desc    Get platform-wide counts
+ * @access  Private (Admin/Moderator)
+ */
+router.get('/stats', getStats);
+
+/**
+ * @route   GET /api/admin/audit-logs
+ * @desc    Get audit log of staff actions
+ * @access  Private (Admin)
+ * @query   actor, action, targetType, targetId, page, limit
+ */
+router.get('/audit-logs', authorize('admin'), getAuditLogs);
+
+/**
+ * @route   GET /api/admin/payments
+ * @desc    Get payment ledger with revenue totals
+ * @access  Private (Admin)
+ * @query   status, gateway, user, page, limit
+ */
+router.get('/payments', authorize('admin'), getPayments);
+
+// ====================================
+// USER MANAGEMENT
+// ====================================
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Search users
+ * @access  Private (Admin/Moderator)
+ * @query   search, role, isActive, isVerified, page, limit, sort
+ */
+router.get('/users', getUsers);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get single user
+ * @access  Private (Admin/Moderator)
+ */
+router.get('/users/:id', objectIdValidation, getUser);
+
+/**
+ * @route   PATCH /api/admin/users/:id/status
+ * @desc    Activate or deactivate a user
+ * @access  Private (Admin/Moderator)
+ * @body    { isActive, reason }
+ */
+router.patch('/users/:id/status', userStatusValidation, updateUserStatus);
+
+/**
+ * @route   PATCH /api/admin/users/:id/verify
+ * @desc    Mark a user as verified / unverified
+ * @access  Private (Admin/Moderator)
+ * @body    { isVerified, reason }
+ */
+router.patch('/users/:id/verify', verificationValidation, verifyUser);
+
+/**
+ * @route   PATCH /api/admin/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (Admin)
+ * @body    { role, reason }
+ */
+router.patch('/users/:id/role', authorize('admin'), userRoleValidation, updateUserRole);
+
+// ====================================
+// PROPERTY MANAGEMENT
+// ====================================
+
+/**
+ * @route   POST /api/admin/properties/:id/unlist
+ * @desc    Force-unlist a property
+ * @access  Private (Admin/Moderator)
+ * @body    { reason }
+ */
+router.post('/properties/:id/unlist', listingActionValidation, unlistProperty);
+
+/**
+ * @route   POST /api/admin/properties/:id/relist
+ * @desc    Relist a previously unlisted property
+ * @access  Private (Admin/Moderator)
+ * @body    { reason }
+ */
+router.post('/properties/:id/relist', listingActionValidation, relistProperty);
+
+/**
+ * @route   PATCH /api/admin/properties/:id/verify
+ * @desc    Mark a property as verified / unverified
+ * @access  Private (Admin/Moderator)
+ * @body    { isVerified, reason }
+ */
+router.patch('/properties/:id/verify', verificationValidation, verifyProperty);
+
+// ====================================
+// REVIEW MODERATION
+// ====================================
+
+/**
+ * @route   GET /api/admin/reviews/reported
+ * @desc    Get reported reviews
+ * @access  Private (Admin/Moderator)
+ * @query   status, page, limit
+ */
+router.get('/reviews/reported', getReportedReviews);
+
+/**
+ * @route   PATCH /api/admin/reviews/:id/status
+ * @desc    Hide or restore a review
+ * @access  Private (Admin/Moderator)
+ * @body    { status (published/hidden), reason }
+ */
+router.patch('/reviews/:id/status', reviewStatusValidation, updateReviewStatus);
+
+// ====================================
+// ABUSE REPORTS
+// ====================================
+
+/**
+ * @route   GET /api/admin/reports
+ * @desc    Get abuse reports against listings and users
+ * @access  Private (Admin/Moderator)
+ * @query   status (default: open), targetType, target, page, limit
+ */
+router.get('/reports', getReports);
+
+/**
+ * @route   PATCH /api/admin/reports/:id
+ * @desc    Update report status / record outcome
+ * @access  Private (Admin/Moderator)
+ * @body    { status, resolution }
+ */
+router.patch('/reports/:id', resolveReportValidation, resolveReport);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyApplications,
+  getApplication,
+  updateApplicationStatus,
+  withdrawApplication
+} = require('../controllers/application.controller');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  applicationStatusValidation,
+  objectIdValidation
+} = require('../utils/validators');
+
+// All application routes require authentication
+// (applications are submitted and listed per property at /api/properties/:id/applications)
+router.use(protect);
+
+/**
+ * @route   GET /api/applications/mine
+ * @desc    Get my rental applications
+ * @access  Private
+ * @query   status, page, limit
+ */
+router.get('/mine', getMyApplications);
+
+/**
+ * @route   GET /api/applications/:id
+ * @desc    Get a single application
+ * @access  Private (Applicant or property owner)
+ */
+router.get('/:id', objectIdValidation, getApplication);
+
+/**
+ * @route   PATCH /api/applications/:id/status
+ * @desc    Shortlist, accept or decline an application
+ *          Accepting marks the property rented and declines all other open applications
+ * @access  Private (Owner of property)
+ * @body    { status: 'shortlisted' | 'accepted' | 'declined', reason }
+ */
+router.patch('/:id/status', applicationStatusValidation, updateApplicationStatus);
+
+/**
+ * @route   PATCH /api/applications/:id/withdraw
+ * @desc    Withdraw my application
+ * @access  Private (Applicant)
+ */
+router.patch('/:id/withdraw', objectIdValidation, withdrawApplication);
+
+module.exports = router;
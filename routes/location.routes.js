@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  autocomplete,
+  getLocation
+} = require('../controllers/location.controller');
+const { locationAutocompleteValidation } = require('../utils/validators');
+
+// ====================================
+// LOCATION ROUTES (PUBLIC)
+// ====================================
+
+/**
+ * @route   GET /api/locations/autocomplete
+ * @desc    Suggest places from the Nepal gazetteer as the user types
+ * @access  Public
+ * @query   q, type (province|district|municipality|ward|area, comma separated), within, limit
+ */
+router.get('/autocomplete', locationAutocompleteValidation, autocomplete);
+
+/**
+ * @route   GET /api/locations/:id
+ * @desc    Get a place by canonical ID (e.g. municipality:kathmandu) with its hierarchy
+ * @access  Public
+ */
+router.get('/:id', getLocation);
+
+module.exports = router;
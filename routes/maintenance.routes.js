@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyTickets,
+  getTicket,
+  updateTicketStatus,
+  addComment
+} = require('../controllers/maintenance.controller');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  maintenanceStatusValidation,
+  maintenanceCommentValidation,
+  objectIdValidation
+} = require('../utils/validators');
+
+// All maintenance routes require authentication
+// (requests are raised at POST /api/properties/:id/maintenance)
+router.use(protect);
+
+/**
+ * @route   GET /api/maintenance
+ * @desc    Get my maintenance requests as tenant (default) or as owner
+ * @access  Private
+ * @query   as (tenant|owner), status, propertyId, page, limit
+ */
+router.get('/', getMyTickets);
+
+/**
+ * @route   GET /api/maintenance/:id
+ * @desc    Get a request with its status history and comments
+ * @access  Private (Tenant or owner)
+ */
+router.get('/:id', objectIdValidation, getTicket);
+
+/**
+ * @route   PATCH /api/maintenance/:id/status
+ * @desc    Move a request forward (open -> in_progress -> resolved)
+ * @access  Private (Owner)
+ * @body    { status: 'in_progress' | 'resolved', note }
+ */
+router.patch('/:id/status', maintenanceStatusValidation, updateTicketStatus);
+
+/**
+ * @route   POST /api/maintenance/:id/comments
+ * @desc    Add a comment to the request thread
+ * @access  Private (Tenant or owner)
+ * @body    { body }
+ */
+router.post('/:id/comments', maintenanceCommentValidation, addComment);
+
+module.exports = router;
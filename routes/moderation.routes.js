@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getReviewQueue,
+  approveProperty,
+  rejectProperty
+} = require('../controllers/moderation.controller');
+const { protect, authorize } = require('../middleware/auth.middleware');
+const {
+  rejectPropertyValidation,
+  objectIdValidation
+} = require('../utils/validators');
+
+// All moderation routes are staff only
+router.use(protect, authorize('admin', 'moderator'));
+
+// ====================================
+// REVIEW QUEUE ROUTES
+// ====================================
+
+/**
+ * @route   GET /api/moderation/queue
+ * @desc    Get listings waiting for review (oldest first)
+ * @access  Private (Admin/Moderator)
+ * @query   status (default: pending_review), flagged, page, limit
+ */
+router.get('/queue', getReviewQueue);
+
+/**
+ * @route   POST /api/moderation/properties/:id/approve
+ * @desc    Approve and publish a listing
+ * @access  Private (Admin/Moderator)
+ */
+router.post('/properties/:id/approve', objectIdValidation, approveProperty);
+
+/**
+ * @route   POST /api/moderation/properties/:id/reject
+ * @desc    Reject a listing
+ * @access  Private (Admin/Moderator)
+ * @body    { reason }
+ */
+router.post('/properties/:id/reject', rejectPropertyValidation, rejectProperty);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  markAsRead,
+  markAllAsRead
+} = require('../controllers/notification.controller');
+const { protect } = require('../middleware/auth.middleware');
+const { objectIdValidation } = require('../utils/validators');
+
+// All notification routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get user's notifications
+ * @access  Private
+ * @query   unread (true/false), page, limit
+ */
+router.get('/', getNotifications);
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.put('/read-all', markAllAsRead);
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.put('/:id/read', objectIdValidation, markAsRead);
+
+module.exports = router;
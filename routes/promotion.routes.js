@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPackages,
+  createOrder,
+  verifyOrder,
+  getMyOrders,
+  getOrder
+} = require('../controllers/promotion.controller');
+const { protect, isOwner } = require('../middleware/auth.middleware');
+const {
+  promotionOrderValidation,
+  objectIdValidation
+} = require('../utils/validators');
+
+// ====================================
+// PUBLIC ROUTES
+// ====================================
+
+/**
+ * @route   GET /api/promotions/packages
+ * @desc    Get promotion packages and payment gateways
+ * @access  Public
+ */
+router.get('/packages', getPackages);
+
+// ====================================
+// PROTECTED ROUTES (require authentication)
+// ====================================
+
+/**
+ * @route   GET /api/promotions/orders
+ * @desc    Get user's promotion orders
+ * @access  Private
+ * @query   status, property, page, limit
+ */
+router.get('/orders', protect, getMyOrders);
+
+/**
+ * @route   POST /api/promotions/orders
+ * @desc    Create promotion order and start payment
+ * @access  Private (Owner of property)
+ * @body    { propertyId, packageCode, gateway, returnUrl, failureUrl }
+ */
+router.post('/orders', protect, isOwner, promotionOrderValidation, createOrder);
+
+/**
+ * @route   GET /api/promotions/orders/:id
+ * @desc    Get single promotion order with its payments
+ * @access  Private (Order owner)
+ */
+router.get('/orders/:id', protect, objectIdValidation, getOrder);
+
+/**
+ * @route   POST /api/promotions/orders/:id/verify
+ * @desc    Verify payment after gateway redirect and activate promotion
+ * @access  Private (Order owner)
+ * @body    Callback params from the gateway redirect
+ */
+router.post('/orders/:id/verify', protect, objectIdValidation, verifyOrder);
+
+module.exports = router;
@@ -3,19 +3,44 @@ const router = express.Router();
 const {
   getProperties,
   getFeaturedProperties,
+  getMapProperties,
+  searchPropertiesInArea,
+  getRecommendedProperties,
   getProperty,
+  getSimilarProperties,
   createProperty,
   updateProperty,
   deleteProperty,
   getMyListings,
   updatePropertyStatus,
+  submitForReview,
+  renewProperty,
   incrementViews,
-  incrementCallClicks
+  incrementCallClicks,
+  getPropertyAnalytics,
+  addPropertyImages,
+  removePropertyImage,
+  reorderPropertyImages,
+  setPropertyCoverImage
 } = require('../controllers/property.controller');
-const { protect, isOwner } = require('../middleware/auth.middleware');
-const { uploadPropertyImages, handleUploadErrors } = require('../middleware/upload.middleware');
+const { protect, isOwner, optionalAuth } = require('../middleware/auth.middleware');
+const { reportProperty } = require('../controllers/report.controller');
+const { getPropertySlots, createSlots } = require('../controllers/viewing.controller');
+const { submitApplication, getPropertyApplications } = require('../controllers/application.controller');
+const { getPropertyTenancies } = require('../controllers/tenancy.controller');
+const { createTicket } = require('../controllers/maintenance.controller');
+const { uploadPropertyImages, uploadMultiple, handleUploadErrors } = require('../middleware/upload.middleware');
 const {
   createPropertyValidation,
+  reportValidation,
+  viewingSlotsValidation,
+  applicationValidation,
+  propertyStatusValidation,
+  maintenanceTicketValidation,
+  imageUrlValidation,
+  imageOrderValidation,
+  mapSearchValidation,
+  areaSearchValidation,
   objectIdValidation
 } = require('../utils/validators');
 
@@ -27,10 +52,28 @@ const {
  * @route   GET /api/properties
  * @desc    Get all properties with filters and pagination
  * @access  Public
- * @query   city, area, minRent, maxRent, propertyType, amenities, status, page, limit, sort
+ * @query   city, area, minRent, maxRent, propertyType, amenities, status, reduced, page, limit,
+ *          lat, lng, radius, nearLat, nearLng, sort (field, "reduced", "distance" or "relevance")
  */
 router.get('/', getProperties);
 
+/**
+ * @route   GET /api/properties/map
+ * @desc    Listings inside a map viewport: pins when few match, grid clusters
+ *          (count, min/max rent, bounds) when many do
+ * @access  Public
+ * @query   bbox (minLng,minLat,maxLng,maxLat), zoom (0-22), plus the GET /api/properties filters
+ */
+router.get('/map', mapSearchValidation, getMapProperties);
+
+/**
+ * @route   POST /api/properties/search/area
+ * @desc    Search inside a shape drawn on the map (paginated, same filters as GET /api/properties)
+ * @access  Public
+ * @body    shape (GeoJSON Polygon or MultiPolygon), plus the GET /api/properties filters, page, limit, sort
+ */
+router.post('/search/area', areaSearchValidation, searchPropertiesInArea);
+
 /**
  * @route   GET /api/properties/featured
  * @desc    Get featured properties
@@ -39,26 +82,45 @@ router.get('/', getProperties);
  */
 router.get('/featured', getFeaturedProperties);
 
+/**
+ * @route   GET /api/properties/recommended
+ * @desc    Listings ranked for the logged-in tenant (preferences, favorites, conversations)
+ *          Falls back to popular listings in their city when there's nothing to go on
+ * @access  Private
+ * @query   page, limit (max 50)
+ */
+router.get('/recommended', protect, getRecommendedProperties);
+
 /**
  * @route   GET /api/properties/:id
  * @desc    Get single property by ID
+ * @access  Public (unpublished listings: owner/staff only)
+ */
+router.get('/:id', optionalAuth, objectIdValidation, getProperty);
+
+/**
+ * @route   GET /api/properties/:id/similar
+ * @desc    Available listings similar to this one (nearby, type, rent band, rooms, amenities)
  * @access  Public
+ * @query   limit (default: 6, max: 20)
  */
-router.get('/:id', objectIdValidation, getProperty);
+router.get('/:id/similar', objectIdValidation, getSimilarProperties);
 
 /**
  * @route   POST /api/properties/:id/view
- * @desc    Increment property views
+ * @desc    Record a property view (de-duplicated per visitor/device per window)
  * @access  Public
+ * @header  X-Device-Id (optional, identifies anonymous app installs)
  */
-router.post('/:id/view', objectIdValidation, incrementViews);
+router.post('/:id/view', optionalAuth, objectIdValidation, incrementViews);
 
 /**
  * @route   POST /api/properties/:id/call
- * @desc    Increment property call clicks
+ * @desc    Record a call click (de-duplicated per visitor/device per window)
  * @access  Public
+ * @header  X-Device-Id (optional, identifies anonymous app installs)
  */
-router.post('/:id/call', objectIdValidation, incrementCallClicks);
+router.post('/:id/call', optionalAuth, objectIdValidation, incrementCallClicks);
 
 // ====================================
 // PROTECTED ROUTES (require authentication)
@@ -73,7 +135,7 @@ router.get('/me/listings', protect, getMyListings);
 
 /**
  * @route   POST /api/properties
- * @desc    Create new property
+ * @desc    Create new property (goes to review queue, or draft if draft=true)
  * @access  Private (Owner/Both)
  */
 router.post(
@@ -106,12 +168,144 @@ router.put(
  */
 router.delete('/:id', protect, objectIdValidation, deleteProperty);
 
+/**
+ * @route   POST /api/properties/:id/images
+ * @desc    Add images to the end of the gallery (listing keeps 1-10 images)
+ * @access  Private (Owner of property)
+ * @body    images (multipart)
+ */
+router.post(
+  '/:id/images',
+  protect,
+  objectIdValidation,
+  uploadPropertyImages,
+  handleUploadErrors,
+  addPropertyImages
+);
+
+/**
+ * @route   DELETE /api/properties/:id/images
+ * @desc    Remove one image (the file is deleted from storage by a background job)
+ * @access  Private (Owner of property)
+ * @body    { url }
+ */
+router.delete('/:id/images', protect, imageUrlValidation, removePropertyImage);
+
+/**
+ * @route   PATCH /api/properties/:id/images/order
+ * @desc    Reorder images (first image is the cover)
+ * @access  Private (Owner of property)
+ * @body    { images: [url, ...] }
+ */
+router.patch('/:id/images/order', protect, imageOrderValidation, reorderPropertyImages);
+
+/**
+ * @route   PATCH /api/properties/:id/images/cover
+ * @desc    Set the cover image
+ * @access  Private (Owner of property)
+ * @body    { url }
+ */
+router.patch('/:id/images/cover', protect, imageUrlValidation, setPropertyCoverImage);
+
 /**
  * @route   PATCH /api/properties/:id/status
  * @desc    Update property status (available/rented)
+ *          Marking rented records a tenancy (terms default to the listing), marking available ends it
  * @access  Private (Owner of property)
+ * @body    { status, tenantId, startDate, endDate, rent, securityDeposit }
  */
-router.patch('/:id/status', protect, objectIdValidation, updatePropertyStatus);
+router.patch('/:id/status', protect, propertyStatusValidation, updatePropertyStatus);
+
+/**
+ * @route   POST /api/properties/:id/submit
+ * @desc    Submit a draft or rejected property for review
+ * @access  Private (Owner of property)
+ */
+router.post('/:id/submit', protect, objectIdValidation, submitForReview);
+
+/**
+ * @route   POST /api/properties/:id/renew
+ * @desc    Extend listing expiry (allowed within LISTING_RENEW_WINDOW_DAYS of expiry)
+ * @access  Private (Owner of property)
+ */
+router.post('/:id/renew', protect, objectIdValidation, renewProperty);
+
+/**
+ * @route   POST /api/properties/:id/relist
+ * @desc    Make an expired listing live again
+ * @access  Private (Owner of property)
+ */
+router.post('/:id/relist', protect, objectIdValidation, renewProperty);
+
+/**
+ * @route   GET /api/properties/:id/analytics
+ * @desc    Get per-day views, call clicks, favorites and inquiries with conversion ratios
+ * @access  Private (Owner of property)
+ * @query   from, to (YYYY-MM-DD, default: last 30 days)
+ */
+router.get('/:id/analytics', protect, objectIdValidation, getPropertyAnalytics);
+
+/**
+ * @route   POST /api/properties/:id/report
+ * @desc    Report a listing (scam, fake, wrong info...)
+ * @access  Private
+ * @body    { reason, details }
+ */
+router.post('/:id/report', protect, reportValidation, reportProperty);
+
+/**
+ * @route   GET /api/properties/:id/viewing-slots
+ * @desc    Get upcoming viewing slots (open slots for tenants, all slots with bookings for the owner)
+ * @access  Private
+ */
+router.get('/:id/viewing-slots', protect, objectIdValidation, getPropertySlots);
+
+/**
+ * @route   POST /api/properties/:id/viewing-slots
+ * @desc    Publish viewing availability slots
+ * @access  Private (Owner of property)
+ * @body    { slots: [{ startsAt, endsAt }] }
+ */
+router.post('/:id/viewing-slots', protect, viewingSlotsValidation, createSlots);
+
+/**
+ * @route   POST /api/properties/:id/applications
+ * @desc    Apply to rent a property
+ * @access  Private
+ * @body    { moveInDate, occupants, occupation, message }
+ */
+router.post('/:id/applications', protect, applicationValidation, submitApplication);
+
+/**
+ * @route   GET /api/properties/:id/applications
+ * @desc    Get applications for a property (owner inbox)
+ * @access  Private (Owner of property)
+ * @query   status, page, limit
+ */
+router.get('/:id/applications', protect, objectIdValidation, getPropertyApplications);
+
+/**
+ * @route   GET /api/properties/:id/tenancies
+ * @desc    Get tenancy history of a property
+ * @access  Private (Owner of property)
+ */
+router.get('/:id/tenancies', protect, objectIdValidation, getPropertyTenancies);
+
+/**
+ * @route   POST /api/properties/:id/maintenance
+ * @desc    Raise a maintenance request (multipart, up to 10 photos in 'images')
+ * @access  Private (Current tenant)
+ * @body    { category, description, urgency }
+ */
+router.post(
+  '/:id/maintenance',
+  protect,
+  objectIdValidation,
+  uploadMultiple,
+  handleUploadErrors,
+  maintenanceTicketValidation,
+  createTicket
+);
 
 module.exports = router;
 
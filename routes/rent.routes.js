@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCharge,
+  updateUtilities,
+  recordPayment,
+  getOverdueCharges,
+  downloadReceipt
+} = require('../controllers/rent.controller');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  rentPaymentValidation,
+  utilityAmountsValidation,
+  objectIdValidation
+} = require('../utils/validators');
+
+// All rent routes require authentication
+// (a tenancy's full schedule is at GET /api/tenancies/:id/rent)
+router.use(protect);
+
+/**
+ * @route   GET /api/rent/overdue
+ * @desc    Get overdue charges as owner (default) or as tenant
+ * @access  Private
+ * @query   as (owner|tenant)
+ */
+router.get('/overdue', getOverdueCharges);
+
+/**
+ * @route   GET /api/rent/charges/:id
+ * @desc    Get a monthly charge with its payments
+ * @access  Private (Tenant or owner)
+ */
+router.get('/charges/:id', objectIdValidation, getCharge);
+
+/**
+ * @route   PATCH /api/rent/charges/:id/utilities
+ * @desc    Set electricity/water amounts for the month (when not included in rent)
+ * @access  Private (Owner)
+ * @body    { electricity, water }
+ */
+router.patch('/charges/:id/utilities', utilityAmountsValidation, updateUtilities);
+
+/**
+ * @route   POST /api/rent/charges/:id/payments
+ * @desc    Record a full or partial payment
+ * @access  Private (Owner)
+ * @body    { amount, method: 'cash' | 'bank' | 'wallet', paidAt, reference, note }
+ */
+router.post('/charges/:id/payments', rentPaymentValidation, recordPayment);
+
+/**
+ * @route   GET /api/rent/payments/:id/receipt
+ * @desc    Download a PDF receipt
+ * @access  Private (Tenant or owner)
+ */
+router.get('/payments/:id/receipt', objectIdValidation, downloadReceipt);
+
+module.exports = router;
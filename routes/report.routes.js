@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { getMyReports } = require('../controllers/report.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+// All report routes require authentication
+// (reports are filed at POST /api/properties/:id/report and POST /api/users/:id/report)
+router.use(protect);
+
+/**
+ * @route   GET /api/reports/mine
+ * @desc    Get reports filed by current user with their outcome
+ * @access  Private
+ * @query   status, page, limit
+ */
+router.get('/mine', getMyReports);
+
+module.exports = router;
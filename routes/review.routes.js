@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const {
+  checkEligibility,
+  createReview,
+  updateReview,
+  deleteReview,
+  replyToReview,
+  reportReview
+} = require('../controllers/review.controller');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  createReviewValidation,
+  updateReviewValidation,
+  reviewReplyValidation,
+  reportReviewValidation,
+  ownerIdValidation,
+  objectIdValidation
+} = require('../utils/validators');
+
+// All review write routes require authentication
+// (public listing lives at GET /api/users/:id/reviews)
+router.use(protect);
+
+// ====================================
+// REVIEW ROUTES
+// ====================================
+
+/**
+ * @route   GET /api/reviews/eligibility/:ownerId
+ * @desc    Check if current user can review an owner
+ * @access  Private
+ */
+router.get('/eligibility/:ownerId', ownerIdValidation, checkEligibility);
+
+/**
+ * @route   POST /api/reviews
+ * @desc    Review an owner (1-5 rating and text)
+ * @access  Private (Tenants who chatted with or rented from the owner)
+ * @body    { ownerId, propertyId (optional), rating, comment }
+ */
+router.post('/', createReviewValidation, createReview);
+
+/**
+ * @route   PUT /api/reviews/:id
+ * @desc    Update own review
+ * @access  Private (Reviewer)
+ * @body    { rating, comment }
+ */
+router.put('/:id', updateReviewValidation, updateReview);
+
+/**
+ * @route   DELETE /api/reviews/:id
+ * @desc    Delete own review
+ * @access  Private (Reviewer)
+ */
+router.delete('/:id', objectIdValidation, deleteReview);
+
+/**
+ * @route   POST /api/reviews/:id/reply
+ * @desc    Reply to a review
+ * @access  Private (Reviewed owner)
+ * @body    { text }
+ */
+router.post('/:id/reply', reviewReplyValidation, replyToReview);
+
+/**
+ * @route   POST /api/reviews/:id/report
+ * @desc    Report a review for abuse
+ * @access  Private
+ * @body    { reason (spam/offensive/fake/personal_info/other), details }
+ */
+router.post('/:id/report', reportReviewValidation, reportReview);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getAlerts
+} = require('../controllers/savedSearch.controller');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  savedSearchValidation,
+  updateSavedSearchValidation,
+  searchAlertsValidation,
+  objectIdValidation
+} = require('../utils/validators');
+
+// All saved search routes require authentication
+router.use(protect);
+
+// ====================================
+// SAVED SEARCH ROUTES
+// ====================================
+
+/**
+ * @route   GET /api/saved-searches
+ * @desc    Get user's saved searches
+ * @access  Private
+ */
+router.get('/', getSavedSearches);
+
+/**
+ * @route   POST /api/saved-searches
+ * @desc    Save a search (any filter combination accepted by GET /api/properties)
+ * @access  Private
+ * @body    { name, filters: { search, city, area, minRent, maxRent, propertyType, amenities, lat, lng, radius }, alertsEnabled }
+ */
+router.post('/', savedSearchValidation, createSavedSearch);
+
+/**
+ * @route   GET /api/saved-searches/alerts
+ * @desc    Get listings that matched user's saved searches
+ * @access  Private
+ * @query   savedSearch, page, limit
+ */
+router.get('/alerts', searchAlertsValidation, getAlerts);
+
+/**
+ * @route   GET /api/saved-searches/:id
+ * @desc    Get single saved search
+ * @access  Private
+ */
+router.get('/:id', objectIdValidation, getSavedSearch);
+
+/**
+ * @route   PUT /api/saved-searches/:id
+ * @desc    Update saved search
+ * @access  Private
+ * @body    { name, filters, alertsEnabled } (all optional)
+ */
+router.put('/:id', updateSavedSearchValidation, updateSavedSearch);
+
+/**
+ * @route   DELETE /api/saved-searches/:id
+ * @desc    Delete saved search and its alert history
+ * @access  Private
+ */
+router.delete('/:id', objectIdValidation, deleteSavedSearch);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const { getMyTenancies, getTenancy } = require('../controllers/tenancy.controller');
+const { getTenancyRent } = require('../controllers/rent.controller');
+const { getLease, generateLease, acceptLease } = require('../controllers/lease.controller');
+const { protect } = require('../middleware/auth.middleware');
+const { objectIdValidation } = require('../utils/validators');
+
+// All tenancy routes require authentication
+// (tenancies are opened and closed by PATCH /api/properties/:id/status and accepted applications)
+router.use(protect);
+
+/**
+ * @route   GET /api/tenancies/mine
+ * @desc    Get my tenancy history as tenant (default) or as owner
+ * @access  Private
+ * @query   as (tenant|owner), status (active|ended), page, limit
+ */
+router.get('/mine', getMyTenancies);
+
+/**
+ * @route   GET /api/tenancies/:id
+ * @desc    Get a single tenancy
+ * @access  Private (Tenant or owner)
+ */
+router.get('/:id', objectIdValidation, getTenancy);
+
+/**
+ * @route   GET /api/tenancies/:id/rent
+ * @desc    Get the monthly rent schedule with paid/outstanding/overdue totals
+ * @access  Private (Tenant or owner)
+ */
+router.get('/:id/rent', objectIdValidation, getTenancyRent);
+
+/**
+ * @route   GET /api/tenancies/:id/lease
+ * @desc    Get the lease agreement (PDF URL and acceptance timestamps)
+ * @access  Private (Tenant or owner)
+ */
+router.get('/:id/lease', objectIdValidation, getLease);
+
+/**
+ * @route   POST /api/tenancies/:id/lease
+ * @desc    Regenerate the lease PDF (clears acceptances)
+ * @access  Private (Owner)
+ */
+router.post('/:id/lease', objectIdValidation, generateLease);
+
+/**
+ * @route   POST /api/tenancies/:id/lease/accept
+ * @desc    E-accept the lease agreement
+ * @access  Private (Tenant or owner)
+ */
+router.post('/:id/lease/accept', objectIdValidation, acceptLease);
+
+module.exports = router;
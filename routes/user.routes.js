@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { getUserProfile } = require('../controllers/user.controller');
+const { getOwnerReviews } = require('../controllers/review.controller');
+const { reportUser } = require('../controllers/report.controller');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  reportValidation,
+  objectIdValidation
+} = require('../utils/validators');
+
+// ====================================
+// PUBLIC ROUTES
+// ====================================
+
+/**
+ * @route   GET /api/users/:id
+ * @desc    Get public profile of a user
+ * @access  Public
+ */
+router.get('/:id', objectIdValidation, getUserProfile);
+
+/**
+ * @route   GET /api/users/:id/reviews
+ * @desc    Get published reviews for an owner with rating breakdown
+ * @access  Public
+ * @query   page, limit, sort
+ */
+router.get('/:id/reviews', objectIdValidation, getOwnerReviews);
+
+// ====================================
+// PROTECTED ROUTES (require authentication)
+// ====================================
+
+/**
+ * @route   POST /api/users/:id/report
+ * @desc    Report a user (scam, harassment...)
+ * @access  Private
+ * @body    { reason, details }
+ */
+router.post('/:id/report', protect, reportValidation, reportUser);
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const {
+  deleteSlot,
+  bookSlot,
+  getMyViewings,
+  rescheduleViewing,
+  cancelViewing,
+  markAttended
+} = require('../controllers/viewing.controller');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  bookViewingValidation,
+  rescheduleViewingValidation,
+  cancelViewingValidation,
+  objectIdValidation
+} = require('../utils/validators');
+
+// All viewing routes require authentication
+// (slots are listed and published at /api/properties/:id/viewing-slots)
+router.use(protect);
+
+/**
+ * @route   GET /api/viewings
+ * @desc    Get my viewings as tenant (default) or as owner
+ * @access  Private
+ * @query   as (tenant|owner), status, upcoming (true), page, limit
+ */
+router.get('/', getMyViewings);
+
+/**
+ * @route   POST /api/viewings/slots/:id/book
+ * @desc    Book an open viewing slot
+ * @access  Private
+ * @body    { note }
+ */
+router.post('/slots/:id/book', bookViewingValidation, bookSlot);
+
+/**
+ * @route   DELETE /api/viewings/slots/:id
+ * @desc    Remove a viewing slot (cancels its booking and notifies the tenant)
+ * @access  Private (Owner of slot)
+ * @body    { reason }
+ */
+router.delete('/slots/:id', objectIdValidation, deleteSlot);
+
+/**
+ * @route   PATCH /api/viewings/:id/reschedule
+ * @desc    Move a booking to another open slot of the same property
+ * @access  Private (Tenant who booked)
+ * @body    { slotId }
+ */
+router.patch('/:id/reschedule', rescheduleViewingValidation, rescheduleViewing);
+
+/**
+ * @route   PATCH /api/viewings/:id/cancel
+ * @desc    Cancel a booking (tenant or owner)
+ * @access  Private
+ * @body    { reason }
+ */
+router.patch('/:id/cancel', cancelViewingValidation, cancelViewing);
+
+/**
+ * @route   PATCH /api/viewings/:id/attended
+ * @desc    Confirm the tenant attended (lets them review the owner)
+ * @access  Private (Owner)
+ */
+router.patch('/:id/attended', objectIdValidation, markAttended);
+
+module.exports = router;
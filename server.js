@@ -18,6 +18,10 @@ const errorHandler = require('./middleware/error.middleware');
 const http = require('http'); // Import http
 const { Server } = require('socket.io'); // Import Socket.io
 const socketService = require('./services/socket.service'); // Import Socket Service
+const scheduler = require('./services/scheduler.service');
+const registerJobs = require('./jobs');
+const storageConfig = require('./config/storage');
+const { serveLocalUploads } = require('./middleware/localStorage.middleware');
 
 // Initialize Express app
 const app = express();
@@ -57,6 +61,11 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
 }
 
+// Files stored by the local storage driver
+if (storageConfig.driver === 'local') {
+  app.use(storageConfig.local.publicPath, serveLocalUploads());
+}
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -76,6 +85,10 @@ mongoose.connect(process.env.MONGODB_URI, {
   .then(() => {
     console.log('✅ MongoDB Connected Successfully');
     console.log(`📊 Database: ${mongoose.connection.name}`);
+
+    // Start background jobs once the database is available
+    registerJobs();
+    scheduler.start();
   })
   .catch((err) => {
     console.error('❌ MongoDB Connection Error:', err.message);
@@ -89,6 +102,20 @@ mongoose.connect(process.env.MONGODB_URI, {
 // Import new Chat Routes
 const chatRoutes = require('./routes/chat.routes');
 const settingsRoutes = require('./routes/settings.routes');
+const savedSearchRoutes = require('./routes/savedSearch.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const moderationRoutes = require('./routes/moderation.routes');
+const adminRoutes = require('./routes/admin.routes');
+const promotionRoutes = require('./routes/promotion.routes');
+const userRoutes = require('./routes/user.routes');
+const reviewRoutes = require('./routes/review.routes');
+const reportRoutes = require('./routes/report.routes');
+const viewingRoutes = require('./routes/viewing.routes');
+const applicationRoutes = require('./routes/application.routes');
+const tenancyRoutes = require('./routes/tenancy.routes');
+const rentRoutes = require('./routes/rent.routes');
+const maintenanceRoutes = require('./routes/maintenance.routes');
+const locationRoutes = require('./routes/location.routes');
 
 // Health check route
 app.get('/', (req, res) => {
@@ -106,6 +133,20 @@ app.use('/api/properties', propertyRoutes);
 app.use('/api/favorites', favoriteRoutes);
 app.use('/api/chat', chatRoutes); // Register Chat Routes
 app.use('/api/settings', settingsRoutes); // Register Settings Routes
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/viewings', viewingRoutes);
+app.use('/api/applications', applicationRoutes);
+app.use('/api/tenancies', tenancyRoutes);
+app.use('/api/rent', rentRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/locations', locationRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const Property = require('../models/Property');
+const ListingEvent = require('../models/ListingEvent');
+const ListingDailyStat = require('../models/ListingDailyStat');
+const analyticsConfig = require('../config/analytics');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Event type -> rollup field and Property counter
+const EVENT_FIELDS = {
+    view: { stat: 'views', counter: 'views' },
+    call_click: { stat: 'callClicks', counter: 'clicksOnCall' },
+    favorite: { stat: 'favorites', counter: null }, // totalFavorites is maintained by Favorite hooks
+    inquiry: { stat: 'inquiries', counter: null }
+};
+
+// Event types that only count once per visitor per window
+const DEDUPED_EVENTS = ['view', 'call_click'];
+
+/**
+ * Get the local calendar day for a date
+ * @param {Date} date - Date to convert
+ * @returns {string} YYYY-MM-DD
+ */
+const toDayKey = (date = new Date()) => {
+    const local = new Date(date.getTime() + analyticsConfig.timezoneOffsetMinutes * 60 * 1000);
+    return local.toISOString().slice(0, 10);
+};
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Identify the visitor behind a request
+ * Prefers the logged in user, then the app's device ID, then hashed IP + user agent.
+ * Anonymous visitors also get a networkId (hashed IP), which caps how many of them count
+ * from one network (see recordEvent)
+ * @param {object} req - Express request
+ * @returns {object} { visitorId, networkId }
+ */
+const getVisitor = (req) => {
+    if (req.user) {
+        return { visitorId: `user:${req.user._id}` };
+    }
+
+    const networkId = sha256(String(req.ip));
+
+    const deviceId = req.get('X-Device-Id');
+    if (deviceId) {
+        return { visitorId: `device:${deviceId.slice(0, 128)}`, networkId };
+    }
+
+    return { visitorId: `anon:${sha256(`${req.ip}|${req.get('User-Agent') || ''}`)}`, networkId };
+};
+
+/**
+ * Record a listing engagement event and update counters and daily rollup
+ * Views and call clicks are de-duplicated per visitor per window
+ * @param {object} property - Property document
+ * @param {string} type - view | call_click | favorite | inquiry
+ * @param {object} options - { visitorId, networkId, userId } (see getVisitor)
+ * @returns {Promise<boolean>} True if the event was counted
+ */
+const recordEvent = async (property, type, { visitorId, networkId, userId } = {}) => {
+    const fields = EVENT_FIELDS[type];
+    const ownerId = property.owner && (property.owner._id || property.owner);
+
+    // Owners looking at their own listing are not engagement
+    if (userId && ownerId && userId.toString() === ownerId.toString()) {
+        return false;
+    }
+
+    const event = {
+        property: property._id,
+        owner: ownerId,
+        type,
+        user: userId,
+        visitorId,
+        networkId
+    };
+
+    if (DEDUPED_EVENTS.includes(type) && visitorId) {
+        const windowMs = analyticsConfig.dedupeWindowMinutes * 60 * 1000;
+        const bucket = Math.floor(Date.now() / windowMs);
+        event.dedupeKey = `${property._id}:${type}:${visitorId}:${bucket}`;
+
+        // Device IDs and user agents are picked by the client - a fresh one per request must not inflate counts
+        if (networkId) {
+            const fromNetwork = await ListingEvent.countDocuments({
+                property: property._id,
+                type,
+                networkId,
+                createdAt: { $gte: new Date(bucket * windowMs) }
+            });
+
+            if (fromNetwork >= analyticsConfig.maxDevicesPerNetwork) return false;
+        }
+    }
+
+    try {
+        await ListingEvent.create(event);
+    } catch (error) {
+        // Duplicate key - already counted in this window
+        if (error.code === 11000) return false;
+        throw error;
+    }
+
+    if (fields.counter) {
+        await Property.updateOne({ _id: property._id }, { $inc: { [fields.counter]: 1 } });
+    }
+
+    await ListingDailyStat.updateOne(
+        { property: property._id, date: toDayKey() },
+        {
+            $inc: { [fields.stat]: 1 },
+            $setOnInsert: { owner: ownerId }
+        },
+        { upsert: true }
+    );
+
+    return true;
+};
+
+/**
+ * Safe ratio rounded to 4 decimals
+ */
+const ratio = (numerator, denominator) => {
+    return denominator > 0 ? Math.round((numerator / denominator) * 10000) / 10000 : 0;
+};
+
+/**
+ * Build per-day series, totals and conversion ratios for a listing
+ * Days without activity are filled with zeros
+ * @param {ObjectId} propertyId - Property ID
+ * @param {Date} from - Start date (inclusive)
+ * @param {Date} to - End date (inclusive)
+ * @returns {Promise<object>} { from, to, series, totals, conversion }
+ */
+const getListingAnalytics = async (propertyId, from, to) => {
+    const fromKey = toDayKey(from);
+    const toKey = toDayKey(to);
+
+    const stats = await ListingDailyStat.find({
+        property: propertyId,
+        date: { $gte: fromKey, $lte: toKey }
+    }).lean();
+
+    const byDate = stats.reduce((map, stat) => {
+        map[stat.date] = stat;
+        return map;
+    }, {});
+
+    const series = [];
+    const totals = { views: 0, callClicks: 0, favorites: 0, inquiries: 0 };
+
+    // Walk calendar days as UTC dates so the keys line up with toDayKey output
+    for (let day = new Date(`${fromKey}T00:00:00Z`); day.toISOString().slice(0, 10) <= toKey; day = new Date(day.getTime() + DAY)) {
+        const date = day.toISOString().slice(0, 10);
+        const stat = byDate[date] || {};
+        const point = {
+            date,
+            views: stat.views || 0,
+            callClicks: stat.callClicks || 0,
+            favorites: stat.favorites || 0,
+            inquiries: stat.inquiries || 0
+        };
+
+        Object.keys(totals).forEach(key => {
+            totals[key] += point[key];
+        });
+
+        series.push(point);
+    }
+
+    return {
+        from: fromKey,
+        to: toKey,
+        series,
+        totals,
+        conversion: {
+            viewToCall: ratio(totals.callClicks, totals.views),
+            viewToFavorite: ratio(totals.favorites, totals.views),
+            viewToInquiry: ratio(totals.inquiries, totals.views)
+        }
+    };
+};
+
+module.exports = {
+    getVisitor,
+    recordEvent,
+    getListingAnalytics,
+    toDayKey
+};
@@ -0,0 +1,222 @@
+const Application = require('../models/Application');
+const Property = require('../models/Property');
+const notificationService = require('./notification.service');
+const tenancyService = require('./tenancy.service');
+const serviceError = require('../utils/serviceError');
+
+const { OPEN_STATUSES } = Application;
+
+/**
+ * Submit a rental application for a listing
+ * @param {object} property - Property document
+ * @param {object} tenant - Applicant user document
+ * @param {object} details - { moveInDate, occupants, occupation, message }
+ * @returns {Promise<object>} Created application
+ */
+const submitApplication = async (property, tenant, { moveInDate, occupants, occupation, message }) => {
+    if (property.owner._id.toString() === tenant._id.toString()) {
+        throw serviceError(400, 'You cannot apply to your own property');
+    }
+
+    if (!property.isPubliclyVisible() || property.status !== 'available' || property.isExpired()) {
+        throw serviceError(400, 'This property is not accepting applications');
+    }
+
+    const existing = await Application.exists({
+        property: property._id,
+        tenant: tenant._id,
+        status: { $in: OPEN_STATUSES }
+    });
+
+    if (existing) {
+        throw serviceError(400, 'You already have an open application for this property');
+    }
+
+    const application = await Application.create({
+        property: property._id,
+        owner: property.owner._id,
+        tenant: tenant._id,
+        moveInDate,
+        occupants,
+        occupation,
+        message
+    });
+
+    await notificationService.notify(property.owner._id, {
+        type: 'application_received',
+        title: 'New rental application',
+        body: `${tenant.name} applied for "${property.title}".`,
+        data: { applicationId: application._id, propertyId: property._id }
+    });
+
+    return application;
+};
+
+/**
+ * Decline every open application for a property
+ * Called when the property is rented, either by accepting an application or manually
+ * @param {ObjectId} propertyId - Property ID
+ * @param {object} options - { except: application ID to keep, reason }
+ * @returns {Promise<number>} Number of applications declined
+ */
+const declineOpenApplications = async (propertyId, { except, reason } = {}) => {
+    const filter = { property: propertyId, status: { $in: OPEN_STATUSES } };
+    if (except) filter._id = { $ne: except };
+
+    const applications = await Application.find(filter).populate('property', 'title');
+    if (applications.length === 0) return 0;
+
+    await Application.updateMany(
+        { _id: { $in: applications.map(a => a._id) }, status: { $in: OPEN_STATUSES } },
+        { status: 'declined', declineReason: reason, decidedAt: Date.now() }
+    );
+
+    for (const application of applications) {
+        await notificationService.notify(application.tenant, {
+            type: 'application_declined',
+            title: 'Application update',
+            body: `Your application for "${application.property.title}" was not successful. ${reason}`,
+            data: { applicationId: application._id, propertyId }
+        });
+    }
+
+    return applications.length;
+};
+
+/**
+ * Move an open application to a new status (atomic, so two decisions can't both win)
+ * @param {object} application - Application document
+ * @param {string} status - New status
+ * @param {object} fields - Extra fields to set
+ * @returns {Promise<object>} Updated application
+ */
+const transition = async (application, status, fields = {}) => {
+    const updated = await Application.findOneAndUpdate(
+        { _id: application._id, status: { $in: OPEN_STATUSES } },
+        { status, ...fields },
+        { new: true }
+    );
+
+    if (!updated) {
+        throw serviceError(400, `This application is already ${application.status}`);
+    }
+
+    return updated;
+};
+
+/**
+ * Shortlist an application
+ * @param {object} application - Application document (property populated)
+ * @returns {Promise<object>} Updated application
+ */
+const shortlistApplication = async (application) => {
+    if (application.status !== 'pending') {
+        throw serviceError(400, `A ${application.status} application cannot be shortlisted`);
+    }
+
+    const updated = await transition(application, 'shortlisted', { shortlistedAt: Date.now() });
+
+    await notificationService.notify(application.tenant, {
+        type: 'application_shortlisted',
+        title: 'You have been shortlisted',
+        body: `The owner shortlisted your application for "${application.property.title}".`,
+        data: { applicationId: application._id, propertyId: application.property._id }
+    });
+
+    return updated;
+};
+
+/**
+ * Decline an application
+ * @param {object} application - Application document (property populated)
+ * @param {string} reason - Optional reason shown to the tenant
+ * @returns {Promise<object>} Updated application
+ */
+const declineApplication = async (application, reason) => {
+    const updated = await transition(application, 'declined', {
+        declineReason: reason,
+        decidedAt: Date.now()
+    });
+
+    await notificationService.notify(application.tenant, {
+        type: 'application_declined',
+        title: 'Application update',
+        body: `Your application for "${application.property.title}" was not successful.${reason ? ` ${reason}` : ''}`,
+        data: { applicationId: application._id, propertyId: application.property._id }
+    });
+
+    return updated;
+};
+
+/**
+ * Accept an application: mark the property rented, open a tenancy and decline the rest
+ * @param {object} application - Application document (property populated)
+ * @returns {Promise<object>} { application, tenancy, declined }
+ */
+const acceptApplication = async (application) => {
+    const property = await Property.findById(application.property._id);
+
+    if (!property) {
+        throw serviceError(404, 'Property not found');
+    }
+
+    if (property.status === 'rented') {
+        throw serviceError(400, 'This property is already rented');
+    }
+
+    const check = property.canChangeStatus('rented');
+    if (!check.allowed) {
+        throw serviceError(400, check.reason);
+    }
+
+    const previousStatus = application.status;
+    const updated = await transition(application, 'accepted', { decidedAt: Date.now() });
+
+    let tenancy;
+    try {
+        tenancy = await tenancyService.markRented(property, {
+            tenant: application.tenant,
+            application: application._id,
+            startDate: application.moveInDate
+        });
+    } catch (error) {
+        // Put the application back so the owner can retry
+        await Application.updateOne(
+            { _id: application._id },
+            { status: previousStatus, $unset: { decidedAt: 1 } }
+        );
+        throw error;
+    }
+
+    const declined = await declineOpenApplications(property._id, {
+        except: application._id,
+        reason: 'The property has been rented to another applicant.'
+    });
+
+    await notificationService.notify(application.tenant, {
+        type: 'application_accepted',
+        title: 'Application accepted 🎉',
+        body: `Your application for "${property.title}" was accepted. The owner will be in touch.`,
+        data: { applicationId: application._id, propertyId: property._id, tenancyId: tenancy._id }
+    });
+
+    return { application: updated, tenancy, declined };
+};
+
+/**
+ * Withdraw an application (tenant)
+ * @param {object} application - Application document
+ * @returns {Promise<object>} Updated application
+ */
+const withdrawApplication = async (application) => {
+    return transition(application, 'withdrawn', { decidedAt: Date.now() });
+};
+
+module.exports = {
+    submitApplication,
+    declineOpenApplications,
+    shortlistApplication,
+    declineApplication,
+    acceptApplication,
+    withdrawApplication
+};
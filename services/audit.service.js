@@ -0,0 +1,24 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Record a staff action in the audit log
+ * @param {object} req - Express request (actor is req.user)
+ * @param {object} entry - { action, targetType, targetId, reason, details }
+ * @returns {Promise<object>} Created audit log document
+ */
+const record = async (req, { action, targetType, targetId, reason, details = {} }) => {
+    return AuditLog.create({
+        actor: req.user._id,
+        actorRole: req.user.role,
+        action,
+        targetType,
+        targetId,
+        reason,
+        details,
+        ipAddress: req.ip
+    });
+};
+
+module.exports = {
+    record
+};
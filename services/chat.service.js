@@ -0,0 +1,79 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const socketService = require('./socket.service');
+
+/**
+ * Find the conversation between two users (optionally about a property) or start one
+ * @param {ObjectId|string} userId - User starting the conversation
+ * @param {ObjectId|string} recipientId - Other participant
+ * @param {ObjectId|string} propertyId - Property the chat is about (optional)
+ * @returns {Promise<object>} { conversation, created }
+ */
+const getOrCreateConversation = async (userId, recipientId, propertyId = null) => {
+    const query = {
+        participants: { $all: [userId, recipientId] }
+    };
+
+    // Separate chats per property between the same users
+    if (propertyId) {
+        query.propertyId = propertyId;
+    }
+
+    const existing = await Conversation.findOne(query);
+
+    if (existing) {
+        return { conversation: existing, created: false };
+    }
+
+    const conversation = await Conversation.create({
+        participants: [userId, recipientId],
+        propertyId: propertyId || null,
+        lastMessage: {
+            content: 'Conversation started',
+            sender: userId,
+            createdAt: Date.now()
+        }
+    });
+
+    return { conversation, created: true };
+};
+
+/**
+ * Post an automated message into a conversation (e.g. booking updates)
+ * Stored with isSystemMessage so clients can render it differently
+ * @param {ObjectId|string} conversationId - Conversation ID
+ * @param {ObjectId|string} senderId - User whose action produced the message
+ * @param {string} content - Message text
+ * @returns {Promise<object>} Created message
+ */
+const postSystemMessage = async (conversationId, senderId, content) => {
+    const message = await Message.create({
+        conversationId,
+        sender: senderId,
+        content,
+        readBy: [senderId],
+        isSystemMessage: true
+    });
+
+    await Conversation.findByIdAndUpdate(conversationId, {
+        lastMessage: {
+            content,
+            sender: senderId,
+            createdAt: message.createdAt
+        }
+    });
+
+    try {
+        const messageForClient = await message.populate('sender', 'name photoURL');
+        socketService.getIo().to(conversationId.toString()).emit('receive_message', messageForClient);
+    } catch (error) {
+        // Socket.io is not running (e.g. background job outside the server) - stored only
+    }
+
+    return message;
+};
+
+module.exports = {
+    getOrCreateConversation,
+    postSystemMessage
+};
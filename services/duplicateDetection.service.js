@@ -0,0 +1,264 @@
+const Property = require('../models/Property');
+const duplicateConfig = require('../config/duplicates');
+const { getStorage } = require('./storage');
+const { perceptualHash, hammingDistance, hashBands } = require('../utils/imageProcessing');
+const geo = require('../utils/geo');
+
+// Words every listing uses - they say nothing about whether two listings are the same
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'the', 'for', 'in', 'on', 'at', 'of', 'to', 'with', 'near',
+    'is', 'are', 'rent', 'available', 'room', 'rooms', 'flat', 'house', 'apartment'
+]);
+
+/**
+ * Split text into a set of lowercase words
+ * @param {string} text - Title / description
+ * @returns {Set<string>} Words
+ */
+const tokenize = (text = '') => {
+    const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u);
+    return new Set(words.filter(word => word.length > 1 && !STOP_WORDS.has(word)));
+};
+
+/**
+ * Share of words two sets have in common (Jaccard index)
+ * @param {Set<string>} a - Words
+ * @param {Set<string>} b - Words
+ * @returns {number} 0-1
+ */
+const overlap = (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+
+    let shared = 0;
+    a.forEach(word => {
+        if (b.has(word)) shared++;
+    });
+
+    return shared / (a.size + b.size - shared);
+};
+
+const hasCoordinates = (property) => geo.hasCoordinates(property.location);
+
+/**
+ * Perceptual hashes already known for a listing's images, keyed by URL
+ * @param {object} property - Property document
+ * @param {Array<object>} stored - Hashes from an earlier check, if not loaded on the document
+ * @returns {Map<string, string>} URL -> hash
+ */
+const knownHashes = (property, stored = property.duplicateCheck?.imageHashes) => {
+    const known = new Map();
+    (stored || []).forEach(entry => known.set(entry.url, entry.hash));
+    (property.imageVariants || []).forEach(variant => {
+        if (variant.hash) known.set(variant.full, variant.hash);
+    });
+    return known;
+};
+
+/**
+ * Perceptual hash of every image on a listing
+ * Images uploaded before hashing existed are downloaded from storage and hashed. Images outside
+ * our storage (added by URL) are never fetched, and they and unreadable ones are skipped
+ * rather than failing the whole check
+ * @param {object} property - Property document
+ * @param {Array<object>} stored - Hashes from an earlier check
+ * @returns {Promise<Array<object>>} [{ url, hash }] in image order
+ */
+const getImageHashes = async (property, stored) => {
+    const known = knownHashes(property, stored);
+    const hashes = [];
+
+    for (const url of property.images) {
+        if (known.has(url)) {
+            hashes.push({ url, hash: known.get(url) });
+            continue;
+        }
+
+        try {
+            const buffer = await getStorage().download(url);
+            hashes.push({ url, hash: await perceptualHash(buffer) });
+        } catch (error) {
+            console.warn(`Could not hash image ${url}:`, error.message);
+        }
+    }
+
+    return hashes;
+};
+
+/**
+ * Every band of a listing's image hashes, without repeats
+ * @param {Array<object>} hashes - [{ url, hash }]
+ * @returns {Array<string>} Bands
+ */
+const bandsOf = (hashes) => [...new Set(hashes.flatMap(entry => hashBands(entry.hash)))];
+
+/**
+ * Listings that could be the same place: sharing a similar photo, or nearby with the same type and a similar rent
+ * @param {object} property - Property document
+ * @param {Array<object>} hashes - [{ url, hash }]
+ * @returns {Promise<Array<object>>} Candidate properties (with duplicateCheck loaded)
+ */
+const findCandidates = async (property, hashes) => {
+    const nearby = hasCoordinates(property)
+        ? { 'location.coordinates': geo.withinRadius(property.location.coordinates, duplicateConfig.nearbyMeters) }
+        : { 'location.city': property.location.city, 'location.area': property.location.area };
+
+    // Wider than rentTolerance so reposts with a slightly changed rent still get compared
+    const rentBand = property.rent * duplicateConfig.rentTolerance * 2;
+
+    const or = [{
+        ...nearby,
+        propertyType: property.propertyType,
+        rent: { $gte: property.rent - rentBand, $lte: property.rent + rentBand }
+    }];
+
+    if (hashes.length > 0) {
+        // Photos that were re-saved or resized hash a few bits apart, so look up by band -
+        // compare() then checks the actual distance
+        or.push({ 'duplicateCheck.hashBands': { $in: bandsOf(hashes) } });
+        // Listings not checked yet only have hashes from upload
+        or.push({ 'imageVariants.hash': { $in: hashes.map(entry => entry.hash) } });
+    }
+
+    return Property.find({
+        _id: { $ne: property._id },
+        isActive: true,
+        moderationStatus: { $ne: 'rejected' },
+        $or: or
+    })
+        .select('+duplicateCheck')
+        .sort('-createdAt')
+        .limit(duplicateConfig.maxCandidates);
+};
+
+/**
+ * Compare a listing with a candidate
+ * @param {object} property - Property being checked
+ * @param {Array<object>} hashes - Its image hashes
+ * @param {object} candidate - Other property
+ * @returns {object} { isDuplicate, score, reasons }
+ */
+const compare = (property, hashes, candidate) => {
+    const reasons = [];
+
+    // Photos
+    const candidateHashes = [...knownHashes(candidate).values()];
+    const matchedImages = hashes.filter(({ hash }) =>
+        candidateHashes.some(other => hammingDistance(hash, other) <= duplicateConfig.imageHashDistance)
+    ).length;
+    const imageScore = matchedImages > 0
+        ? matchedImages / Math.min(hashes.length, candidateHashes.length)
+        : 0;
+    if (matchedImages > 0) {
+        reasons.push(`${matchedImages} matching photo${matchedImages === 1 ? '' : 's'}`);
+    }
+
+    // Text
+    const textScore = overlap(
+        tokenize(`${property.title} ${property.description || ''}`),
+        tokenize(`${candidate.title} ${candidate.description || ''}`)
+    );
+    const sameText = textScore >= duplicateConfig.textSimilarity;
+    if (sameText) reasons.push('similar title and description');
+
+    // Location
+    const sameLocation = hasCoordinates(property) && hasCoordinates(candidate)
+        ? geo.distanceMeters(property.location.coordinates, candidate.location.coordinates) <= duplicateConfig.nearbyMeters
+        : property.location.city.toLowerCase() === candidate.location.city.toLowerCase() &&
+            property.location.area.toLowerCase() === candidate.location.area.toLowerCase();
+    if (sameLocation) reasons.push('same location');
+
+    // Rent
+    const sameRent = Math.abs(property.rent - candidate.rent) <=
+        duplicateConfig.rentTolerance * Math.max(property.rent, candidate.rent);
+    if (sameRent) reasons.push('same rent');
+
+    const sameType = property.propertyType === candidate.propertyType;
+
+    const isDuplicate = imageScore >= duplicateConfig.imageMatchRatio ||
+        (sameText && sameLocation && sameRent && sameType);
+
+    const score = 0.5 * imageScore + 0.3 * textScore + (sameLocation ? 0.1 : 0) + (sameRent ? 0.1 : 0);
+
+    return { isDuplicate, score: Math.round(score * 100) / 100, reasons };
+};
+
+/**
+ * Check a listing for duplicates / reposts and store the result on it
+ * Matches with another owner's listing flag it for moderators; matches with the
+ * owner's own listings are returned so the owner can be warned
+ * @param {object} property - Property document
+ * @returns {Promise<object>} { ownListings, flagged } - ownListings are the owner's matching properties
+ */
+const checkProperty = async (property) => {
+    const previous = await Property.findById(property._id).select('+duplicateCheck');
+    const hashes = await getImageHashes(property, previous?.duplicateCheck?.imageHashes);
+    const candidates = await findCandidates(property, hashes);
+    const ownerId = (property.owner._id || property.owner).toString();
+
+    const matches = candidates
+        .map(candidate => ({ candidate, ...compare(property, hashes, candidate) }))
+        .filter(match => match.isDuplicate)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, duplicateConfig.maxMatches);
+
+    const ownListings = matches
+        .filter(match => match.candidate.owner._id.toString() === ownerId)
+        .map(match => match.candidate);
+    const flagged = ownListings.length < matches.length;
+
+    // Keep the original flag time so the moderation queue order doesn't shift on every edit
+    const flaggedAt = flagged ? (previous?.duplicateCheck?.flaggedAt || new Date()) : undefined;
+
+    await Property.updateOne({ _id: property._id }, {
+        duplicateCheck: {
+            checkedAt: new Date(),
+            imageHashes: hashes,
+            hashBands: bandsOf(hashes),
+            matches: matches.map(({ candidate, score, reasons }) => ({
+                property: candidate._id,
+                sameOwner: candidate.owner._id.toString() === ownerId,
+                score,
+                reasons
+            })),
+            flaggedAt
+        }
+    });
+
+    return { ownListings, flagged };
+};
+
+/**
+ * Check listings that have never been checked (created before detection existed), and
+ * re-check ones checked before hash bands were stored so their photos can be found
+ * Runs in small batches so image downloads don't hog the scheduler
+ * @returns {Promise<number>} Number of listings checked
+ */
+const runBackfill = async () => {
+    const unchecked = await Property.find({
+        $or: [
+            { 'duplicateCheck.checkedAt': null },
+            { 'duplicateCheck.imageHashes.0': { $exists: true }, 'duplicateCheck.hashBands': { $exists: false } }
+        ]
+    })
+        .select('+duplicateCheck')
+        .sort('createdAt')
+        .limit(duplicateConfig.backfillBatchSize);
+
+    let checked = 0;
+
+    for (const property of unchecked) {
+        try {
+            await checkProperty(property);
+            checked++;
+        } catch (error) {
+            console.error(`Duplicate check failed for property ${property._id}:`, error);
+        }
+    }
+
+    return checked;
+};
+
+module.exports = {
+    checkProperty,
+    runBackfill
+};
@@ -0,0 +1,363 @@
+const { PROVINCES, DISTRICTS, MUNICIPALITIES, AREAS } = require('../data/nepalLocations');
+
+// Canonical IDs look like municipality:kathmandu, area:thamel, ward:kathmandu-5
+const LOCATION_ID_PATTERN = /^(province|district|municipality|area|ward):[a-z0-9-]+$/;
+
+// Most specific / most searched first - breaks ties between places with the same name
+const TYPE_RANK = ['municipality', 'area', 'district', 'province', 'ward'];
+
+// Words that say what kind of place it is rather than which one ("Pokhara Metropolitan City")
+const GENERIC_WORDS = /\b(sub metropolitan|submetropolitan|metropolitan|metro|rural municipality|municipality|mahanagarpalika|upamahanagarpalika|nagarpalika|gaunpalika|city|district|province|pradesh)\b/g;
+
+// "Ward 5", "ward no. 5", "Wada 5"
+const WARD_PATTERN = /\b(?:ward|wada|woda)\s*(?:no|number)?\s*(\d{1,2})\b/;
+
+/**
+ * Lowercase, accent-free, punctuation-free form of a place name used for matching
+ * Generic words (city, municipality, district...) are dropped unless nothing else is left
+ * @param {string} text - Place name as typed
+ * @returns {string} e.g. "Pokhara Metropolitan City" -> "pokhara"
+ */
+const normalizeText = (text) => {
+    const plain = String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+
+    const stripped = plain.replace(GENERIC_WORDS, ' ').replace(/\s+/g, ' ').trim();
+
+    // "Province 1" is a name, not a number
+    return stripped && !/^\d+$/.test(stripped) ? stripped : plain;
+};
+
+// ====================================
+// INDEX
+// ====================================
+
+const entries = new Map();
+const nameIndex = new Map();
+
+/**
+ * Add a place to the gazetteer
+ * @param {object} place - { id, type, name, aliases, parentId, centroid }
+ * @returns {object} The stored entry
+ */
+const addEntry = ({ id, type, name, aliases = [], parentId = null, centroid }) => {
+    const parent = parentId ? entries.get(parentId) : null;
+    const spellings = [name, ...aliases];
+
+    const entry = {
+        id,
+        type,
+        name,
+        aliases,
+        parentId,
+        centroid,
+        lineage: parent ? [...parent.lineage, id] : [id],
+        keys: spellings.map(normalizeText)
+    };
+
+    entries.set(id, entry);
+
+    // Wards are only ever looked up within their municipality
+    if (type !== 'ward') {
+        new Set(entry.keys).forEach(key => {
+            if (!nameIndex.has(key)) nameIndex.set(key, []);
+            nameIndex.get(key).push(entry);
+        });
+    }
+
+    return entry;
+};
+
+PROVINCES.forEach(province => addEntry({
+    ...province,
+    id: `province:${province.slug}`,
+    type: 'province'
+}));
+
+DISTRICTS.forEach(district => addEntry({
+    ...district,
+    id: `district:${district.slug}`,
+    type: 'district',
+    parentId: `province:${district.province}`
+}));
+
+MUNICIPALITIES.forEach(municipality => {
+    const entry = addEntry({
+        ...municipality,
+        id: `municipality:${municipality.slug}`,
+        type: 'municipality',
+        parentId: `district:${municipality.district}`
+    });
+
+    for (let number = 1; number <= (municipality.wards || 0); number++) {
+        addEntry({
+            id: `ward:${municipality.slug}-${number}`,
+            type: 'ward',
+            name: `Ward ${number}`,
+            aliases: [`${municipality.name} Ward ${number}`],
+            parentId: entry.id,
+            centroid: municipality.centroid
+        });
+    }
+});
+
+AREAS.forEach(area => addEntry({
+    ...area,
+    id: `area:${area.slug}`,
+    type: 'area',
+    parentId: `municipality:${area.municipality}`
+}));
+
+// ====================================
+// LOOKUPS
+// ====================================
+
+/**
+ * Whether a value is a canonical location ID (rather than a place name)
+ * @param {string} value - City / area / locationId search value
+ * @returns {boolean}
+ */
+const isLocationId = (value) => typeof value === 'string' && LOCATION_ID_PATTERN.test(value);
+
+/**
+ * Gazetteer entry by canonical ID
+ * @param {string} id - e.g. municipality:kathmandu
+ * @returns {object|null} Entry
+ */
+const getEntry = (id) => entries.get(id) || null;
+
+/**
+ * Every spelling of a place - its name and aliases
+ * @param {object} entry - Gazetteer entry
+ * @returns {Array<string>} e.g. ['Kathmandu', 'KTM', ...]
+ */
+const spellingsOf = (entry) => [entry.name, ...entry.aliases];
+
+/**
+ * Find the place a name refers to
+ * @param {string} text - Name, alias or canonical ID
+ * @param {object} options - Lookup options
+ * @param {Array<string>} options.types - Place types to consider, most preferred first
+ * @param {string} options.within - Only places inside this ID
+ * @param {string} options.prefer - Places inside this ID win over others with the same name
+ * @returns {object|null} Entry
+ */
+const resolve = (text, { types = TYPE_RANK, within, prefer } = {}) => {
+    if (isLocationId(text)) {
+        const entry = getEntry(text);
+        return entry && types.includes(entry.type) ? entry : null;
+    }
+
+    const matches = (nameIndex.get(normalizeText(text)) || [])
+        .filter(entry => types.includes(entry.type))
+        .filter(entry => !within || entry.lineage.includes(within));
+
+    const rank = (entry) => (prefer && entry.lineage.includes(prefer) ? 0 : 100) + types.indexOf(entry.type);
+
+    return matches.sort((a, b) => rank(a) - rank(b))[0] || null;
+};
+
+/**
+ * Place a listing's city refers to - a municipality, or a district when that's all it names
+ * @param {string} city - City as typed (or a canonical ID)
+ * @returns {object|null} Entry
+ */
+const resolveCity = (city) => resolve(city, { types: ['municipality', 'district'] });
+
+/**
+ * Most specific place an area names, inside (or next to) a city
+ * Tries the whole text first, then each comma-separated part ("Baneshwor Height, near Apex College"),
+ * then a ward number
+ * @param {string} area - Area as typed
+ * @param {object} city - Resolved city entry
+ * @returns {object|null} { entry, exact } - exact when the whole text named the place
+ */
+const resolveArea = (area, city) => {
+    if (!area) return null;
+
+    // Same district counts too - people give the valley's main city with a neighbouring municipality's area
+    const district = city.type === 'district' ? city.id : city.parentId;
+    const options = { types: ['area', 'municipality'], within: district, prefer: city.id };
+
+    const whole = resolve(area, options);
+    if (whole) return { entry: whole, exact: true };
+
+    for (const part of String(area).split(',').slice(0, 3)) {
+        const entry = resolve(part, options);
+        if (entry) return { entry, exact: false };
+    }
+
+    const ward = normalizeText(area).match(WARD_PATTERN);
+    if (ward && city.type === 'municipality') {
+        const entry = getEntry(`ward:${city.id.split(':')[1]}-${parseInt(ward[1], 10)}`);
+        if (entry) return { entry, exact: false };
+    }
+
+    return null;
+};
+
+// ====================================
+// PUBLIC SHAPES
+// ====================================
+
+/**
+ * Human readable name with enough context to tell places apart
+ * @param {object} entry - Gazetteer entry
+ * @returns {string} e.g. "Thamel, Kathmandu" or "Kathmandu District, Bagmati Province"
+ */
+const labelOf = (entry) => {
+    const parent = entry.parentId ? getEntry(entry.parentId) : null;
+
+    switch (entry.type) {
+        case 'province':
+            return `${entry.name} Province`;
+        case 'district':
+            return `${entry.name} District, ${parent.name} Province`;
+        case 'municipality':
+            return `${entry.name}, ${parent.name} District`;
+        default:
+            return `${entry.name}, ${parent.name}`;
+    }
+};
+
+/**
+ * Entry as returned by the API
+ * @param {object} entry - Gazetteer entry
+ * @returns {object} { id, type, name, label, parentId, centroid: { lng, lat } }
+ */
+const toResult = (entry) => ({
+    id: entry.id,
+    type: entry.type,
+    name: entry.name,
+    label: labelOf(entry),
+    parentId: entry.parentId,
+    centroid: { lng: entry.centroid[0], lat: entry.centroid[1] }
+});
+
+/**
+ * A place with its full hierarchy
+ * @param {string} id - Canonical ID
+ * @returns {object|null} Result with aliases and lineage [{ id, type, name }] (province first)
+ */
+const getLocation = (id) => {
+    const entry = getEntry(id);
+    if (!entry) return null;
+
+    return {
+        ...toResult(entry),
+        aliases: entry.aliases,
+        lineage: entry.lineage.map(ancestorId => {
+            const ancestor = getEntry(ancestorId);
+            return { id: ancestor.id, type: ancestor.type, name: ancestor.name };
+        })
+    };
+};
+
+// ====================================
+// AUTOCOMPLETE
+// ====================================
+
+/**
+ * How well a spelling matches what's been typed so far
+ * @param {string} key - Normalised spelling
+ * @param {string} query - Normalised query
+ * @returns {number} 4 exact, 3 prefix, 2 word prefix, 1 substring, 0 no match
+ */
+const matchScore = (key, query) => {
+    if (key === query) return 4;
+    if (key.startsWith(query)) return 3;
+    if (` ${key}`.includes(` ${query}`)) return 2;
+    if (query.length >= 3 && key.includes(query)) return 1;
+    return 0;
+};
+
+/**
+ * Places matching a partly typed name, best first
+ * Wards only appear when asked for by type or when the query mentions a ward / number
+ * @param {string} query - Text typed so far
+ * @param {object} options - { types, within, limit }
+ * @returns {Array<object>} Results, with matchedAlias when an alias matched rather than the name
+ */
+const autocomplete = (query, { types, within, limit = 10 } = {}) => {
+    const normalized = normalizeText(query);
+    if (!normalized) return [];
+
+    const includeWards = (types && types.includes('ward')) || /\bward\b|\d/.test(normalized);
+    const scored = [];
+
+    entries.forEach(entry => {
+        if (types && !types.includes(entry.type)) return;
+        if (entry.type === 'ward' && !includeWards) return;
+        if (within && !entry.lineage.includes(within)) return;
+
+        let best = 0;
+        let bestIndex = 0;
+        entry.keys.forEach((key, index) => {
+            const score = matchScore(key, normalized);
+            if (score > best) {
+                best = score;
+                bestIndex = index;
+            }
+        });
+
+        if (best > 0) scored.push({ entry, score: best, spelling: bestIndex });
+    });
+
+    scored.sort((a, b) =>
+        b.score - a.score ||
+        TYPE_RANK.indexOf(a.entry.type) - TYPE_RANK.indexOf(b.entry.type) ||
+        a.entry.name.length - b.entry.name.length ||
+        a.entry.name.localeCompare(b.entry.name)
+    );
+
+    return scored.slice(0, limit).map(({ entry, spelling }) => ({
+        ...toResult(entry),
+        matchedAlias: spelling > 0 ? entry.aliases[spelling - 1] : undefined
+    }));
+};
+
+// ====================================
+// LISTINGS
+// ====================================
+
+/**
+ * Match a listing's location against the gazetteer
+ * City (and area, when the whole area text names a known place) are rewritten to their canonical
+ * spelling and locationIds set to every place the listing is in, province first.
+ * Unknown places are left as typed with empty locationIds - a listing is never rejected for them.
+ * @param {object} location - Listing location { city, area, ... }
+ * @returns {object} Copy of location with canonical names and locationIds
+ */
+const normalizeLocation = (location) => {
+    const normalized = { ...location, locationIds: [] };
+
+    const city = resolveCity(location.city);
+    if (!city) return normalized;
+
+    normalized.city = city.name;
+    normalized.locationIds = city.lineage;
+
+    const area = resolveArea(location.area, city);
+    if (area) {
+        if (area.exact) normalized.area = area.entry.name;
+        normalized.locationIds = area.entry.lineage;
+    }
+
+    return normalized;
+};
+
+module.exports = {
+    normalizeText,
+    isLocationId,
+    getEntry,
+    spellingsOf,
+    resolve,
+    resolveCity,
+    getLocation,
+    autocomplete,
+    normalizeLocation
+};
@@ -0,0 +1,227 @@
+const PDFDocument = require('pdfkit');
+const Lease = require('../models/Lease');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const UserSettings = require('../models/UserSettings');
+const leaseConfig = require('../config/lease');
+const notificationService = require('./notification.service');
+const storageCleanup = require('./storageCleanup.service');
+const { uploadDocumentBuffer } = require('../utils/imageUpload');
+const { formatAmount, formatDate, toBuffer } = require('../utils/pdf');
+const serviceError = require('../utils/serviceError');
+
+/**
+ * Format a UserSettings address on one line
+ * @param {object} settings - UserSettings document (or null)
+ * @returns {string|null} Address or null if none saved
+ */
+const formatSettingsAddress = (settings) => {
+    if (!settings) return null;
+
+    const address = settings.residentialAddress || settings.postalAddress;
+    if (!address) return null;
+
+    const line = [address.flat, address.street, address.city, address.county, address.postcode, address.country]
+        .filter(Boolean)
+        .join(', ');
+
+    return line || null;
+};
+
+/**
+ * Replace {{placeholders}} in a template string
+ * Unknown placeholders are left blank so a typo in a custom template never prints raw braces
+ * @param {string} text - Template text
+ * @param {object} values - Placeholder values
+ * @returns {string} Filled text
+ */
+const fill = (text, values) => String(text || '').replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    return values[key] !== undefined && values[key] !== null ? String(values[key]) : '';
+});
+
+/**
+ * Build placeholder values for a tenancy
+ * @param {object} tenancy - Tenancy document
+ * @param {object} context - { property, owner, tenant, ownerSettings, tenantSettings }
+ * @returns {object} Placeholder values
+ */
+const buildValues = (tenancy, { property, owner, tenant, ownerSettings, tenantSettings }) => {
+    const included = [];
+    const excluded = [];
+    (property.electricityIncluded ? included : excluded).push('electricity');
+    (property.waterIncluded ? included : excluded).push('water');
+
+    let utilities = 'Rent includes ' + (included.length ? included.join(' and ') : 'no utilities') + '.';
+    if (excluded.length) {
+        utilities += ` The Tenant pays ${excluded.join(' and ')} separately as billed each month.`;
+    }
+
+    return {
+        ownerName: owner.name,
+        ownerPhone: owner.phone,
+        ownerAddress: formatSettingsAddress(ownerSettings) || 'address on file',
+        tenantName: tenant ? tenant.name : '____________________',
+        tenantPhone: tenant ? tenant.phone : '',
+        tenantAddress: formatSettingsAddress(tenantSettings) || 'address on file',
+        propertyTitle: property.title,
+        propertyAddress: [property.location.fullAddress, property.location.area, property.location.city]
+            .filter(Boolean)
+            .join(', '),
+        propertyType: property.propertyType,
+        rent: formatAmount(tenancy.rent),
+        securityDeposit: formatAmount(tenancy.securityDeposit),
+        minimumStayMonths: property.minimumStayMonths,
+        startDate: formatDate(tenancy.startDate),
+        endDate: tenancy.endDate ? formatDate(tenancy.endDate) : 'ended by notice',
+        utilities,
+        agreementDate: formatDate(new Date())
+    };
+};
+
+/**
+ * Render the lease PDF
+ * @param {object} template - Lease template
+ * @param {object} values - Placeholder values
+ * @returns {Promise<Buffer>} PDF contents
+ */
+const renderLease = (template, values) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 60 });
+
+    doc.fontSize(18).text(fill(template.title, values), { align: 'center' });
+    doc.moveDown(1.5);
+
+    doc.fontSize(11).text(fill(template.intro, values), { align: 'justify' });
+    doc.moveDown();
+
+    template.clauses.forEach((clause, index) => {
+        doc.text(`${index + 1}. ${fill(clause, values)}`, { align: 'justify' });
+        doc.moveDown(0.5);
+    });
+
+    doc.moveDown(2);
+    const y = doc.y;
+    doc.text(`Owner: ${values.ownerName}`, 60, y);
+    doc.text(`Tenant: ${values.tenantName}`, 320, y);
+
+    if (template.footer) {
+        doc.moveDown(3);
+        doc.fontSize(8).fillColor('#666').text(fill(template.footer, values), 60, doc.y, { align: 'center' });
+    }
+
+    return toBuffer(doc);
+};
+
+/**
+ * Generate (or regenerate) the lease agreement for a tenancy
+ * Regenerating clears both acceptances since the document changed, and the old PDF is queued for deletion
+ * @param {object} tenancy - Tenancy document
+ * @returns {Promise<object>} Lease document
+ */
+const generateLease = async (tenancy) => {
+    const existing = await Lease.findOne({ tenancy: tenancy._id }).select('+fileUrl');
+
+    if (existing && existing.status === 'accepted') {
+        throw serviceError(400, 'This lease has been accepted by both parties and can no longer be regenerated');
+    }
+
+    const [property, owner, tenant, ownerSettings, tenantSettings] = await Promise.all([
+        Property.findById(tenancy.property),
+        User.findById(tenancy.owner),
+        tenancy.tenant ? User.findById(tenancy.tenant) : null,
+        UserSettings.findOne({ user: tenancy.owner }),
+        tenancy.tenant ? UserSettings.findOne({ user: tenancy.tenant }) : null
+    ]);
+
+    if (!property || !owner) {
+        throw serviceError(404, 'Property or owner for this tenancy no longer exists');
+    }
+
+    const template = leaseConfig.getTemplate();
+    const values = buildValues(tenancy, { property, owner, tenant, ownerSettings, tenantSettings });
+    const pdf = await renderLease(template, values);
+    const fileUrl = await uploadDocumentBuffer(pdf, 'gharbeti/leases', 'application/pdf');
+
+    const lease = await Lease.findOneAndUpdate(
+        { tenancy: tenancy._id },
+        {
+            tenancy: tenancy._id,
+            property: property._id,
+            owner: owner._id,
+            tenant: tenant ? tenant._id : undefined,
+            fileUrl,
+            templateVersion: template.version,
+            terms: {
+                rent: tenancy.rent,
+                securityDeposit: tenancy.securityDeposit,
+                minimumStayMonths: property.minimumStayMonths,
+                startDate: tenancy.startDate,
+                endDate: tenancy.endDate
+            },
+            generatedAt: Date.now(),
+            ownerAcceptance: null,
+            tenantAcceptance: null,
+            status: 'pending'
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (existing && existing.fileUrl && existing.fileUrl !== fileUrl) {
+        await storageCleanup.queueDeletion([existing.fileUrl], `Lease ${lease._id} regenerated`);
+    }
+
+    const recipients = [owner._id, tenant && tenant._id].filter(Boolean);
+    for (const userId of recipients) {
+        await notificationService.notify(userId, {
+            type: 'lease_ready',
+            title: 'Lease agreement ready',
+            body: `The lease for "${property.title}" is ready. Review and accept it in the app.`,
+            data: { leaseId: lease._id, tenancyId: tenancy._id }
+        });
+    }
+
+    return lease;
+};
+
+/**
+ * Record a party's e-acceptance of the lease
+ * @param {object} lease - Lease document
+ * @param {object} user - Accepting user (owner or tenant)
+ * @param {object} meta - { ipAddress, userAgent }
+ * @returns {Promise<object>} Updated lease
+ */
+const acceptLease = async (lease, user, { ipAddress, userAgent } = {}) => {
+    const userId = user._id.toString();
+    const isOwner = lease.owner.toString() === userId;
+    const field = isOwner ? 'ownerAcceptance' : 'tenantAcceptance';
+
+    if (lease[field]) {
+        throw serviceError(400, 'You have already accepted this lease');
+    }
+
+    lease[field] = { acceptedAt: Date.now(), ipAddress, userAgent };
+
+    // Tenants who aren't on the app can't accept; the owner's acceptance completes it
+    if (lease.ownerAcceptance && (lease.tenantAcceptance || !lease.tenant)) {
+        lease.status = 'accepted';
+    }
+
+    await lease.save();
+
+    const otherParty = isOwner ? lease.tenant : lease.owner;
+    if (otherParty) {
+        await notificationService.notify(otherParty, {
+            type: 'lease_accepted',
+            title: lease.status === 'accepted' ? 'Lease fully accepted' : 'Lease accepted',
+            body: `${user.name} accepted the lease agreement.`,
+            data: { leaseId: lease._id, tenancyId: lease.tenancy }
+        });
+    }
+
+    return lease;
+};
+
+module.exports = {
+    generateLease,
+    acceptLease,
+    fill
+};
@@ -0,0 +1,104 @@
+const Property = require('../models/Property');
+const listingConfig = require('../config/listing');
+const notificationService = require('./notification.service');
+const { visibleListingFilter } = require('../utils/propertyFilters');
+
+/**
+ * Mark available listings past their expiresAt as expired
+ * @returns {Promise<number>} Number of listings expired
+ */
+const expireListings = async () => {
+    // Only published listings expire - drafts and pending listings were never live
+    const expired = await Property.find({
+        status: 'available',
+        moderationStatus: { $in: ['approved', null] },
+        expiresAt: { $lte: new Date() }
+    });
+
+    for (const property of expired) {
+        property.status = 'expired';
+        await property.save({ validateBeforeSave: false });
+
+        await notificationService.notify(property.owner._id, {
+            type: 'listing_expired',
+            title: 'Your listing has expired',
+            body: `"${property.title}" is no longer visible to tenants. Relist it to make it live again.`,
+            data: { propertyId: property._id }
+        });
+    }
+
+    return expired.length;
+};
+
+/**
+ * Warn owners whose listings expire within the warning window
+ * Each listing is warned once per expiry period (renewing resets the flag)
+ * @returns {Promise<number>} Number of warnings sent
+ */
+const warnExpiringListings = async () => {
+    const now = new Date();
+    const warnBefore = new Date(now.getTime() + listingConfig.warningDays * listingConfig.DAY);
+
+    const expiring = await Property.find({
+        ...visibleListingFilter(),
+        status: 'available',
+        expiresAt: { $gt: now, $lte: warnBefore },
+        expiryWarningSentAt: null
+    });
+
+    for (const property of expiring) {
+        const daysLeft = Math.max(1, Math.ceil((property.expiresAt - now) / listingConfig.DAY));
+
+        await notificationService.notify(property.owner._id, {
+            type: 'listing_expiring',
+            title: 'Your listing expires soon',
+            body: `"${property.title}" expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Renew it to keep it visible.`,
+            data: { propertyId: property._id, expiresAt: property.expiresAt }
+        });
+
+        property.expiryWarningSentAt = now;
+        await property.save({ validateBeforeSave: false });
+    }
+
+    return expiring.length;
+};
+
+/**
+ * Renew an active listing or relist an expired one
+ * Extends from the current expiry (or from now if already expired)
+ * @param {object} property - Property document (eligibility checked with canRenew)
+ * @returns {Promise<object>} Updated property
+ */
+const renewListing = async (property) => {
+    const now = new Date();
+    const base = property.expiresAt > now ? property.expiresAt : now;
+
+    property.expiresAt = new Date(base.getTime() + listingConfig.renewalDays * listingConfig.DAY);
+    property.renewalCount += 1;
+    property.lastRenewedAt = now;
+    property.expiryWarningSentAt = undefined;
+
+    if (property.status === 'expired') {
+        property.status = 'available';
+    }
+
+    await property.save();
+    return property;
+};
+
+/**
+ * Run the full expiry sweep (scheduled job)
+ * @returns {Promise<object>} { expired, warned }
+ */
+const runSweep = async () => {
+    const expired = await expireListings();
+    const warned = await warnExpiringListings();
+    return { expired, warned };
+};
+
+module.exports = {
+    expireListings,
+    warnExpiringListings,
+    renewListing,
+    runSweep
+};
@@ -0,0 +1,48 @@
+const Property = require('../models/Property');
+const gazetteer = require('./gazetteer.service');
+
+// Listings normalised per run
+const BATCH_SIZE = 200;
+
+/**
+ * Match listings created before the gazetteer existed against it
+ * Canonical city / area names and locationIds are written without touching updatedAt;
+ * listings it can't place get empty locationIds so they aren't picked up again
+ * @returns {Promise<number>} Number of listings normalised
+ */
+const runBackfill = async () => {
+    const properties = await Property.find({ 'location.locationIds': { $exists: false } })
+        .select('location')
+        .sort('createdAt')
+        .limit(BATCH_SIZE)
+        .lean();
+
+    let normalised = 0;
+
+    for (const property of properties) {
+        const { city, area, locationIds } = gazetteer.normalizeLocation(property.location || {});
+
+        try {
+            await Property.updateOne(
+                { _id: property._id },
+                {
+                    $set: {
+                        'location.city': city,
+                        'location.area': area,
+                        'location.locationIds': locationIds
+                    }
+                },
+                { timestamps: false }
+            );
+            normalised++;
+        } catch (error) {
+            console.error(`Location backfill failed for property ${property._id}:`, error);
+        }
+    }
+
+    return normalised;
+};
+
+module.exports = {
+    runBackfill
+};
@@ -0,0 +1,122 @@
+const MaintenanceTicket = require('../models/MaintenanceTicket');
+const Tenancy = require('../models/Tenancy');
+const notificationService = require('./notification.service');
+const serviceError = require('../utils/serviceError');
+
+const STATUS_LABELS = {
+    open: 'open',
+    in_progress: 'in progress',
+    resolved: 'resolved'
+};
+
+/**
+ * Get the tenancy a tenant raises tickets under
+ * Only the tenant on the property's active tenancy can raise tickets
+ * @param {object} property - Property document
+ * @param {object} tenant - Tenant user document
+ * @returns {Promise<object>} Active tenancy
+ */
+const getActiveTenancy = async (property, tenant) => {
+    const tenancy = await Tenancy.findOne({
+        property: property._id,
+        tenant: tenant._id,
+        status: 'active'
+    });
+
+    if (!tenancy) {
+        throw serviceError(403, 'Only the current tenant can raise maintenance requests for this property');
+    }
+
+    return tenancy;
+};
+
+/**
+ * Raise a maintenance ticket
+ * @param {object} tenancy - Active tenancy (from getActiveTenancy)
+ * @param {object} property - Property document
+ * @param {object} tenant - Tenant user document
+ * @param {object} details - { category, description, urgency, images }
+ * @returns {Promise<object>} Created ticket
+ */
+const createTicket = async (tenancy, property, tenant, { category, description, urgency, images }) => {
+    const ticket = await MaintenanceTicket.create({
+        property: property._id,
+        owner: tenancy.owner,
+        tenant: tenant._id,
+        tenancy: tenancy._id,
+        category,
+        description,
+        urgency,
+        images,
+        statusHistory: [{ status: 'open', changedBy: tenant._id }]
+    });
+
+    await notificationService.notify(tenancy.owner, {
+        type: 'maintenance_opened',
+        title: urgency === 'emergency' ? '🚨 Emergency maintenance request' : 'New maintenance request',
+        body: `${tenant.name} reported a ${category.replace('_', ' ')} issue at "${property.title}".`,
+        data: { ticketId: ticket._id, propertyId: property._id }
+    });
+
+    return ticket;
+};
+
+/**
+ * Move a ticket to a new status (owner)
+ * @param {object} ticket - MaintenanceTicket document (property populated)
+ * @param {string} status - 'in_progress' or 'resolved'
+ * @param {object} actor - Owner making the change
+ * @param {string} note - Optional note shown to the tenant
+ * @returns {Promise<object>} Updated ticket
+ */
+const updateStatus = async (ticket, status, actor, note) => {
+    if (!ticket.canTransitionTo(status)) {
+        throw serviceError(400, `A ${STATUS_LABELS[ticket.status]} ticket cannot be marked ${STATUS_LABELS[status] || status}`);
+    }
+
+    ticket.status = status;
+    ticket.statusHistory.push({ status, changedBy: actor._id, note });
+    if (status === 'resolved') ticket.resolvedAt = Date.now();
+    await ticket.save();
+
+    const title = ticket.property ? ticket.property.title : 'your rental';
+
+    await notificationService.notify(ticket.tenant, {
+        type: 'maintenance_status',
+        title: `Maintenance request ${STATUS_LABELS[status]}`,
+        body: `Your ${ticket.category.replace('_', ' ')} request at "${title}" is now ${STATUS_LABELS[status]}.${note ? ` ${note}` : ''}`,
+        data: { ticketId: ticket._id, status }
+    });
+
+    return ticket;
+};
+
+/**
+ * Add a comment to a ticket's thread and notify the other side
+ * @param {object} ticket - MaintenanceTicket document
+ * @param {object} author - Tenant or owner
+ * @param {string} body - Comment text
+ * @returns {Promise<object>} Created comment
+ */
+const addComment = async (ticket, author, body) => {
+    ticket.comments.push({ author: author._id, body });
+    await ticket.save();
+
+    const recipient = ticket.owner.toString() === author._id.toString() ? ticket.tenant : ticket.owner;
+
+    await notificationService.notify(recipient, {
+        type: 'maintenance_comment',
+        title: 'New comment on maintenance request',
+        body: `${author.name}: ${body.length > 100 ? `${body.slice(0, 100)}…` : body}`,
+        data: { ticketId: ticket._id }
+    });
+
+    return ticket.comments[ticket.comments.length - 1];
+};
+
+module.exports = {
+    getActiveTenancy,
+    createTicket,
+    updateStatus,
+    addComment
+};
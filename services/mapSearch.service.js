@@ -0,0 +1,116 @@
+const Property = require('../models/Property');
+const geo = require('../utils/geo');
+const { buildPropertyFilter } = require('../utils/propertyFilters');
+
+// Up to this many matches are sent as individual pins; more are clustered
+const PIN_LIMIT = parseInt(process.env.MAP_PIN_LIMIT, 10) || 200;
+
+// Cluster cell size on screen (map tiles are 256px wide)
+const CELL_PIXELS = 64;
+
+// Most clusters returned (largest first)
+const MAX_CLUSTERS = 500;
+
+/**
+ * Grid cell size in degrees for a zoom level
+ * At zoom z the world (360°) is 256 * 2^z pixels wide
+ * @param {number} zoom - Map zoom level
+ * @returns {number} Cell width/height in degrees
+ */
+const cellSizeFor = (zoom) => (360 * CELL_PIXELS) / (256 * 2 ** zoom);
+
+/**
+ * Lightweight pin for a listing
+ * @param {object} property - Lean property
+ * @returns {object} { id, lng, lat, rent, title, propertyType, thumbnail, isFeatured }
+ */
+const toPin = (property) => {
+    const cover = (property.imageVariants || [])[0];
+
+    return {
+        id: property._id,
+        lng: property.location.coordinates[0],
+        lat: property.location.coordinates[1],
+        rent: property.rent,
+        title: property.title,
+        propertyType: property.propertyType,
+        thumbnail: cover && cover.full === property.images[0] ? cover.thumbnail : property.images[0],
+        isFeatured: property.isFeatured
+    };
+};
+
+/**
+ * Listings inside a map viewport, as pins or grid clusters
+ * Every GET /api/properties filter applies; the viewport replaces lat/lng/radius
+ * @param {object} params - Search params (same shape as GET /api/properties query)
+ * @param {object} viewport - { bbox: [minLng, minLat, maxLng, maxLat], zoom }
+ * @returns {Promise<object>} { mode: 'pins'|'clusters', total, pins?, clusters? }
+ */
+const searchMap = async (params, { bbox, zoom }) => {
+    // The viewport replaces the radius search
+    const filter = buildPropertyFilter({ ...params, lat: undefined, lng: undefined, radius: undefined });
+    filter['location.coordinates'] = geo.withinBoundingBox(bbox);
+
+    const total = await Property.countDocuments(filter);
+
+    if (total <= PIN_LIMIT) {
+        const properties = await Property.find(filter)
+            .select('title rent propertyType location.coordinates images imageVariants isFeatured')
+            .lean();
+
+        return { mode: 'pins', total, pins: properties.map(toPin) };
+    }
+
+    const cell = cellSizeFor(zoom);
+
+    const groups = await Property.aggregate([
+        { $match: filter },
+        {
+            $project: {
+                rent: 1,
+                lng: { $arrayElemAt: ['$location.coordinates', 0] },
+                lat: { $arrayElemAt: ['$location.coordinates', 1] }
+            }
+        },
+        {
+            $group: {
+                _id: {
+                    x: { $floor: { $divide: ['$lng', cell] } },
+                    y: { $floor: { $divide: ['$lat', cell] } }
+                },
+                count: { $sum: 1 },
+                minRent: { $min: '$rent' },
+                maxRent: { $max: '$rent' },
+                lng: { $avg: '$lng' },
+                lat: { $avg: '$lat' },
+                propertyId: { $first: '$_id' }
+            }
+        },
+        { $sort: { count: -1 } },
+        { $limit: MAX_CLUSTERS }
+    ]);
+
+    const clusters = groups.map(group => ({
+        id: `${zoom}:${group._id.x}:${group._id.y}`,
+        // Centre of the listings, so the marker sits where they are rather than mid-cell
+        lng: group.lng,
+        lat: group.lat,
+        count: group.count,
+        minRent: group.minRent,
+        maxRent: group.maxRent,
+        // Zoom the map to this to expand the cluster
+        bounds: [
+            group._id.x * cell,
+            group._id.y * cell,
+            (group._id.x + 1) * cell,
+            (group._id.y + 1) * cell
+        ],
+        propertyId: group.count === 1 ? group.propertyId : undefined
+    }));
+
+    return { mode: 'clusters', total, clusters };
+};
+
+module.exports = {
+    searchMap
+};
@@ -0,0 +1,51 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const socketService = require('./socket.service');
+
+/**
+ * Store a notification and push it to the user's socket room
+ * Clients join a room named after their own user ID (see 'join_chat')
+ * @param {ObjectId|string} userId - Recipient user ID
+ * @param {object} payload - { type, title, body, data }
+ * @returns {Promise<object>} Created notification document
+ */
+const notify = async (userId, { type, title, body, data = {} }) => {
+    const notification = await Notification.create({
+        user: userId,
+        type,
+        title,
+        body,
+        data
+    });
+
+    try {
+        socketService.getIo().to(userId.toString()).emit('notification', notification);
+    } catch (error) {
+        // Socket.io is not running (e.g. background job outside the server) - stored only
+    }
+
+    return notification;
+};
+
+/**
+ * Notify every active admin and moderator
+ * @param {object} payload - { type, title, body, data }
+ * @returns {Promise<number>} Number of staff notified
+ */
+const notifyModerators = async (payload) => {
+    const staff = await User.find({
+        role: { $in: ['admin', 'moderator'] },
+        isActive: true
+    }).select('_id');
+
+    for (const member of staff) {
+        await notify(member._id, payload);
+    }
+
+    return staff.length;
+};
+
+module.exports = {
+    notify,
+    notifyModerators
+};
@@ -0,0 +1,60 @@
+/**
+ * Local fake payment gateway for development and testing
+ * Mimics the redirect-and-verify flow without any network calls:
+ * initiate() "redirects" straight back to returnUrl with callback params,
+ * verify() succeeds unless the callback says otherwise
+ *
+ * Force a failure with params.status = 'FAILED' or FAKE_PAYMENT_OUTCOME=fail
+ */
+const name = 'fake';
+
+const initiate = async ({ reference, amount, returnUrl }) => {
+    const transactionId = `FAKE-${Date.now()}`;
+    const query = new URLSearchParams({
+        reference,
+        transactionId,
+        amount: String(amount),
+        status: 'COMPLETE'
+    });
+
+    const separator = returnUrl && returnUrl.includes('?') ? '&' : '?';
+
+    return {
+        redirectUrl: `${returnUrl || ''}${separator}${query.toString()}`,
+        method: 'GET',
+        raw: { transactionId }
+    };
+};
+
+const verify = async ({ reference, amount, params = {} }) => {
+    const failed = params.status === 'FAILED' || process.env.FAKE_PAYMENT_OUTCOME === 'fail';
+
+    if (params.reference && params.reference !== reference) {
+        return {
+            success: false,
+            failureReason: 'Reference mismatch',
+            raw: params
+        };
+    }
+
+    if (failed) {
+        return {
+            success: false,
+            failureReason: 'Payment declined by fake gateway',
+            raw: params
+        };
+    }
+
+    return {
+        success: true,
+        transactionId: params.transactionId || `FAKE-${Date.now()}`,
+        amount: params.amount !== undefined ? Number(params.amount) : amount,
+        raw: params
+    };
+};
+
+module.exports = {
+    name,
+    initiate,
+    verify
+};
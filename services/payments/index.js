@@ -0,0 +1,59 @@
+const fakeGateway = require('./fake.gateway');
+
+/**
+ * Payment gateway adapter interface
+ *
+ * Gateways follow the redirect-and-verify flow used by eSewa and Khalti:
+ * 1. initiate() returns where to send the user (a URL, or a URL + form fields to POST)
+ * 2. The user pays on the gateway and is redirected back to returnUrl with callback params
+ * 3. verify() confirms the payment server-to-server using those params
+ *
+ * @typedef {object} PaymentGateway
+ * @property {string} name - Gateway identifier (e.g. 'esewa', 'khalti', 'fake')
+ * @property {Function} initiate - async ({ reference, amount, currency, description, returnUrl, failureUrl })
+ *   => { redirectUrl, method: 'GET'|'POST', formFields?, raw }
+ * @property {Function} verify - async ({ reference, amount, params })
+ *   => { success, transactionId, amount, failureReason?, raw }
+ */
+const gateways = {
+  [fakeGateway.name]: fakeGateway
+};
+
+/**
+ * Register a gateway adapter (e.g. eSewa/Khalti implementations)
+ * @param {PaymentGateway} gateway - Adapter implementing initiate/verify
+ */
+const registerGateway = (gateway) => {
+  gateways[gateway.name] = gateway;
+};
+
+/**
+ * Get a gateway adapter by name
+ * The fake gateway completes payments without taking money, so it is off unless
+ * ALLOW_FAKE_PAYMENTS=true is set explicitly (whatever NODE_ENV says)
+ * @param {string} name - Gateway name
+ * @returns {PaymentGateway|null} Gateway adapter or null if unavailable
+ */
+const getGateway = (name) => {
+  const gateway = gateways[name];
+
+  if (!gateway) return null;
+
+  if (gateway.name === fakeGateway.name && process.env.ALLOW_FAKE_PAYMENTS !== 'true') {
+    return null;
+  }
+
+  return gateway;
+};
+
+/**
+ * List names of available gateways
+ * @returns {Array<string>} Gateway names
+ */
+const getAvailableGateways = () => Object.keys(gateways).filter(name => getGateway(name));
+
+module.exports = {
+  registerGateway,
+  getGateway,
+  getAvailableGateways
+};
@@ -0,0 +1,72 @@
+const Favorite = require('../models/Favorite');
+const notificationService = require('./notification.service');
+
+/**
+ * Build the extra update operators that record a rent change
+ * Merged into the listing update so the history is written together with the new rent
+ * @param {object} property - Property before the update
+ * @param {number|string} newRent - Rent from the request (may be missing)
+ * @returns {object} Update operators ({} if the rent is unchanged)
+ */
+const rentChangeUpdate = (property, newRent) => {
+    if (newRent === undefined || newRent === null || newRent === '') return {};
+
+    const to = Number(newRent);
+    if (Number.isNaN(to) || to === property.rent) return {};
+
+    const now = new Date();
+    const update = {
+        $push: { priceHistory: { from: property.rent, to, changedAt: now } }
+    };
+
+    if (to < property.rent) {
+        update.lastPriceDropAt = now;
+    } else {
+        // Back up - no longer "reduced"
+        update.$unset = { lastPriceDropAt: 1 };
+    }
+
+    return update;
+};
+
+/**
+ * Tell everyone who favorited a listing that its rent dropped
+ * @param {object} property - Property after the update
+ * @param {number} previousRent - Rent before the update
+ * @returns {Promise<number>} Number of users notified
+ */
+const notifyPriceDrop = async (property, previousRent) => {
+    if (property.rent >= previousRent) return 0;
+
+    // Nobody can act on a drop for a listing they can't see
+    if (!property.isPubliclyVisible() || property.status !== 'available') return 0;
+
+    const ownerId = (property.owner._id || property.owner).toString();
+    const users = await Favorite.distinct('user', { property: property._id });
+
+    let notified = 0;
+
+    for (const userId of users) {
+        if (userId.toString() === ownerId) continue;
+
+        await notificationService.notify(userId, {
+            type: 'price_drop',
+            title: 'Price drop on a saved listing',
+            body: `${property.title} is now Rs. ${property.rent}/month (was Rs. ${previousRent}).`,
+            data: {
+                propertyId: property._id,
+                previousRent,
+                rent: property.rent
+            }
+        });
+
+        notified += 1;
+    }
+
+    return notified;
+};
+
+module.exports = {
+    rentChangeUpdate,
+    notifyPriceDrop
+};
@@ -0,0 +1,211 @@
+const Property = require('../models/Property');
+const PromotionOrder = require('../models/PromotionOrder');
+const Payment = require('../models/Payment');
+const notificationService = require('./notification.service');
+const { getGateway } = require('./payments');
+const { CURRENCY } = require('../config/promotions');
+const serviceError = require('../utils/serviceError');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an order for a promotion package and start payment with the gateway
+ * @param {object} options - { user, property, pkg, gatewayName, returnUrl, failureUrl }
+ * @returns {Promise<object>} { order, payment, checkout }
+ */
+const createOrder = async ({ user, property, pkg, gatewayName, returnUrl, failureUrl }) => {
+    const gateway = getGateway(gatewayName);
+
+    const order = await PromotionOrder.create({
+        user: user._id,
+        property: property._id,
+        packageCode: pkg.code,
+        type: pkg.type,
+        durationDays: pkg.durationDays,
+        amount: pkg.price,
+        currency: CURRENCY,
+        gateway: gateway.name
+    });
+
+    const reference = `GB-${order._id}-${Date.now()}`;
+
+    const checkout = await gateway.initiate({
+        reference,
+        amount: order.amount,
+        currency: order.currency,
+        description: `${pkg.name}: ${property.title}`,
+        returnUrl,
+        failureUrl: failureUrl || returnUrl
+    });
+
+    const payment = await Payment.create({
+        user: user._id,
+        order: order._id,
+        gateway: gateway.name,
+        amount: order.amount,
+        currency: order.currency,
+        reference,
+        initiateResponse: checkout.raw
+    });
+
+    return { order, payment, checkout };
+};
+
+/**
+ * Apply a paid order's promotion to its property
+ * Extends any promotion that is still running instead of overlapping it
+ * @param {object} order - Paid PromotionOrder document
+ * @returns {Promise<object>} Updated property
+ */
+const activatePromotion = async (order) => {
+    const property = await Property.findById(order.property);
+    const now = new Date();
+    const duration = order.durationDays * DAY;
+
+    const currentExpiry = order.type === 'premium' ? property.premiumExpiry : property.featuredExpiry;
+    const startsAt = currentExpiry && currentExpiry > now ? currentExpiry : now;
+    const endsAt = new Date(startsAt.getTime() + duration);
+
+    if (order.type === 'premium') {
+        property.isPremium = true;
+        property.premiumExpiry = endsAt;
+    } else {
+        property.featuredExpiry = endsAt;
+    }
+    property.isFeatured = true;
+
+    await property.save({ validateBeforeSave: false });
+
+    order.startsAt = startsAt;
+    order.endsAt = endsAt;
+    await order.save();
+
+    await notificationService.notify(order.user, {
+        type: 'promotion_activated',
+        title: `Your listing is now ${order.type}`,
+        body: `"${property.title}" is promoted until ${endsAt.toDateString()}.`,
+        data: { propertyId: property._id, orderId: order._id }
+    });
+
+    return property;
+};
+
+/**
+ * Verify the pending payment for an order and activate the promotion on success
+ * Safe to call more than once - only the first successful verification activates
+ * @param {object} order - PromotionOrder document
+ * @param {object} params - Callback params the gateway redirected back with
+ * @returns {Promise<object>} { order, payment, success, message }
+ */
+const verifyOrder = async (order, params = {}) => {
+    if (order.status !== 'pending') {
+        return { order, success: order.status === 'paid', message: `Order is already ${order.status}` };
+    }
+
+    const payment = await Payment.findOne({ order: order._id, status: 'initiated' }).sort('-createdAt');
+
+    if (!payment) {
+        return { order, success: false, message: 'No pending payment found for this order' };
+    }
+
+    // Disabled or unconfigured since the order was placed - leave it pending to verify later
+    const gateway = getGateway(payment.gateway);
+    if (!gateway) {
+        throw serviceError(409, `The ${payment.gateway} payment gateway is currently unavailable. Please try again later.`);
+    }
+
+    const result = await gateway.verify({
+        reference: payment.reference,
+        amount: payment.amount,
+        params
+    });
+
+    // Never trust a gateway response that doesn't match what we charged
+    if (result.success && Number(result.amount) !== payment.amount) {
+        result.success = false;
+        result.failureReason = `Amount mismatch: expected ${payment.amount}, got ${result.amount}`;
+    }
+
+    payment.status = result.success ? 'success' : 'failed';
+    payment.gatewayTransactionId = result.transactionId;
+    payment.verifyResponse = result.raw;
+    payment.failureReason = result.failureReason;
+    payment.verifiedAt = Date.now();
+    await payment.save();
+
+    // Atomic transition so concurrent verifications cannot activate twice
+    const updated = await PromotionOrder.findOneAndUpdate(
+        { _id: order._id, status: 'pending' },
+        result.success
+            ? { status: 'paid', paidAt: Date.now() }
+            : { status: 'failed' },
+        { new: true }
+    );
+
+    if (!updated) {
+        const current = await PromotionOrder.findById(order._id);
+        return { order: current, payment, success: current.status === 'paid', message: `Order is already ${current.status}` };
+    }
+
+    if (result.success) {
+        await activatePromotion(updated);
+    }
+
+    return {
+        order: updated,
+        payment,
+        success: result.success,
+        message: result.success ? 'Payment verified and promotion activated' : result.failureReason
+    };
+};
+
+/**
+ * Downgrade listings whose premium/featured promotion has ended (scheduled job)
+ * The Property pre('save') hook decides which flags to clear
+ * @returns {Promise<number>} Number of listings downgraded
+ */
+const expirePromotions = async () => {
+    const now = new Date();
+
+    // Same conditions as the pre('save') hook, so listings it would leave unchanged aren't re-saved every run
+    const properties = await Property.find({
+        $or: [
+            { isPremium: true, premiumExpiry: { $lt: now } },
+            {
+                isFeatured: true,
+                $or: [{ premiumExpiry: { $lt: now } }, { featuredExpiry: { $lt: now } }],
+                premiumExpiry: { $not: { $gte: now } },
+                featuredExpiry: { $not: { $gte: now } }
+            }
+        ]
+    });
+
+    let downgraded = 0;
+
+    for (const property of properties) {
+        const wasPremium = property.isPremium;
+        const wasFeatured = property.isFeatured;
+
+        await property.save({ validateBeforeSave: false });
+
+        if (property.isPremium === wasPremium && property.isFeatured === wasFeatured) continue;
+
+        downgraded += 1;
+
+        await notificationService.notify(property.owner._id, {
+            type: 'promotion_ended',
+            title: 'Your promotion has ended',
+            body: `"${property.title}" is no longer ${wasPremium && !property.isPremium ? 'premium' : 'featured'}.`,
+            data: { propertyId: property._id }
+        });
+    }
+
+    return downgraded;
+};
+
+module.exports = {
+    createOrder,
+    verifyOrder,
+    activatePromotion,
+    expirePromotions
+};
@@ -0,0 +1,147 @@
+const Property = require('../models/Property');
+const storageCleanup = require('./storageCleanup.service');
+const serviceError = require('../utils/serviceError');
+
+// Same bounds as the Property schema validator
+const MIN_IMAGES = 1;
+const MAX_IMAGES = 10;
+
+/**
+ * Put image variants in the same order as the image URLs, dropping any that are gone
+ * @param {Array<object>} variants - Property.imageVariants
+ * @param {Array<string>} urls - Image URLs in display order
+ * @returns {Array<object>} Ordered variants
+ */
+const orderVariants = (variants, urls) => {
+    const byUrl = new Map((variants || []).map(variant => [variant.full, variant]));
+    return urls.map(url => byUrl.get(url)).filter(Boolean);
+};
+
+/**
+ * Every stored file behind a set of listing images (the image plus its resized copies)
+ * @param {object} property - Property document
+ * @param {Array<string>} urls - Image URLs
+ * @returns {Array<string>} File URLs to delete
+ */
+const getStoredFiles = (property, urls) => {
+    const variants = orderVariants(property.imageVariants, urls);
+    const files = new Set(urls);
+
+    variants.forEach(variant => {
+        if (variant.card) files.add(variant.card);
+        if (variant.thumbnail) files.add(variant.thumbnail);
+    });
+
+    return [...files];
+};
+
+/**
+ * Add uploaded images to the end of a listing's gallery
+ * The length check is part of the update filter, so concurrent uploads can't exceed the limit
+ * @param {object} property - Property document
+ * @param {Array<object>} variants - Uploaded image sets ({ full, card, thumbnail, width, height })
+ * @returns {Promise<object>} Updated property
+ */
+const appendImages = async (property, variants) => {
+    const maxExisting = MAX_IMAGES - variants.length;
+
+    const updated = await Property.findOneAndUpdate(
+        { _id: property._id, [`images.${maxExisting}`]: { $exists: false } },
+        {
+            $push: {
+                images: { $each: variants.map(variant => variant.full) },
+                imageVariants: { $each: variants }
+            }
+        },
+        { new: true }
+    );
+
+    if (!updated) {
+        // Already uploaded - clean up the files we can't attach
+        const files = variants.flatMap(variant => [variant.full, variant.card, variant.thumbnail]);
+        await storageCleanup.queueDeletion(files, `Rejected upload for property ${property._id}`);
+        throw serviceError(400, `A listing can have at most ${MAX_IMAGES} images`);
+    }
+
+    return updated;
+};
+
+/**
+ * Remove one image from a listing and queue its files for deletion from storage
+ * @param {object} property - Property document
+ * @param {string} url - Image URL to remove
+ * @returns {Promise<object>} Updated property
+ */
+const removeImage = async (property, url) => {
+    if (!property.images.includes(url)) {
+        throw serviceError(404, 'Image not found on this listing');
+    }
+
+    const updated = await Property.findOneAndUpdate(
+        { _id: property._id, images: url, [`images.${MIN_IMAGES}`]: { $exists: true } },
+        { $pull: { images: url, imageVariants: { full: url } } },
+        { new: true }
+    );
+
+    if (!updated) {
+        throw serviceError(400, `A listing must keep at least ${MIN_IMAGES} image`);
+    }
+
+    await storageCleanup.queueDeletion(getStoredFiles(property, [url]), `Removed from property ${property._id}`);
+
+    return updated;
+};
+
+/**
+ * Set a new image order
+ * @param {object} property - Property document
+ * @param {Array<string>} order - Every current image URL, in the new order
+ * @returns {Promise<object>} Updated property
+ */
+const reorderImages = async (property, order) => {
+    const current = property.images;
+    const sameSet = order.length === current.length &&
+        new Set(order).size === order.length &&
+        order.every(url => current.includes(url));
+
+    if (!sameSet) {
+        throw serviceError(400, 'The new order must contain each current image exactly once');
+    }
+
+    // Only apply if the gallery hasn't changed since it was read
+    const updated = await Property.findOneAndUpdate(
+        { _id: property._id, images: current },
+        { images: order, imageVariants: orderVariants(property.imageVariants, order) },
+        { new: true }
+    );
+
+    if (!updated) {
+        throw serviceError(409, 'The images were changed by another request. Please reload and try again.');
+    }
+
+    return updated;
+};
+
+/**
+ * Make an image the cover (first image)
+ * @param {object} property - Property document
+ * @param {string} url - Image URL
+ * @returns {Promise<object>} Updated property
+ */
+const setCoverImage = async (property, url) => {
+    if (!property.images.includes(url)) {
+        throw serviceError(404, 'Image not found on this listing');
+    }
+
+    return reorderImages(property, [url, ...property.images.filter(image => image !== url)]);
+};
+
+module.exports = {
+    MAX_IMAGES,
+    orderVariants,
+    getStoredFiles,
+    appendImages,
+    removeImage,
+    reorderImages,
+    setCoverImage
+};
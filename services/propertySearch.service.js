@@ -0,0 +1,117 @@
+const Property = require('../models/Property');
+
+// Most text matches ranked by distance ($text can't run inside $geoNear, so matches are found first)
+const TEXT_MATCH_LIMIT = 1000;
+
+const OWNER_FIELDS = 'name phone photoURL rating totalRatings isVerified';
+
+/**
+ * Turn a mongoose-style sort string into a $sort stage object
+ * @param {string} sort - e.g. "-rent createdAt"
+ * @returns {object} e.g. { rent: -1, createdAt: 1 }
+ */
+const toSortStage = (sort) => {
+    const stage = {};
+
+    String(sort).split(/\s+/).filter(Boolean).forEach(field => {
+        if (field.startsWith('-')) {
+            stage[field.slice(1)] = -1;
+        } else {
+            stage[field] = 1;
+        }
+    });
+
+    return stage;
+};
+
+/**
+ * Search listings with the distance from a point on every result
+ * Runs as a $geoNear pipeline so distance can be combined with any sort, text search
+ * and an accurate total (counted in the same pass with $facet)
+ * @param {object} filter - Filter from buildPropertyFilter (may include a $text search)
+ * @param {object} options - Search options
+ * @param {Array<number>} options.point - [lng, lat] distances are measured from
+ * @param {string} options.sort - 'distance', 'relevance' (text searches) or a sort string such as '-rent'
+ * @param {number} options.page - Page (1-based)
+ * @param {number} options.limit - Page size
+ * @returns {Promise<object>} { properties, total } - properties carry distance { meters, km }
+ */
+const searchByDistance = async (filter, { point, sort = 'distance', page = 1, limit = 20 }) => {
+    const { $text, ...query } = filter;
+    let textMatches = null;
+
+    if ($text) {
+        // Text matches (best first) become the $geoNear query, keeping their scores for ranking
+        textMatches = await Property.find(filter)
+            .select({ _id: 1, score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(TEXT_MATCH_LIMIT)
+            .lean();
+    }
+
+    const pipeline = [
+        {
+            $geoNear: {
+                near: { type: 'Point', coordinates: point },
+                key: 'location.coordinates',
+                distanceField: 'distanceMeters',
+                spherical: true,
+                query: textMatches ? { _id: { $in: textMatches.map(match => match._id) } } : query
+            }
+        }
+    ];
+
+    if (textMatches) {
+        const ids = textMatches.map(match => match._id);
+        pipeline.push({
+            $addFields: {
+                textScore: {
+                    $arrayElemAt: [textMatches.map(match => match.score), { $indexOfArray: [ids, '$_id'] }]
+                }
+            }
+        });
+    }
+
+    // $geoNear output is already nearest first
+    if (sort === 'relevance' && textMatches) {
+        pipeline.push({ $sort: { textScore: -1, distanceMeters: 1 } });
+    } else if (sort !== 'distance' && sort !== 'relevance') {
+        pipeline.push({ $sort: { ...toSortStage(sort), distanceMeters: 1 } });
+    }
+
+    pipeline.push({
+        $facet: {
+            // Aggregation ignores select: false, so drop internal fields here
+            results: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $project: { duplicateCheck: 0 } }],
+            total: [{ $count: 'count' }]
+        }
+    });
+
+    const [{ results, total }] = await Property.aggregate(pipeline);
+
+    // Back to documents so the owner populate and JSON output match the other searches
+    const distances = results.map(result => result.distanceMeters);
+    const properties = await Property.populate(
+        results.map(result => {
+            delete result.distanceMeters;
+            delete result.textScore;
+            return Property.hydrate(result);
+        }),
+        { path: 'owner', select: OWNER_FIELDS }
+    );
+
+    return {
+        properties: properties.map((property, index) => ({
+            ...property.toJSON(),
+            distance: {
+                meters: Math.round(distances[index]),
+                km: Math.round(distances[index] / 10) / 100
+            }
+        })),
+        total: total.length > 0 ? total[0].count : 0
+    };
+};
+
+module.exports = {
+    searchByDistance
+};
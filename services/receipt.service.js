@@ -0,0 +1,77 @@
+const PDFDocument = require('pdfkit');
+const { formatAmount, formatDate } = require('../utils/pdf');
+
+const METHOD_LABELS = {
+    cash: 'Cash',
+    bank: 'Bank transfer',
+    wallet: 'Digital wallet'
+};
+
+/**
+ * Render a rent receipt PDF
+ * The caller pipes the returned document to the response and it ends itself
+ * @param {object} payment - RentPayment document
+ * @param {object} charge - RentCharge document (after this payment)
+ * @param {object} parties - { property, owner, tenant } (any may be null once deleted)
+ * @returns {PDFDocument} PDF document stream
+ */
+const renderReceipt = (payment, charge, { property, owner, tenant }) => {
+    const doc = new PDFDocument({ size: 'A5', margin: 40 });
+
+    doc.fontSize(18).text('Rent Receipt', { align: 'center' });
+    doc.moveDown(0.3);
+    doc.fontSize(9).fillColor('#666').text('Gharbeti', { align: 'center' });
+    doc.fillColor('#000').moveDown(1.5);
+
+    doc.fontSize(10);
+    doc.text(`Receipt No: ${payment.receiptNumber}`);
+    doc.text(`Date: ${formatDate(payment.paidAt)}`);
+    doc.text(`Billing period: ${charge.period}`);
+    doc.moveDown();
+
+    doc.text(`Received from: ${tenant ? tenant.name : 'Tenant'}`);
+    doc.text(`Received by: ${owner ? owner.name : 'Owner'}`);
+    doc.text(`Property: ${property ? property.title : 'Removed listing'}`);
+    if (property && property.location) {
+        doc.text(`Address: ${[property.location.fullAddress, property.location.area, property.location.city].filter(Boolean).join(', ')}`);
+    }
+    doc.moveDown();
+
+    // Line items for the month
+    doc.fontSize(11).text('Charges', { underline: true });
+    doc.fontSize(10);
+    charge.lineItems.forEach(item => {
+        const y = doc.y;
+        doc.text(item.description || item.type, 40, y);
+        doc.text(formatAmount(item.amount), 40, y, { align: 'right' });
+    });
+    doc.moveDown(0.5);
+
+    const rows = [
+        ['Total for period', formatAmount(charge.amountDue)],
+        ['Amount received', formatAmount(payment.amount)],
+        ['Paid to date', formatAmount(charge.amountPaid)],
+        ['Balance', formatAmount(Math.max(0, charge.amountDue - charge.amountPaid))]
+    ];
+
+    rows.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.text(label, 40, y);
+        doc.text(value, 40, y, { align: 'right' });
+    });
+
+    doc.moveDown();
+    doc.text(`Payment method: ${METHOD_LABELS[payment.method] || payment.method}`, 40);
+    if (payment.reference) doc.text(`Reference: ${payment.reference}`);
+    if (payment.note) doc.text(`Note: ${payment.note}`);
+
+    doc.moveDown(2);
+    doc.fontSize(8).fillColor('#666').text('This receipt was generated electronically and is valid without a signature.', { align: 'center' });
+
+    doc.end();
+    return doc;
+};
+
+module.exports = {
+    renderReceipt
+};
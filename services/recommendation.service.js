@@ -0,0 +1,245 @@
+const Property = require('../models/Property');
+const Favorite = require('../models/Favorite');
+const Conversation = require('../models/Conversation');
+const { visibleListingFilter } = require('../utils/propertyFilters');
+
+// Listings scored per request - the feed is ranked in memory from this pool
+const CANDIDATE_POOL = 300;
+
+// Most recent favorites / conversations used as signals
+const SIGNAL_LIMIT = 50;
+
+// How far outside the budget a listing can be before it scores nothing (0.5 = 50%)
+const BUDGET_SLACK = 0.5;
+
+/**
+ * Add to a weighted tally
+ * @param {Map<string, number>} tally - Value -> weight
+ * @param {string} value - Value (ignored if empty)
+ * @param {number} weight - Weight to add
+ */
+const bump = (tally, value, weight) => {
+    if (!value) return;
+    tally.set(value, (tally.get(value) || 0) + weight);
+};
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} Median, or null if empty
+ */
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Build a tenant's taste profile from their stated preferences and what they've interacted with
+ * Stated preferences weigh more than inferred ones
+ * @param {object} user - User document
+ * @returns {Promise<object>} { cities, areas, types, budget, seen, hasSignals }
+ */
+const buildProfile = async (user) => {
+    const preferences = user.preferences || {};
+    const cities = new Map();
+    const areas = new Map();
+    const types = new Map();
+
+    (preferences.preferredCities || []).forEach(city => bump(cities, city, 3));
+    (preferences.preferredPropertyTypes || []).forEach(type => bump(types, type, 3));
+
+    const favorites = await Favorite.find({ user: user._id })
+        .sort('-createdAt')
+        .limit(SIGNAL_LIMIT);
+
+    const conversations = await Conversation.find({
+        participants: user._id,
+        propertyId: { $ne: null }
+    })
+        .sort('-updatedAt')
+        .limit(SIGNAL_LIMIT)
+        .select('propertyId');
+
+    const contacted = await Property.find({ _id: { $in: conversations.map(c => c.propertyId) } })
+        .select('propertyType rent location');
+
+    // Favorites whose listing was deleted have no property
+    const interacted = [
+        ...favorites.map(favorite => favorite.property).filter(Boolean),
+        ...contacted
+    ];
+
+    interacted.forEach(property => {
+        bump(cities, property.location?.city, 2);
+        bump(areas, property.location?.area, 1);
+        bump(types, property.propertyType, 2);
+    });
+
+    // Stated budget wins; otherwise centre on what they've been looking at
+    let budget = null;
+    const { min, max } = preferences.budgetRange || {};
+    if (min || max) {
+        budget = { min: min || 0, max: max || Infinity };
+    } else {
+        const typical = median(interacted.map(property => property.rent).filter(rent => rent > 0));
+        if (typical) budget = { min: typical * 0.7, max: typical * 1.3 };
+    }
+
+    return {
+        cities,
+        areas,
+        types,
+        budget,
+        seen: interacted.map(property => property._id.toString()),
+        hasSignals: types.size > 0 || budget !== null || interacted.length > 0
+    };
+};
+
+/**
+ * Share of the strongest weight a value has (0-1)
+ * @param {Map<string, number>} tally - Value -> weight
+ * @param {string} value - Value to look up
+ * @returns {number} 0-1
+ */
+const affinity = (tally, value) => {
+    if (tally.size === 0 || !tally.has(value)) return 0;
+    return tally.get(value) / Math.max(...tally.values());
+};
+
+/**
+ * How well a rent fits a budget (1 inside, fading to 0 at BUDGET_SLACK outside)
+ * @param {number} rent - Listing rent
+ * @param {object} budget - { min, max }
+ * @returns {number} 0-1
+ */
+const budgetFit = (rent, budget) => {
+    if (rent >= budget.min && rent <= budget.max) return 1;
+
+    const miss = rent < budget.min
+        ? (budget.min - rent) / budget.min
+        : (rent - budget.max) / budget.max;
+
+    return Math.max(0, 1 - miss / BUDGET_SLACK);
+};
+
+/**
+ * Popularity signal used for ranking and the cold-start feed
+ * @param {object} property - Property document
+ * @returns {number} Weighted engagement
+ */
+const popularityOf = (property) => property.totalFavorites * 5 + property.views;
+
+/**
+ * Score a listing against a profile
+ * @param {object} property - Property document
+ * @param {object} profile - From buildProfile
+ * @param {number} maxPopularity - Highest popularity in the pool (for normalising)
+ * @returns {object} { score, reasons }
+ */
+const scoreListing = (property, profile, maxPopularity) => {
+    const reasons = [];
+
+    const city = affinity(profile.cities, property.location.city);
+    if (city > 0) reasons.push(`In ${property.location.city}`);
+
+    const area = affinity(profile.areas, property.location.area);
+    if (area > 0) reasons.push(`Near places you liked in ${property.location.area}`);
+
+    const type = affinity(profile.types, property.propertyType);
+    if (type > 0) reasons.push(`A ${property.propertyType} like you prefer`);
+
+    const budget = profile.budget ? budgetFit(property.rent, profile.budget) : 0;
+    if (budget === 1) reasons.push('Within your budget');
+
+    const popularity = maxPopularity > 0 ? popularityOf(property) / maxPopularity : 0;
+
+    const score = 0.3 * city + 0.1 * area + 0.25 * type + 0.25 * budget + 0.1 * popularity;
+
+    return { score: Math.round(score * 100) / 100, reasons };
+};
+
+/**
+ * Popular available listings, optionally in one city (cold-start feed)
+ * @param {object} user - User document
+ * @param {string} city - City to limit to (optional)
+ * @param {object} options - { page, limit }
+ * @returns {Promise<object>} { properties, total }
+ */
+const getPopular = async (user, city, { page, limit }) => {
+    const filter = {
+        ...visibleListingFilter(),
+        status: 'available',
+        owner: { $ne: user._id }
+    };
+    if (city) filter['location.city'] = city;
+
+    const properties = await Property.find(filter)
+        .sort('-totalFavorites -views -createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+    const total = await Property.countDocuments(filter);
+
+    return { properties, total };
+};
+
+/**
+ * Ranked, paginated listing feed for a tenant
+ * Scores available listings on stated preferences plus favorites and conversations;
+ * falls back to popular listings in their city when there's nothing to go on
+ * @param {object} user - User document
+ * @param {object} options - { page, limit }
+ * @returns {Promise<object>} { strategy: 'personalised'|'popular', properties, total }
+ *   Personalised results carry a recommendation { score, reasons }
+ */
+const getRecommendations = async (user, { page = 1, limit = 20 } = {}) => {
+    const profile = await buildProfile(user);
+    const topCity = [...profile.cities.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+
+    if (!profile.hasSignals) {
+        const popular = await getPopular(user, topCity, { page, limit });
+        return { strategy: 'popular', ...popular };
+    }
+
+    const filter = {
+        ...visibleListingFilter(),
+        status: 'available',
+        owner: { $ne: user._id },
+        // Already favorited or contacted - they know about these
+        _id: { $nin: profile.seen }
+    };
+    if (profile.cities.size > 0) {
+        filter['location.city'] = { $in: [...profile.cities.keys()] };
+    }
+
+    const pool = await Property.find(filter)
+        .sort('-createdAt')
+        .limit(CANDIDATE_POOL);
+
+    if (pool.length === 0) {
+        const popular = await getPopular(user, topCity, { page, limit });
+        return { strategy: 'popular', ...popular };
+    }
+
+    const maxPopularity = Math.max(...pool.map(popularityOf));
+
+    const ranked = pool
+        .map(property => ({ property, ...scoreListing(property, profile, maxPopularity) }))
+        // Newer first among equal scores (the pool is already newest first and sort is stable)
+        .sort((a, b) => b.score - a.score);
+
+    const properties = ranked
+        .slice((page - 1) * limit, page * limit)
+        .map(({ property, score, reasons }) => ({
+            ...property.toObject({ virtuals: true }),
+            recommendation: { score, reasons }
+        }));
+
+    return { strategy: 'personalised', properties, total: ranked.length };
+};
+
+module.exports = {
+    getRecommendations
+};
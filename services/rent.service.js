@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const Tenancy = require('../models/Tenancy');
+const RentCharge = require('../models/RentCharge');
+const RentPayment = require('../models/RentPayment');
+const Property = require('../models/Property');
+const rentConfig = require('../config/rent');
+const notificationService = require('./notification.service');
+const serviceError = require('../utils/serviceError');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Due date of the nth monthly charge, on the tenancy's start day-of-month
+ * Clamped to the end of short months (a lease starting on the 31st is due on the 30th in April)
+ * @param {Date} startDate - Tenancy start date
+ * @param {number} monthOffset - Months after the start
+ * @returns {Date} Due date
+ */
+const dueDateFor = (startDate, monthOffset) => {
+    const start = new Date(startDate);
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth() + monthOffset;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    return new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay)));
+};
+
+/**
+ * Billing period key for a due date
+ * @param {Date} date - Due date
+ * @returns {string} YYYY-MM
+ */
+const toPeriod = (date) => date.toISOString().slice(0, 7);
+
+/**
+ * Line items for one month: rent, plus utilities the rent doesn't cover
+ * @param {object} tenancy - Tenancy document
+ * @param {object} property - Property document (for electricityIncluded/waterIncluded)
+ * @returns {Array<object>} Line items
+ */
+const buildLineItems = (tenancy, property) => {
+    const items = [{ type: 'rent', description: 'Monthly rent', amount: tenancy.rent }];
+
+    if (property && !property.electricityIncluded) {
+        items.push({ type: 'electricity', description: 'Electricity', amount: 0 });
+    }
+    if (property && !property.waterIncluded) {
+        items.push({ type: 'water', description: 'Water', amount: 0 });
+    }
+
+    return items;
+};
+
+/**
+ * Create any missing monthly charges for a tenancy
+ * Charges are created up to scheduleAheadDays ahead and never past the lease end.
+ * Months that were already overdue when a backdated tenancy was recorded are created
+ * without an overdue alert - they still show as overdue in the ledger
+ * Safe to call repeatedly - existing months are left untouched
+ * @param {object} tenancy - Tenancy document
+ * @returns {Promise<number>} Number of charges created
+ */
+const generateSchedule = async (tenancy) => {
+    const property = await Property.findById(tenancy.property).select('electricityIncluded waterIncluded');
+
+    const horizon = new Date(Date.now() + rentConfig.scheduleAheadDays * DAY);
+    const stopAt = [horizon, tenancy.endDate, tenancy.endedAt]
+        .filter(Boolean)
+        .reduce((earliest, date) => (date < earliest ? date : earliest));
+
+    const overdueWhenRecorded = new Date((tenancy.createdAt || new Date()).getTime() - rentConfig.graceDays * DAY);
+    let created = 0;
+
+    for (let offset = 0; ; offset++) {
+        const dueDate = dueDateFor(tenancy.startDate, offset);
+        // The lease end date itself is not the start of a new month
+        if (offset > 0 && dueDate >= stopAt) break;
+        if (offset === 0 && dueDate > horizon) break;
+
+        const period = toPeriod(dueDate);
+        const exists = await RentCharge.exists({ tenancy: tenancy._id, period });
+        if (exists) continue;
+
+        try {
+            await RentCharge.create({
+                tenancy: tenancy._id,
+                property: tenancy.property,
+                owner: tenancy.owner,
+                tenant: tenancy.tenant,
+                period,
+                dueDate,
+                lineItems: buildLineItems(tenancy, property),
+                overdueNotifiedAt: dueDate < overdueWhenRecorded ? Date.now() : undefined
+            });
+            created += 1;
+        } catch (error) {
+            // Created concurrently by another request or the job
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    return created;
+};
+
+/**
+ * Drop unpaid charges that fall due after a tenancy ended
+ * @param {object} tenancy - Ended tenancy document
+ * @returns {Promise<number>} Number of charges removed
+ */
+const trimSchedule = async (tenancy) => {
+    const result = await RentCharge.deleteMany({
+        tenancy: tenancy._id,
+        dueDate: { $gt: tenancy.endedAt || new Date() },
+        amountPaid: 0
+    });
+
+    return result.deletedCount;
+};
+
+/**
+ * Summarize a set of charges
+ * @param {Array<object>} charges - RentCharge documents
+ * @returns {object} { totalDue, totalPaid, balance, overdueCount, overdueAmount }
+ */
+const summarize = (charges) => {
+    return charges.reduce((summary, charge) => {
+        summary.totalDue += charge.amountDue;
+        summary.totalPaid += charge.amountPaid;
+        summary.balance += charge.balance;
+        if (charge.isOverdue) {
+            summary.overdueCount += 1;
+            summary.overdueAmount += charge.balance;
+        }
+        return summary;
+    }, { currency: rentConfig.CURRENCY, totalDue: 0, totalPaid: 0, balance: 0, overdueCount: 0, overdueAmount: 0 });
+};
+
+/**
+ * Set this month's utility amounts (only for utilities not included in rent)
+ * @param {object} charge - RentCharge document
+ * @param {object} amounts - { electricity, water }
+ * @returns {Promise<object>} Updated charge
+ */
+const setUtilityAmounts = async (charge, amounts) => {
+    for (const type of ['electricity', 'water']) {
+        if (amounts[type] === undefined) continue;
+
+        const item = charge.lineItems.find(lineItem => lineItem.type === type);
+        if (!item) {
+            throw serviceError(400, `${type.charAt(0).toUpperCase() + type.slice(1)} is included in the rent`);
+        }
+        item.amount = Number(amounts[type]);
+    }
+
+    if (charge.amountPaid > charge.lineItems.reduce((sum, item) => sum + item.amount, 0)) {
+        throw serviceError(400, 'The new total would be less than what has already been paid');
+    }
+
+    await charge.save();
+    return charge;
+};
+
+/**
+ * Record a (possibly partial) payment against a charge
+ * @param {object} charge - RentCharge document
+ * @param {object} details - { amount, method, paidAt, reference, note }
+ * @param {object} recordedBy - Owner recording the payment
+ * @returns {Promise<object>} { payment, charge }
+ */
+const recordPayment = async (charge, { amount, method, paidAt, reference, note }, recordedBy) => {
+    const value = Number(amount);
+
+    if (value > charge.balance) {
+        throw serviceError(400, `Amount exceeds the outstanding balance of ${rentConfig.CURRENCY} ${charge.balance}`);
+    }
+
+    // Guard against two payments being recorded against the same balance at once
+    const claimed = await RentCharge.findOneAndUpdate(
+        { _id: charge._id, amountPaid: charge.amountPaid },
+        { $inc: { amountPaid: value } },
+        { new: true }
+    );
+
+    if (!claimed) {
+        throw serviceError(409, 'This charge was updated by another request. Please try again.');
+    }
+
+    const paymentId = new mongoose.Types.ObjectId();
+    let payment;
+
+    try {
+        payment = await RentPayment.create({
+            _id: paymentId,
+            charge: charge._id,
+            tenancy: charge.tenancy,
+            amount: value,
+            method,
+            paidAt,
+            reference,
+            note,
+            recordedBy: recordedBy._id,
+            receiptNumber: `RCPT-${charge.period.replace('-', '')}-${paymentId.toString().slice(-6).toUpperCase()}`
+        });
+    } catch (error) {
+        await RentCharge.updateOne({ _id: charge._id }, { $inc: { amountPaid: -value } });
+        throw error;
+    }
+
+    // Re-save to recompute status from the new amountPaid
+    await claimed.save();
+
+    if (claimed.tenant) {
+        await notificationService.notify(claimed.tenant, {
+            type: 'rent_payment_recorded',
+            title: 'Rent payment recorded',
+            body: `${rentConfig.CURRENCY} ${value} received for ${claimed.period}. Receipt ${payment.receiptNumber}.`,
+            data: { chargeId: claimed._id, paymentId: payment._id, tenancyId: claimed.tenancy }
+        });
+    }
+
+    return { payment, charge: claimed };
+};
+
+/**
+ * Extend schedules of active tenancies and flag overdue charges (scheduled job)
+ * @returns {Promise<object>} { created, overdue }
+ */
+const runSweep = async () => {
+    let created = 0;
+
+    const tenancies = await Tenancy.find({ status: 'active' });
+    for (const tenancy of tenancies) {
+        created += await generateSchedule(tenancy);
+    }
+
+    const overdueCharges = await RentCharge.find({
+        ...RentCharge.overdueFilter(),
+        overdueNotifiedAt: null
+    }).populate('property', 'title');
+
+    for (const charge of overdueCharges) {
+        const title = charge.property ? charge.property.title : 'your rental';
+
+        if (charge.tenant) {
+            await notificationService.notify(charge.tenant, {
+                type: 'rent_overdue',
+                title: 'Rent overdue',
+                body: `Rent for "${title}" (${charge.period}) is overdue. Outstanding: ${rentConfig.CURRENCY} ${charge.balance}.`,
+                data: { chargeId: charge._id, tenancyId: charge.tenancy }
+            });
+        }
+
+        await notificationService.notify(charge.owner, {
+            type: 'rent_overdue',
+            title: 'Rent overdue',
+            body: `Rent for "${title}" (${charge.period}) is overdue. Outstanding: ${rentConfig.CURRENCY} ${charge.balance}.`,
+            data: { chargeId: charge._id, tenancyId: charge.tenancy }
+        });
+
+        await RentCharge.updateOne({ _id: charge._id }, { overdueNotifiedAt: Date.now() });
+    }
+
+    return { created, overdue: overdueCharges.length };
+};
+
+module.exports = {
+    generateSchedule,
+    trimSchedule,
+    summarize,
+    setUtilityAmounts,
+    recordPayment,
+    runSweep,
+    dueDateFor
+};
@@ -0,0 +1,129 @@
+const Report = require('../models/Report');
+const Property = require('../models/Property');
+const moderationConfig = require('../config/moderation');
+const notificationService = require('./notification.service');
+
+const OPEN_STATUSES = ['open', 'reviewing'];
+
+/**
+ * Hide a listing pending review once enough distinct users have reported it
+ * Sends it back to the moderation queue instead of unlisting it
+ * @param {object} property - Reported property document
+ * @returns {Promise<boolean>} True if the listing was hidden by this call
+ */
+const autoHideIfNeeded = async (property) => {
+    const threshold = moderationConfig.reportAutoHideThreshold;
+    if (threshold <= 0) return false;
+
+    const openReports = await Report.countDocuments({
+        targetType: 'Property',
+        target: property._id,
+        status: { $in: OPEN_STATUSES }
+    });
+
+    if (openReports < threshold) return false;
+
+    // Atomic so concurrent reports hide (and notify) once
+    const hidden = await Property.findOneAndUpdate(
+        { _id: property._id, moderationStatus: { $in: ['approved', null] } },
+        {
+            moderationStatus: 'pending_review',
+            submittedAt: Date.now(),
+            hiddenByReportsAt: Date.now()
+        },
+        { new: true }
+    );
+
+    if (!hidden) return false;
+
+    await notificationService.notify(hidden.owner._id, {
+        type: 'listing_hidden',
+        title: 'Your listing is under review',
+        body: `"${hidden.title}" received several reports and is hidden until our team reviews it.`,
+        data: { propertyId: hidden._id }
+    });
+
+    return true;
+};
+
+/**
+ * File a report against a listing or user
+ * @param {object} options - { reporter, targetType, target, reason, details }
+ * @returns {Promise<object>} { report, hidden }
+ */
+const createReport = async ({ reporter, targetType, target, reason, details }) => {
+    const report = await Report.create({
+        reporter: reporter._id,
+        targetType,
+        target: target._id,
+        reason,
+        details
+    });
+
+    let hidden = false;
+
+    if (targetType === 'Property') {
+        await Property.updateOne({ _id: target._id }, { $inc: { reportCount: 1 } });
+        hidden = await autoHideIfNeeded(target);
+    }
+
+    return { report, hidden };
+};
+
+/**
+ * Resolve a single report and tell the reporter the outcome
+ * @param {object} report - Report document
+ * @param {object} outcome - { status, resolution, resolvedBy }
+ * @returns {Promise<object>} Updated report
+ */
+const resolveReport = async (report, { status, resolution, resolvedBy }) => {
+    report.status = status;
+    report.resolution = resolution;
+
+    if (!OPEN_STATUSES.includes(status)) {
+        report.resolvedBy = resolvedBy;
+        report.resolvedAt = Date.now();
+    }
+
+    await report.save();
+
+    if (!OPEN_STATUSES.includes(status)) {
+        await notificationService.notify(report.reporter, {
+            type: 'report_resolved',
+            title: 'Update on your report',
+            body: status === 'action_taken'
+                ? 'Thanks for your report. We have taken action.'
+                : 'Thanks for your report. We reviewed it and found no violation.',
+            data: { reportId: report._id, status }
+        });
+    }
+
+    return report;
+};
+
+/**
+ * Resolve every open report for a target (e.g. when a moderator decides on a listing)
+ * @param {string} targetType - 'Property' or 'User'
+ * @param {ObjectId} targetId - Target ID
+ * @param {object} outcome - { status, resolution, resolvedBy }
+ * @returns {Promise<number>} Number of reports resolved
+ */
+const resolveReportsForTarget = async (targetType, targetId, outcome) => {
+    const reports = await Report.find({
+        targetType,
+        target: targetId,
+        status: { $in: OPEN_STATUSES }
+    });
+
+    for (const report of reports) {
+        await resolveReport(report, outcome);
+    }
+
+    return reports.length;
+};
+
+module.exports = {
+    createReport,
+    resolveReport,
+    resolveReportsForTarget
+};
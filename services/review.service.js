@@ -0,0 +1,52 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Tenancy = require('../models/Tenancy');
+const Viewing = require('../models/Viewing');
+
+/**
+ * Check whether a tenant has actually dealt with an owner and may review them
+ * A tenant qualifies if they rented from the owner, attended a viewing the owner confirmed, or had a
+ * two-way conversation (the owner replied) - a single unanswered message is not enough
+ * @param {ObjectId} tenantId - Reviewer user ID
+ * @param {ObjectId} ownerId - Owner user ID
+ * @returns {Promise<object>} { eligible, basis, propertyId }
+ */
+const getEligibility = async (tenantId, ownerId) => {
+    const tenancy = await Tenancy.findOne({ tenant: tenantId, owner: ownerId })
+        .sort({ startDate: -1 })
+        .select('property');
+
+    if (tenancy) {
+        return { eligible: true, basis: 'tenancy', propertyId: tenancy.property };
+    }
+
+    const viewing = await Viewing.findOne({ tenant: tenantId, owner: ownerId, status: 'attended' })
+        .sort({ updatedAt: -1 })
+        .select('property');
+
+    if (viewing) {
+        return { eligible: true, basis: 'viewing', propertyId: viewing.property };
+    }
+
+    const conversations = await Conversation.find({
+        participants: { $all: [tenantId, ownerId] }
+    }).select('_id propertyId');
+
+    for (const conversation of conversations) {
+        const senders = await Message.distinct('sender', {
+            conversationId: conversation._id,
+            sender: { $in: [tenantId, ownerId] },
+            isSystemMessage: { $ne: true }
+        });
+
+        if (senders.length === 2) {
+            return { eligible: true, basis: 'conversation', propertyId: conversation.propertyId || null };
+        }
+    }
+
+    return { eligible: false, basis: null, propertyId: null };
+};
+
+module.exports = {
+    getEligibility
+};
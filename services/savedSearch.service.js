@@ -0,0 +1,83 @@
+const Property = require('../models/Property');
+const SavedSearch = require('../models/SavedSearch');
+const SearchAlert = require('../models/SearchAlert');
+const notificationService = require('./notification.service');
+const { buildPropertyFilter } = require('../utils/propertyFilters');
+
+/**
+ * Check whether a property matches a saved search
+ * Runs the same filter GET /api/properties would build, scoped to this property
+ * @param {object} property - Property document
+ * @param {object} savedSearch - SavedSearch document
+ * @returns {Promise<boolean>} True if the property matches
+ */
+const matchesSavedSearch = async (property, savedSearch) => {
+    const filter = buildPropertyFilter(savedSearch.toQueryParams());
+    const match = await Property.exists({ ...filter, _id: property._id });
+    return !!match;
+};
+
+/**
+ * Find saved searches matching a new or updated listing and alert their owners
+ * A SearchAlert is recorded per match so each listing is alerted at most once per search
+ * @param {object} property - Property document that was created or updated
+ * @param {string} trigger - 'created' or 'updated'
+ * @returns {Promise<number>} Number of alerts delivered
+ */
+const processListing = async (property, trigger = 'created') => {
+    if (!property.isActive || property.status !== 'available') {
+        return 0;
+    }
+
+    const ownerId = property.owner._id || property.owner;
+
+    // Narrow down candidates cheaply before running the full filter per search
+    const candidates = await SavedSearch.find({
+        alertsEnabled: true,
+        user: { $ne: ownerId },
+        // City is stored canonical, or as a gazetteer ID
+        'filters.city': { $in: [null, '', property.location.city, ...(property.location.locationIds || [])] }
+    });
+
+    let delivered = 0;
+
+    for (const savedSearch of candidates) {
+        const isMatch = await matchesSavedSearch(property, savedSearch);
+        if (!isMatch) continue;
+
+        try {
+            await SearchAlert.create({
+                savedSearch: savedSearch._id,
+                user: savedSearch.user,
+                property: property._id,
+                trigger
+            });
+        } catch (error) {
+            // Duplicate key - this listing was already alerted for this search
+            if (error.code === 11000) continue;
+            throw error;
+        }
+
+        await notificationService.notify(savedSearch.user, {
+            type: 'search_alert',
+            title: `New match for "${savedSearch.name}"`,
+            body: `${property.title} - Rs. ${property.rent}/month in ${property.location.area}, ${property.location.city}`,
+            data: {
+                savedSearchId: savedSearch._id,
+                propertyId: property._id
+            }
+        });
+
+        savedSearch.lastAlertedAt = Date.now();
+        await savedSearch.save();
+
+        delivered += 1;
+    }
+
+    return delivered;
+};
+
+module.exports = {
+    matchesSavedSearch,
+    processListing
+};
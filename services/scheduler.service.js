@@ -0,0 +1,63 @@
+const jobs = [];
+
+/**
+ * Register a recurring background job
+ * Runs in-process on an interval; a run is skipped if the previous one is still going
+ * @param {string} name - Job name (for logs)
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} task - Async function to run
+ */
+const schedule = (name, intervalMs, task) => {
+    jobs.push({ name, intervalMs, task, running: false, timer: null });
+};
+
+/**
+ * Run a job once, guarding against overlapping runs
+ * @param {object} job - Registered job
+ */
+const runJob = async (job) => {
+    if (job.running) return;
+
+    job.running = true;
+    try {
+        const result = await job.task();
+        console.log(`⏱️  [SCHEDULER] ${job.name} finished:`, result);
+    } catch (error) {
+        console.error(`❌ [SCHEDULER] ${job.name} failed:`, error);
+    } finally {
+        job.running = false;
+    }
+};
+
+/**
+ * Start all registered jobs (call once the database is connected)
+ */
+const start = () => {
+    if (process.env.DISABLE_SCHEDULER === 'true') {
+        console.log('⏱️  [SCHEDULER] Disabled via DISABLE_SCHEDULER');
+        return;
+    }
+
+    jobs.forEach(job => {
+        if (job.timer) return;
+        runJob(job);
+        job.timer = setInterval(() => runJob(job), job.intervalMs);
+        job.timer.unref();
+    });
+};
+
+/**
+ * Stop all running jobs
+ */
+const stop = () => {
+    jobs.forEach(job => {
+        clearInterval(job.timer);
+        job.timer = null;
+    });
+};
+
+module.exports = {
+    schedule,
+    start,
+    stop
+};
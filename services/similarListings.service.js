@@ -0,0 +1,165 @@
+const Property = require('../models/Property');
+const createCache = require('../utils/ttlCache');
+const geo = require('../utils/geo');
+const { visibleListingFilter } = require('../utils/propertyFilters');
+
+// Listings within this distance count as nearby
+const NEARBY_METERS = 3000;
+
+// Rent within this fraction either side counts as the same band
+const RENT_BAND = 0.3;
+
+// Listings scored per request
+const CANDIDATE_POOL = 100;
+
+// Types a tenant looking at one would also consider
+const SIMILAR_TYPES = {
+    room: ['room', 'hostel'],
+    hostel: ['hostel', 'room'],
+    flat: ['flat', 'apartment'],
+    apartment: ['apartment', 'flat'],
+    house: ['house', 'flat']
+};
+
+// Results are cached briefly per property - detail pages are hit far more often than listings change
+const cache = createCache({
+    ttlMs: (parseInt(process.env.SIMILAR_LISTINGS_CACHE_SECONDS, 10) || 300) * 1000,
+    maxEntries: 2000
+});
+
+/**
+ * Names of the amenities a listing has
+ * @param {object} property - Property document
+ * @returns {Set<string>} Amenity keys that are true
+ */
+const amenitySet = (property) => {
+    const amenities = property.amenities || {};
+    return new Set(Object.keys(amenities).filter(key => amenities[key] === true));
+};
+
+/**
+ * Share of amenities two listings have in common (Jaccard index)
+ * @param {Set<string>} a - Amenities
+ * @param {Set<string>} b - Amenities
+ * @returns {number} 0-1 (1 when neither lists any)
+ */
+const amenityOverlap = (a, b) => {
+    if (a.size === 0 && b.size === 0) return 1;
+
+    let shared = 0;
+    a.forEach(amenity => {
+        if (b.has(amenity)) shared++;
+    });
+
+    return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Score how similar a candidate is to the listing being viewed
+ * @param {object} property - Listing being viewed
+ * @param {object} candidate - Other listing
+ * @returns {object} { score, distanceMeters }
+ */
+const scoreSimilarity = (property, candidate) => {
+    const type = candidate.propertyType === property.propertyType ? 1 : 0.5;
+
+    const rent = Math.max(0, 1 - Math.abs(candidate.rent - property.rent) / (property.rent * RENT_BAND || 1));
+
+    let location;
+    let distanceMeters;
+    if (geo.hasCoordinates(property.location) && geo.hasCoordinates(candidate.location)) {
+        distanceMeters = Math.round(geo.distanceMeters(property.location.coordinates, candidate.location.coordinates));
+        location = Math.max(0, 1 - distanceMeters / NEARBY_METERS);
+    } else {
+        location = candidate.location.area.toLowerCase() === property.location.area.toLowerCase() ? 1 : 0.3;
+    }
+
+    let rooms = 0.5; // Unknown on either side
+    if (property.numberOfRooms != null && candidate.numberOfRooms != null) {
+        const difference = Math.abs(property.numberOfRooms - candidate.numberOfRooms);
+        rooms = difference === 0 ? 1 : difference === 1 ? 0.5 : 0;
+    }
+
+    const amenities = amenityOverlap(amenitySet(property), amenitySet(candidate));
+
+    const score = 0.2 * type + 0.25 * rent + 0.25 * location + 0.15 * rooms + 0.15 * amenities;
+
+    return { score: Math.round(score * 100) / 100, distanceMeters };
+};
+
+/**
+ * Key that is the same for an owner's copies of one listing
+ * @param {object} property - Property document
+ * @returns {string} Owner + type + area + rent
+ */
+const repostKey = (property) => [
+    (property.owner._id || property.owner).toString(),
+    property.propertyType,
+    property.location.area.toLowerCase(),
+    property.rent
+].join('|');
+
+/**
+ * Available listings similar to a listing, most similar first
+ * Nearby (same coordinates or area), similar type and rent band, scored on rent, distance,
+ * rooms and amenities. Known duplicates of the listing and an owner's repeated posts are left out.
+ * @param {string} propertyId - Listing being viewed
+ * @param {object} options - { limit }
+ * @returns {Promise<Array<object>|null>} Listings with similarity { score, distanceMeters }, or null if not found / not public
+ */
+const getSimilarListings = async (propertyId, { limit = 6 } = {}) => {
+    const cacheKey = `${propertyId}:${limit}`;
+    const cached = cache.get(cacheKey);
+    if (cached) return cached;
+
+    const property = await Property.findById(propertyId).select('+duplicateCheck');
+    if (!property || !property.isPubliclyVisible()) return null;
+
+    const duplicates = (property.duplicateCheck?.matches || []).map(match => match.property);
+
+    const nearby = [{ 'location.city': property.location.city, 'location.area': property.location.area }];
+    if (geo.hasCoordinates(property.location)) {
+        nearby.push({ 'location.coordinates': geo.withinRadius(property.location.coordinates, NEARBY_METERS) });
+    }
+
+    const candidates = await Property.find({
+        ...visibleListingFilter(),
+        status: 'available',
+        _id: { $nin: [property._id, ...duplicates] },
+        propertyType: { $in: SIMILAR_TYPES[property.propertyType] || [property.propertyType] },
+        rent: {
+            $gte: property.rent * (1 - RENT_BAND),
+            $lte: property.rent * (1 + RENT_BAND)
+        },
+        $or: nearby
+    })
+        .sort('-createdAt')
+        .limit(CANDIDATE_POOL);
+
+    const ranked = candidates
+        .map(candidate => ({ candidate, ...scoreSimilarity(property, candidate) }))
+        .sort((a, b) => b.score - a.score);
+
+    // Keep only the best-scoring copy when an owner posted the same place several times
+    const seen = new Set([repostKey(property)]);
+    const results = [];
+
+    for (const { candidate, score, distanceMeters } of ranked) {
+        const key = repostKey(candidate);
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        results.push({
+            ...candidate.getSummary(),
+            similarity: { score, distanceMeters }
+        });
+
+        if (results.length === limit) break;
+    }
+
+    return cache.set(cacheKey, results);
+};
+
+module.exports = {
+    getSimilarListings
+};
@@ -0,0 +1,105 @@
+const { cloudinary, uploadToCloudinary, deleteFromCloudinary } = require('../../config/cloudinary');
+const { fetchBuffer, notStoredError } = require('./helpers');
+
+/**
+ * Cloudinary storage driver
+ * Images arrive already resized by the processing pipeline and are stored as-is;
+ * documents are stored as private (authenticated) raw files, reachable only through signed URLs
+ */
+const name = 'cloudinary';
+
+/**
+ * Parse a Cloudinary delivery URL
+ * Example: https://res.cloudinary.com/demo/image/upload/v1234567890/gharbeti/properties/abc123.jpg
+ * @param {string} url - Cloudinary URL
+ * @returns {object} { publicId, resourceType, deliveryType, format }
+ */
+const parseUrl = (url) => {
+    const match = url.match(/\/(image|raw|video)\/(upload|authenticated|private)\/(?:s--[^/]+--\/)?(?:v\d+\/)?(.+)$/);
+
+    if (!match) {
+        // Fall back to the legacy folder/filename layout
+        const parts = url.split('/');
+        const filename = parts[parts.length - 1].split('.')[0];
+        return {
+            publicId: `${parts.slice(-3, -1).join('/')}/${filename}`,
+            resourceType: 'image',
+            deliveryType: 'upload',
+            format: null
+        };
+    }
+
+    const [, resourceType, deliveryType, path] = match;
+    const dot = path.lastIndexOf('.');
+
+    // Raw files keep their extension as part of the public ID
+    if (resourceType === 'raw' || dot === -1) {
+        return { publicId: path, resourceType, deliveryType, format: dot === -1 ? null : path.slice(dot + 1) };
+    }
+
+    return { publicId: path.slice(0, dot), resourceType, deliveryType, format: path.slice(dot + 1) };
+};
+
+const upload = async (buffer, { folder, mimeType = 'image/jpeg', kind = 'image' }) => {
+    const dataURI = `data:${mimeType};base64,` + Buffer.from(buffer).toString('base64');
+    const isDocument = kind === 'document';
+    const result = await uploadToCloudinary(dataURI, folder, {
+        resourceType: isDocument ? 'raw' : 'image',
+        type: isDocument ? 'authenticated' : 'upload',
+        transform: false
+    });
+
+    return { url: result.url, key: result.publicId };
+};
+
+const remove = async (url) => {
+    const { publicId, resourceType, deliveryType } = parseUrl(url);
+
+    const result = resourceType === 'image' && deliveryType === 'upload'
+        ? await deleteFromCloudinary(publicId)
+        : await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type: deliveryType });
+
+    return { deleted: result.result === 'ok' };
+};
+
+const getSignedUrl = async (url, { expiresIn }) => {
+    const { publicId, resourceType, deliveryType, format } = parseUrl(url);
+
+    return cloudinary.utils.private_download_url(publicId, format || '', {
+        resource_type: resourceType,
+        type: deliveryType,
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn
+    });
+};
+
+/**
+ * Whether a URL is a delivery URL of the configured Cloudinary account
+ * @param {string} url - File URL
+ * @returns {boolean}
+ */
+const isOwnUrl = (url) => {
+    try {
+        const { protocol, hostname, pathname } = new URL(url);
+        return protocol === 'https:' &&
+            hostname === 'res.cloudinary.com' &&
+            pathname.startsWith(`/${cloudinary.config().cloud_name}/`);
+    } catch (error) {
+        return false;
+    }
+};
+
+const download = async (url) => {
+    if (!isOwnUrl(url)) throw notStoredError(url);
+
+    // Private documents can only be fetched through a signed link
+    const { deliveryType } = parseUrl(url);
+    return fetchBuffer(deliveryType === 'upload' ? url : await getSignedUrl(url, { expiresIn: 60 }));
+};
+
+module.exports = {
+    name,
+    upload,
+    delete: remove,
+    getSignedUrl,
+    download
+};
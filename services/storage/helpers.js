@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+};
+
+const IMAGE_EXTENSIONS = new Set(
+  Object.keys(EXTENSIONS).filter(mimeType => mimeType.startsWith('image/')).map(mimeType => EXTENSIONS[mimeType])
+);
+
+/**
+ * Whether a stored key is a document (e.g. a lease PDF) rather than a listing image
+ * Documents are private and only ever served through signed URLs
+ * @param {string} key - Storage key
+ * @returns {boolean} True for anything that isn't an image
+ */
+const isDocumentKey = (key) => {
+  const extension = String(key).split('?')[0].split('.').pop().toLowerCase();
+  return !IMAGE_EXTENSIONS.has(extension);
+};
+
+/**
+ * Build a unique storage key for a new file
+ * @param {string} folder - Folder (e.g. gharbeti/properties)
+ * @param {string} mimeType - MIME type of the file
+ * @returns {string} e.g. gharbeti/properties/1700000000000-3f9a1c2b7d4e.jpg
+ */
+const buildKey = (folder, mimeType) => {
+  const extension = EXTENSIONS[mimeType] || 'bin';
+  const id = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+  return `${folder.replace(/^\/|\/$/g, '')}/${id}.${extension}`;
+};
+
+/**
+ * Download a file from the storage provider over HTTPS
+ * Only call with URLs a driver has checked belong to its own storage - never with user-supplied URLs
+ * @param {string} url - Absolute file URL
+ * @returns {Promise<Buffer>} File contents
+ */
+const fetchBuffer = async (url) => {
+  // Redirects could lead anywhere, including internal hosts
+  const response = await fetch(url, { signal: AbortSignal.timeout(15000), redirect: 'error' });
+
+  if (!response.ok) {
+    throw new Error(`Download failed (${response.status}): ${url}`);
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+};
+
+/**
+ * Error for a download of a URL that isn't in the configured storage
+ * @param {string} url - Requested URL
+ * @returns {Error} Error to throw
+ */
+const notStoredError = (url) => new Error(`Not a file in this storage, refusing to download: ${url}`);
+
+module.exports = {
+  buildKey,
+  notStoredError,
+  isDocumentKey,
+  fetchBuffer
+};
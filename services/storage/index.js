@@ -0,0 +1,62 @@
+const storageConfig = require('../../config/storage');
+
+/**
+ * Media storage driver interface
+ *
+ * Stored files are referenced by their URL everywhere in the app (Property.images,
+ * Lease.fileUrl...), so drivers take and return URLs rather than internal keys.
+ *
+ * @typedef {object} StorageDriver
+ * @property {string} name - Driver identifier (e.g. 'cloudinary', 'local', 's3')
+ * @property {Function} upload - async (buffer, { folder, mimeType, kind: 'image'|'document' })
+ *   => { url, key }
+ * @property {Function} delete - async (url) => { deleted: boolean }
+ *   Deleting a file that no longer exists is not an error
+ * @property {Function} getSignedUrl - async (url, { expiresIn }) => string
+ *   Time-limited URL for private access
+ * @property {Function} download - async (url) => Buffer
+ *   File contents; rejects URLs that aren't in this storage (never fetches arbitrary hosts)
+ */
+
+// Drivers are loaded on first use so unused SDKs aren't required at startup
+const driverLoaders = {
+  cloudinary: () => require('./cloudinary.driver'),
+  local: () => require('./local.driver'),
+  s3: () => require('./s3.driver')
+};
+
+const loaded = {};
+
+/**
+ * Register a storage driver
+ * @param {string} name - Driver name
+ * @param {Function} loader - Returns a StorageDriver
+ */
+const registerDriver = (name, loader) => {
+  driverLoaders[name] = loader;
+  delete loaded[name];
+};
+
+/**
+ * Get a storage driver (the configured one by default)
+ * @param {string} name - Driver name
+ * @returns {StorageDriver} Driver
+ */
+const getStorage = (name = storageConfig.driver) => {
+  if (!loaded[name]) {
+    const loader = driverLoaders[name];
+
+    if (!loader) {
+      throw new Error(`Unknown storage driver "${name}". Use one of: ${Object.keys(driverLoaders).join(', ')}`);
+    }
+
+    loaded[name] = loader();
+  }
+
+  return loaded[name];
+};
+
+module.exports = {
+  registerDriver,
+  getStorage
+};
@@ -0,0 +1,109 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const storageConfig = require('../../config/storage');
+const { buildKey, notStoredError } = require('./helpers');
+
+/**
+ * Local filesystem storage driver
+ * For offline development, tests and on-prem deployments.
+ * Files are written under LOCAL_STORAGE_DIR and served by the API at /uploads.
+ */
+const name = 'local';
+const { directory, publicPath, baseUrl, signingSecret } = storageConfig.local;
+
+/**
+ * Map a stored URL back to its key
+ * @param {string} url - Stored file URL
+ * @returns {string|null} Key relative to the storage directory, or null if not ours
+ */
+const keyFromUrl = (url) => {
+    const pathname = url.startsWith('http') ? new URL(url).pathname : url.split('?')[0];
+    if (!pathname.startsWith(`${publicPath}/`)) return null;
+
+    let key;
+    try {
+        key = decodeURIComponent(pathname.slice(publicPath.length + 1));
+    } catch (error) {
+        // Malformed percent escape - not a key we wrote
+        return null;
+    }
+
+    // Never resolve outside the storage directory
+    const resolved = path.resolve(directory, key);
+    if (!resolved.startsWith(directory + path.sep)) return null;
+
+    return key;
+};
+
+/**
+ * Signature for a key and expiry time
+ * @param {string} key - File key
+ * @param {number} expires - Expiry (unix seconds)
+ * @returns {string} Hex HMAC
+ */
+const sign = (key, expires) => {
+    return crypto.createHmac('sha256', signingSecret || 'local-storage').update(`${key}:${expires}`).digest('hex');
+};
+
+const upload = async (buffer, { folder, mimeType = 'image/jpeg' }) => {
+    const key = buildKey(folder, mimeType);
+    const filePath = path.join(directory, key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return { url: `${baseUrl}${publicPath}/${key}`, key };
+};
+
+const remove = async (url) => {
+    const key = keyFromUrl(url);
+    if (!key) return { deleted: false };
+
+    try {
+        await fs.unlink(path.join(directory, key));
+        return { deleted: true };
+    } catch (error) {
+        if (error.code === 'ENOENT') return { deleted: false };
+        throw error;
+    }
+};
+
+const getSignedUrl = async (url, { expiresIn }) => {
+    const key = keyFromUrl(url);
+    if (!key) return url;
+
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${baseUrl}${publicPath}/${key}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+const download = async (url) => {
+    const key = keyFromUrl(url);
+    if (!key) throw notStoredError(url);
+
+    return fs.readFile(path.join(directory, key));
+};
+
+/**
+ * Check a request for a stored file carries a valid, unexpired signature
+ * @param {string} key - Requested file key
+ * @param {object} query - { expires, signature }
+ * @returns {boolean} True if valid
+ */
+const verifySignature = (key, { expires, signature } = {}) => {
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+
+    const expected = Buffer.from(sign(key, Number(expires)));
+    const given = Buffer.from(String(signature));
+
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+module.exports = {
+    name,
+    upload,
+    delete: remove,
+    getSignedUrl,
+    download,
+    verifySignature
+};
@@ -0,0 +1,92 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    DeleteObjectCommand,
+    GetObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl: presign } = require('@aws-sdk/s3-request-presigner');
+const storageConfig = require('../../config/storage');
+const { buildKey, notStoredError } = require('./helpers');
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO...)
+ */
+const name = 's3';
+const { endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, publicUrl } = storageConfig.s3;
+
+const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+});
+
+/**
+ * Base URL files are served from
+ * @returns {string} e.g. http://localhost:9000/gharbeti
+ */
+const baseUrl = () => {
+    if (publicUrl) return publicUrl;
+    if (endpoint) return `${endpoint.replace(/\/$/, '')}/${bucket}`;
+    return `https://${bucket}.s3.${region}.amazonaws.com`;
+};
+
+/**
+ * Map a stored URL back to its object key
+ * @param {string} url - Stored file URL
+ * @returns {string|null} Object key, or null if not in this bucket
+ */
+const keyFromUrl = (url) => {
+    const base = `${baseUrl()}/`;
+    if (!url.startsWith(base)) return null;
+    return decodeURIComponent(url.slice(base.length).split('?')[0]);
+};
+
+const upload = async (buffer, { folder, mimeType = 'image/jpeg' }) => {
+    if (!bucket) {
+        throw new Error('S3_BUCKET is not configured');
+    }
+
+    const key = buildKey(folder, mimeType);
+
+    await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: mimeType
+    }));
+
+    return { url: `${baseUrl()}/${key}`, key };
+};
+
+const remove = async (url) => {
+    const key = keyFromUrl(url);
+    if (!key) return { deleted: false };
+
+    // S3 deletes are idempotent - a missing key is not an error
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    return { deleted: true };
+};
+
+const getSignedUrl = async (url, { expiresIn }) => {
+    const key = keyFromUrl(url);
+    if (!key) return url;
+
+    return presign(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+};
+
+const download = async (url) => {
+    const key = keyFromUrl(url);
+    if (!key) throw notStoredError(url);
+
+    const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    return Buffer.from(await result.Body.transformToByteArray());
+};
+
+module.exports = {
+    name,
+    upload,
+    delete: remove,
+    getSignedUrl,
+    download
+};
@@ -0,0 +1,66 @@
+const StorageDeletion = require('../models/StorageDeletion');
+const { deleteImage } = require('../utils/imageUpload');
+
+// Give up after this many attempts and leave the entry as 'failed' for inspection
+const MAX_ATTEMPTS = 8;
+const BATCH_SIZE = 50;
+
+/**
+ * Queue files for removal from storage
+ * @param {Array<string>} urls - File URLs
+ * @param {string} reason - Why they were removed
+ * @returns {Promise<number>} Number of files queued
+ */
+const queueDeletion = async (urls, reason) => {
+    const list = (urls || []).filter(Boolean);
+    if (list.length === 0) return 0;
+
+    await StorageDeletion.insertMany(list.map(url => ({ url, reason })));
+    return list.length;
+};
+
+/**
+ * Try to delete queued files, backing off exponentially on failure (scheduled job)
+ * @returns {Promise<object>} { deleted, retrying, failed }
+ */
+const processQueue = async () => {
+    const entries = await StorageDeletion.find({
+        status: 'pending',
+        nextAttemptAt: { $lte: new Date() }
+    })
+        .sort({ nextAttemptAt: 1 })
+        .limit(BATCH_SIZE);
+
+    const summary = { deleted: 0, retrying: 0, failed: 0 };
+
+    for (const entry of entries) {
+        entry.attempts += 1;
+
+        try {
+            await deleteImage(entry.url);
+            entry.status = 'done';
+            entry.completedAt = Date.now();
+            summary.deleted += 1;
+        } catch (error) {
+            entry.lastError = error.message;
+
+            if (entry.attempts >= MAX_ATTEMPTS) {
+                entry.status = 'failed';
+                summary.failed += 1;
+            } else {
+                // 1, 2, 4, 8... minutes
+                entry.nextAttemptAt = new Date(Date.now() + Math.pow(2, entry.attempts - 1) * 60 * 1000);
+                summary.retrying += 1;
+            }
+        }
+
+        await entry.save();
+    }
+
+    return summary;
+};
+
+module.exports = {
+    queueDeletion,
+    processQueue
+};
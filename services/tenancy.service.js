@@ -0,0 +1,120 @@
+const Tenancy = require('../models/Tenancy');
+const notificationService = require('./notification.service');
+const rentService = require('./rent.service');
+const leaseService = require('./lease.service');
+const serviceError = require('../utils/serviceError');
+
+/**
+ * Mark a property rented and open a tenancy record for it
+ * The single place a listing becomes rented, so every path records who rented it
+ * @param {object} property - Property document
+ * @param {object} details - { tenant, application, startDate, endDate, rent, securityDeposit }
+ * @returns {Promise<object>} Created tenancy
+ */
+const markRented = async (property, details = {}) => {
+    const check = property.canChangeStatus('rented');
+    if (!check.allowed) {
+        throw serviceError(400, check.reason);
+    }
+
+    if (property.status === 'rented') {
+        throw serviceError(400, 'This property is already rented');
+    }
+
+    const ownerId = property.owner._id || property.owner;
+
+    if (details.tenant && details.tenant.toString() === ownerId.toString()) {
+        throw serviceError(400, 'You cannot rent your property to yourself');
+    }
+
+    const tenancy = new Tenancy({
+        property: property._id,
+        owner: ownerId,
+        tenant: details.tenant,
+        application: details.application,
+        startDate: details.startDate || Date.now(),
+        endDate: details.endDate,
+        rent: details.rent !== undefined ? details.rent : property.rent,
+        securityDeposit: details.securityDeposit !== undefined ? details.securityDeposit : property.securityDeposit
+    });
+
+    // Validate the terms before touching the listing
+    await tenancy.validate();
+
+    // Close anything left open (e.g. rented before tenancy records existed)
+    await closeActiveTenancy(property._id);
+
+    // Tenancy first, so a failed insert never leaves the listing rented without one
+    await tenancy.save();
+
+    property.status = 'rented';
+    try {
+        await property.save();
+    } catch (error) {
+        await Tenancy.deleteOne({ _id: tenancy._id });
+        throw error;
+    }
+
+    await rentService.generateSchedule(tenancy);
+
+    // Storage can be slow or down - renting shouldn't wait on the PDF
+    leaseService.generateLease(tenancy).catch(err => {
+        console.error('Lease generation failed:', err);
+    });
+
+    if (details.tenant && !details.application) {
+        await notificationService.notify(details.tenant, {
+            type: 'tenancy_started',
+            title: 'Tenancy recorded',
+            body: `You have been added as the tenant of "${property.title}".`,
+            data: { tenancyId: tenancy._id, propertyId: property._id }
+        });
+    }
+
+    return tenancy;
+};
+
+/**
+ * End the active tenancy of a property, if there is one
+ * @param {ObjectId} propertyId - Property ID
+ * @returns {Promise<object|null>} Closed tenancy or null
+ */
+const closeActiveTenancy = async (propertyId) => {
+    const tenancy = await Tenancy.findOneAndUpdate(
+        { property: propertyId, status: 'active' },
+        { status: 'ended', endedAt: Date.now() },
+        { new: true }
+    );
+
+    if (tenancy) {
+        await rentService.trimSchedule(tenancy);
+    }
+
+    return tenancy;
+};
+
+/**
+ * Mark a property available again and close its tenancy
+ * A listing that expired while rented becomes expired instead, so the owner can relist it
+ * @param {object} property - Property document
+ * @returns {Promise<object|null>} Closed tenancy or null
+ */
+const markAvailable = async (property) => {
+    const check = property.canChangeStatus('available');
+    if (!check.allowed) {
+        throw serviceError(400, check.reason);
+    }
+
+    const tenancy = await closeActiveTenancy(property._id);
+
+    property.status = property.isExpired() ? 'expired' : 'available';
+    await property.save();
+
+    return tenancy;
+};
+
+module.exports = {
+    markRented,
+    markAvailable,
+    closeActiveTenancy
+};
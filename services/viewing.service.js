@@ -0,0 +1,397 @@
+const ViewingSlot = require('../models/ViewingSlot');
+const Viewing = require('../models/Viewing');
+const viewingConfig = require('../config/viewings');
+const chatService = require('./chat.service');
+const notificationService = require('./notification.service');
+const serviceError = require('../utils/serviceError');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Format a date for messages (Nepal Time)
+ * @param {Date} date - Date to format
+ * @returns {string} e.g. "Sat, 12 Oct, 2:30 PM"
+ */
+const formatDateTime = (date) => {
+    return new Date(date).toLocaleString('en-US', {
+        timeZone: 'Asia/Kathmandu',
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+};
+
+/**
+ * Reminder offsets that are already due for a start time
+ * Used on booking so a viewing booked 2 hours ahead doesn't get a "24 hours" reminder
+ * @param {Date} startsAt - Viewing start time
+ * @returns {Array<number>} Hours that should be treated as already sent
+ */
+const dueReminders = (startsAt) => {
+    const msUntilStart = new Date(startsAt).getTime() - Date.now();
+    return viewingConfig.reminderHours.filter(hours => msUntilStart <= hours * HOUR);
+};
+
+/**
+ * Earliest start time that can still be booked
+ * @returns {Date} now + minimum notice
+ */
+const earliestBookable = () => new Date(Date.now() + viewingConfig.minNoticeMinutes * 60 * 1000);
+
+/**
+ * Post a booking update into the tenant/owner conversation about the property
+ * @param {object} viewing - Viewing document
+ * @param {ObjectId} actorId - User who made the change
+ * @param {string} content - Message text
+ */
+const postBookingMessage = async (viewing, actorId, content) => {
+    const { conversation } = await chatService.getOrCreateConversation(
+        viewing.tenant,
+        viewing.owner,
+        viewing.property._id || viewing.property
+    );
+
+    if (!viewing.conversation) {
+        viewing.conversation = conversation._id;
+        await viewing.save();
+    }
+
+    await chatService.postSystemMessage(conversation._id, actorId, content);
+};
+
+/**
+ * Publish availability slots for a property
+ * Rejects slots that overlap any of the owner's existing slots
+ * @param {object} property - Property document
+ * @param {Array<object>} slots - [{ startsAt, endsAt }]
+ * @returns {Promise<Array>} Created slots
+ */
+const createSlots = async (property, slots) => {
+    const ownerId = property.owner._id || property.owner;
+    const minStart = earliestBookable();
+
+    const parsed = slots
+        .map(slot => ({ startsAt: new Date(slot.startsAt), endsAt: new Date(slot.endsAt) }))
+        .sort((a, b) => a.startsAt - b.startsAt);
+
+    parsed.forEach((slot, index) => {
+        if (isNaN(slot.startsAt.getTime()) || isNaN(slot.endsAt.getTime()) || slot.endsAt <= slot.startsAt) {
+            throw serviceError(400, 'Each slot needs a valid startsAt before endsAt');
+        }
+        if (slot.startsAt < minStart) {
+            throw serviceError(400, `Slots must start at least ${viewingConfig.minNoticeMinutes} minutes from now`);
+        }
+        if (slot.endsAt - slot.startsAt > viewingConfig.maxSlotMinutes * 60 * 1000) {
+            throw serviceError(400, `Slots cannot be longer than ${viewingConfig.maxSlotMinutes} minutes`);
+        }
+        if (index > 0 && slot.startsAt < parsed[index - 1].endsAt) {
+            throw serviceError(400, 'Slots in the request overlap each other');
+        }
+    });
+
+    // The owner can't be in two viewings at once, even across properties
+    for (const slot of parsed) {
+        const overlap = await ViewingSlot.exists({
+            owner: ownerId,
+            status: { $ne: 'cancelled' },
+            startsAt: { $lt: slot.endsAt },
+            endsAt: { $gt: slot.startsAt }
+        });
+
+        if (overlap) {
+            throw serviceError(409, `You already have a slot overlapping ${formatDateTime(slot.startsAt)}`);
+        }
+    }
+
+    return ViewingSlot.insertMany(parsed.map(slot => ({
+        ...slot,
+        property: property._id,
+        owner: ownerId
+    })));
+};
+
+/**
+ * Atomically claim an open slot - the only way a slot becomes booked
+ * @param {ObjectId} slotId - Slot ID
+ * @param {object} filter - Extra conditions (e.g. same property)
+ * @returns {Promise<object>} Claimed slot
+ */
+const claimSlot = async (slotId, filter = {}) => {
+    const slot = await ViewingSlot.findOneAndUpdate(
+        { _id: slotId, status: 'open', startsAt: { $gte: earliestBookable() }, ...filter },
+        { status: 'booked' },
+        { new: true }
+    );
+
+    if (slot) return slot;
+
+    const existing = await ViewingSlot.findById(slotId);
+
+    if (!existing || existing.status === 'cancelled') {
+        throw serviceError(404, 'Viewing slot not found');
+    }
+    if (existing.status === 'booked') {
+        throw serviceError(409, 'This slot has just been booked by someone else');
+    }
+    throw serviceError(400, `Slots must be booked at least ${viewingConfig.minNoticeMinutes} minutes in advance`);
+};
+
+/**
+ * Return a slot to the open pool (or cancel it if it is in the past)
+ * @param {ObjectId} slotId - Slot ID
+ * @param {boolean} cancel - Cancel the slot instead of reopening it
+ */
+const releaseSlot = async (slotId, cancel = false) => {
+    const slot = await ViewingSlot.findById(slotId);
+    if (!slot) return;
+
+    slot.status = cancel || slot.startsAt < earliestBookable() ? 'cancelled' : 'open';
+    slot.viewing = undefined;
+    await slot.save();
+};
+
+/**
+ * Book a viewing slot for a tenant
+ * @param {ObjectId} slotId - Slot ID
+ * @param {object} tenant - Tenant user document
+ * @param {string} note - Optional note for the owner
+ * @returns {Promise<object>} Created viewing
+ */
+const bookSlot = async (slotId, tenant, note) => {
+    const target = await ViewingSlot.findById(slotId).populate('property', 'title isActive status moderationStatus');
+
+    if (!target || target.status === 'cancelled' || !target.property) {
+        throw serviceError(404, 'Viewing slot not found');
+    }
+    if (target.owner.toString() === tenant._id.toString()) {
+        throw serviceError(400, 'You cannot book a viewing of your own property');
+    }
+    // Drafts, listings in moderation and expired listings can't be viewed
+    if (!target.property.isPubliclyVisible() || target.property.status !== 'available') {
+        throw serviceError(400, 'This property is no longer available for viewings');
+    }
+
+    const existing = await Viewing.findOne({
+        property: target.property._id,
+        tenant: tenant._id,
+        status: 'booked',
+        startsAt: { $gt: new Date() }
+    });
+
+    if (existing) {
+        throw serviceError(400, 'You already have a viewing booked for this property. Reschedule it instead.');
+    }
+
+    const slot = await claimSlot(slotId);
+
+    let viewing;
+    try {
+        viewing = await Viewing.create({
+            slot: slot._id,
+            property: slot.property,
+            owner: slot.owner,
+            tenant: tenant._id,
+            startsAt: slot.startsAt,
+            endsAt: slot.endsAt,
+            note,
+            remindersSent: dueReminders(slot.startsAt)
+        });
+    } catch (error) {
+        await releaseSlot(slot._id);
+        if (error.code === 11000) {
+            throw serviceError(409, 'This slot has just been booked by someone else');
+        }
+        throw error;
+    }
+
+    slot.viewing = viewing._id;
+    await slot.save();
+
+    await postBookingMessage(
+        viewing,
+        tenant._id,
+        `📅 Viewing booked for ${formatDateTime(viewing.startsAt)} - "${target.property.title}"${note ? `\nNote: ${note}` : ''}`
+    );
+
+    await notificationService.notify(viewing.owner, {
+        type: 'viewing_booked',
+        title: 'New viewing booked',
+        body: `${tenant.name} booked a viewing of "${target.property.title}" on ${formatDateTime(viewing.startsAt)}.`,
+        data: { viewingId: viewing._id, propertyId: viewing.property }
+    });
+
+    return viewing;
+};
+
+/**
+ * Move a booking to another open slot of the same property
+ * The new slot is claimed before the old one is released, so the tenant never loses both
+ * @param {object} viewing - Viewing document (status booked)
+ * @param {ObjectId} newSlotId - Slot to move to
+ * @param {object} actor - User rescheduling (the tenant)
+ * @returns {Promise<object>} Updated viewing
+ */
+const rescheduleViewing = async (viewing, newSlotId, actor) => {
+    if (viewing.status !== 'booked') {
+        throw serviceError(400, `A ${viewing.status} viewing cannot be rescheduled`);
+    }
+    if (viewing.slot.toString() === newSlotId.toString()) {
+        throw serviceError(400, 'The viewing is already booked for this slot');
+    }
+
+    const newSlot = await claimSlot(newSlotId, { property: viewing.property });
+    const oldSlotId = viewing.slot;
+    const previousStart = viewing.startsAt;
+
+    viewing.slot = newSlot._id;
+    viewing.startsAt = newSlot.startsAt;
+    viewing.endsAt = newSlot.endsAt;
+    viewing.remindersSent = dueReminders(newSlot.startsAt);
+    viewing.rescheduleCount += 1;
+
+    try {
+        await viewing.save();
+    } catch (error) {
+        await releaseSlot(newSlot._id);
+        throw error;
+    }
+
+    newSlot.viewing = viewing._id;
+    await newSlot.save();
+    await releaseSlot(oldSlotId);
+
+    await postBookingMessage(
+        viewing,
+        actor._id,
+        `🔁 Viewing rescheduled from ${formatDateTime(previousStart)} to ${formatDateTime(viewing.startsAt)}`
+    );
+
+    await notificationService.notify(viewing.owner, {
+        type: 'viewing_rescheduled',
+        title: 'Viewing rescheduled',
+        body: `${actor.name} moved their viewing to ${formatDateTime(viewing.startsAt)}.`,
+        data: { viewingId: viewing._id, propertyId: viewing.property }
+    });
+
+    return viewing;
+};
+
+/**
+ * Cancel a booking
+ * Tenant cancellations reopen the slot; owner cancellations withdraw it
+ * @param {object} viewing - Viewing document
+ * @param {object} actor - User cancelling (tenant or owner)
+ * @param {string} reason - Optional reason
+ * @returns {Promise<object>} Updated viewing
+ */
+const cancelViewing = async (viewing, actor, reason) => {
+    if (viewing.status !== 'booked') {
+        throw serviceError(400, `This viewing is already ${viewing.status}`);
+    }
+
+    const cancelledByOwner = viewing.owner.toString() === actor._id.toString();
+
+    viewing.status = 'cancelled';
+    viewing.cancelledBy = actor._id;
+    viewing.cancelledAt = Date.now();
+    viewing.cancellationReason = reason;
+    await viewing.save();
+
+    await releaseSlot(viewing.slot, cancelledByOwner);
+
+    await postBookingMessage(
+        viewing,
+        actor._id,
+        `❌ Viewing on ${formatDateTime(viewing.startsAt)} was cancelled by ${cancelledByOwner ? 'the owner' : 'the tenant'}${reason ? `\nReason: ${reason}` : ''}`
+    );
+
+    await notificationService.notify(cancelledByOwner ? viewing.tenant : viewing.owner, {
+        type: 'viewing_cancelled',
+        title: 'Viewing cancelled',
+        body: `${actor.name} cancelled the viewing on ${formatDateTime(viewing.startsAt)}.`,
+        data: { viewingId: viewing._id, propertyId: viewing.property }
+    });
+
+    return viewing;
+};
+
+/**
+ * Owner confirms the tenant turned up
+ * Only attended viewings count as contact for reviews, so the tenant can't just book and stay away
+ * @param {object} viewing - Viewing document
+ * @returns {Promise<object>} Updated viewing
+ */
+const markAttended = async (viewing) => {
+    if (!['booked', 'expired'].includes(viewing.status)) {
+        throw serviceError(400, `A ${viewing.status} viewing cannot be marked attended`);
+    }
+    if (viewing.startsAt > new Date()) {
+        throw serviceError(400, 'A viewing can only be marked attended once it has started');
+    }
+
+    viewing.status = 'attended';
+    viewing.attendedAt = Date.now();
+    await viewing.save();
+
+    return viewing;
+};
+
+/**
+ * Send due reminders to both sides and expire past viewings the owner hasn't confirmed (scheduled job)
+ * @returns {Promise<object>} { reminded, expired }
+ */
+const sendReminders = async () => {
+    const now = new Date();
+    let reminded = 0;
+
+    for (const hours of viewingConfig.reminderHours) {
+        const viewings = await Viewing.find({
+            status: 'booked',
+            startsAt: { $gt: now, $lte: new Date(now.getTime() + hours * HOUR) },
+            remindersSent: { $ne: hours }
+        }).populate('property', 'title location');
+
+        for (const viewing of viewings) {
+            const when = formatDateTime(viewing.startsAt);
+            const title = viewing.property ? viewing.property.title : 'the property';
+            const data = { viewingId: viewing._id, propertyId: viewing.property && viewing.property._id };
+
+            await notificationService.notify(viewing.tenant, {
+                type: 'viewing_reminder',
+                title: 'Upcoming viewing',
+                body: `Reminder: your viewing of "${title}" is on ${when}.`,
+                data
+            });
+
+            await notificationService.notify(viewing.owner, {
+                type: 'viewing_reminder',
+                title: 'Upcoming viewing',
+                body: `Reminder: a tenant is viewing "${title}" on ${when}.`,
+                data
+            });
+
+            await Viewing.updateOne({ _id: viewing._id }, { $addToSet: { remindersSent: hours } });
+            reminded += 1;
+        }
+    }
+
+    // Unconfirmed past bookings - the owner can still mark them attended
+    const expired = await Viewing.updateMany(
+        { status: 'booked', endsAt: { $lt: now } },
+        { status: 'expired' }
+    );
+
+    return { reminded, expired: expired.modifiedCount };
+};
+
+module.exports = {
+    createSlots,
+    bookSlot,
+    rescheduleViewing,
+    cancelViewing,
+    markAttended,
+    sendReminders,
+    formatDateTime
+};
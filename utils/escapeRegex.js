@@ -0,0 +1,8 @@
+/**
+ * Escape user input for safe use inside a RegExp / $regex
+ * @param {string} text - Raw user input
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -0,0 +1,212 @@
+// Mean Earth radius used by MongoDB's spherical queries
+const EARTH_RADIUS_METERS = 6378100;
+
+/**
+ * Great-circle distance between two [lng, lat] points
+ * @param {Array<number>} a - [lng, lat]
+ * @param {Array<number>} b - [lng, lat]
+ * @returns {number} Distance in metres
+ */
+const distanceMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Check a location has usable [lng, lat] coordinates
+ * @param {object} location - Property.location
+ * @returns {boolean} True if coordinates are set
+ */
+const hasCoordinates = (location) => Array.isArray(location?.coordinates) && location.coordinates.length === 2;
+
+/**
+ * $geoWithin filter for a circle
+ * Unlike $near it doesn't sort, so it works with countDocuments, $or and custom sorts
+ * @param {Array<number>} center - [lng, lat]
+ * @param {number} radiusMeters - Radius in metres
+ * @returns {object} Filter for location.coordinates
+ */
+const withinRadius = (center, radiusMeters) => ({
+  $geoWithin: {
+    $centerSphere: [center, radiusMeters / EARTH_RADIUS_METERS]
+  }
+});
+
+/**
+ * $geoWithin filter for a map viewport
+ * Uses a GeoJSON polygon (index-backed); viewports 180° or wider fall back to a planar
+ * $box because a polygon that wide is ambiguous on a sphere
+ * @param {Array<number>} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {object} Filter for location.coordinates
+ */
+const withinBoundingBox = ([minLng, minLat, maxLng, maxLat]) => {
+  if (maxLng - minLng >= 180) {
+    return { $geoWithin: { $box: [[minLng, minLat], [maxLng, maxLat]] } };
+  }
+
+  return {
+    $geoWithin: {
+      $geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [minLng, minLat],
+          [maxLng, minLat],
+          [maxLng, maxLat],
+          [minLng, maxLat],
+          [minLng, minLat]
+        ]]
+      }
+    }
+  };
+};
+
+/**
+ * Parse a "minLng,minLat,maxLng,maxLat" string
+ * @param {string} value - Raw bbox
+ * @returns {Array<number>|null} [minLng, minLat, maxLng, maxLat], or null if invalid
+ */
+const parseBoundingBox = (value) => {
+  const parts = String(value || '').split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(Number.isNaN)) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) return null;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+
+  return parts;
+};
+
+// Most vertices accepted in a drawn search area
+const MAX_AREA_VERTICES = 1000;
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+/**
+ * Check whether segments p1-p2 and p3-p4 cross (touching at an end counts)
+ * @returns {boolean} True if they intersect
+ */
+const segmentsIntersect = (p1, p2, p3, p4) => {
+  const cross = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  const onSegment = (a, b, c) =>
+    Math.min(a[0], b[0]) <= c[0] && c[0] <= Math.max(a[0], b[0]) &&
+    Math.min(a[1], b[1]) <= c[1] && c[1] <= Math.max(a[1], b[1]);
+
+  const d1 = cross(p3, p4, p1);
+  const d2 = cross(p3, p4, p2);
+  const d3 = cross(p1, p2, p3);
+  const d4 = cross(p1, p2, p4);
+
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    return true;
+  }
+
+  return (d1 === 0 && onSegment(p3, p4, p1)) || (d2 === 0 && onSegment(p3, p4, p2)) ||
+    (d3 === 0 && onSegment(p1, p2, p3)) || (d4 === 0 && onSegment(p1, p2, p4));
+};
+
+/**
+ * Check a closed ring doesn't cross itself
+ * @param {Array<Array<number>>} ring - Closed ring of [lng, lat]
+ * @returns {boolean} True if two non-adjacent edges intersect
+ */
+const ringSelfIntersects = (ring) => {
+  const edges = ring.length - 1;
+
+  for (let i = 0; i < edges; i++) {
+    for (let j = i + 2; j < edges; j++) {
+      // The first and last edges share the closing point
+      if (i === 0 && j === edges - 1) continue;
+      if (segmentsIntersect(ring[i], ring[i + 1], ring[j], ring[j + 1])) return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Validate and tidy a drawn search area
+ * Repeated points are dropped and unclosed rings are closed (drawing tools often leave the last point off)
+ * @param {object} area - GeoJSON Polygon or MultiPolygon geometry
+ * @returns {object} { geometry } when valid, { error } otherwise
+ */
+const normalizeSearchArea = (area) => {
+  if (!area || typeof area !== 'object' || !['Polygon', 'MultiPolygon'].includes(area.type)) {
+    return { error: 'shape must be a GeoJSON Polygon or MultiPolygon' };
+  }
+
+  const polygons = area.type === 'Polygon' ? [area.coordinates] : area.coordinates;
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return { error: 'shape has no coordinates' };
+  }
+
+  let vertices = 0;
+  const closed = [];
+
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      return { error: 'Each polygon needs at least one ring' };
+    }
+
+    const closedRings = [];
+
+    for (const ring of rings) {
+      const valid = Array.isArray(ring) && ring.every(position =>
+        Array.isArray(position) && position.length >= 2 &&
+        Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+        Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90
+      );
+      if (!valid) {
+        return { error: 'Positions must be [longitude, latitude] within range' };
+      }
+
+      // Drop repeated points (double taps while drawing)
+      const positions = ring
+        .map(position => [position[0], position[1]])
+        .filter((position, index, all) => index === 0 || !samePosition(position, all[index - 1]));
+      if (positions.length > 0 && !samePosition(positions[0], positions[positions.length - 1])) {
+        positions.push(positions[0]);
+      }
+
+      if (positions.length < 4) {
+        return { error: 'Each ring needs at least three distinct points' };
+      }
+
+      vertices += positions.length;
+      if (vertices > MAX_AREA_VERTICES) {
+        return { error: `shape can have at most ${MAX_AREA_VERTICES} points` };
+      }
+
+      const lngs = positions.map(position => position[0]);
+      if (Math.max(...lngs) - Math.min(...lngs) >= 180) {
+        return { error: 'shape is too large' };
+      }
+
+      if (ringSelfIntersects(positions)) {
+        return { error: 'shape edges must not cross each other' };
+      }
+
+      closedRings.push(positions);
+    }
+
+    closed.push(closedRings);
+  }
+
+  return {
+    geometry: area.type === 'Polygon'
+      ? { type: 'Polygon', coordinates: closed[0] }
+      : { type: 'MultiPolygon', coordinates: closed }
+  };
+};
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  distanceMeters,
+  hasCoordinates,
+  withinRadius,
+  withinBoundingBox,
+  parseBoundingBox,
+  normalizeSearchArea
+};
@@ -0,0 +1,131 @@
+const sharp = require('sharp');
+const imageConfig = require('../config/images');
+const serviceError = require('./serviceError');
+
+const MIME_TYPES = {
+  webp: 'image/webp',
+  jpeg: 'image/jpeg'
+};
+
+/**
+ * Decode an uploaded image and check what it really is
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Promise<object>} sharp metadata
+ */
+const inspectImage = async (buffer) => {
+  let metadata;
+
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: imageConfig.maxInputPixels }).metadata();
+  } catch (error) {
+    throw serviceError(400, 'One of the files is not a valid image');
+  }
+
+  if (!imageConfig.acceptedFormats.includes(metadata.format)) {
+    throw serviceError(400, `Unsupported image format: ${metadata.format || 'unknown'}`);
+  }
+
+  return metadata;
+};
+
+/**
+ * Perceptual (difference) hash of an image
+ * Resized, recompressed or slightly cropped copies of a photo hash to nearby values,
+ * so reposted listing photos can be spotted with hammingDistance()
+ * @param {Buffer} buffer - Image contents (any format sharp can read)
+ * @returns {Promise<string>} 64-bit hash as 16 hex characters
+ */
+exports.perceptualHash = async (buffer) => {
+  // 9x8 greyscale thumbnail: each bit says whether a pixel is brighter than its right neighbour
+  const pixels = await sharp(buffer, { limitInputPixels: imageConfig.maxInputPixels })
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = '';
+  for (let row = 0; row < 8; row++) {
+    let nibble = 0;
+    for (let col = 0; col < 8; col++) {
+      const offset = row * 9 + col;
+      nibble = (nibble << 1) | (pixels[offset] > pixels[offset + 1] ? 1 : 0);
+      if (col % 4 === 3) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * Number of differing bits between two perceptual hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} 0 (identical) to 64
+ */
+exports.hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+};
+
+/**
+ * Split a perceptual hash into indexable bands, so near matches can be found with an exact lookup
+ * Two hashes within 7 bits of each other always share a band (there are 8), and most within 10 do
+ * @param {string} hash - 16 character hex hash
+ * @returns {Array<string>} e.g. ['0:a3', '1:f0', ...] - position-prefixed so bands only match in place
+ */
+exports.hashBands = (hash) => {
+  const bands = [];
+  for (let i = 0; i < hash.length; i += 2) {
+    bands.push(`${i / 2}:${hash.slice(i, i + 2)}`);
+  }
+  return bands;
+};
+
+/**
+ * Re-encode an uploaded image into the configured sizes
+ * Orientation is applied from EXIF and then all metadata (EXIF, GPS, ICC comments) is dropped,
+ * since sharp only keeps metadata when asked to with withMetadata()
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Promise<object>} { mimeType, width, height, hash, variants: { thumbnail: Buffer, card: Buffer, full: Buffer } }
+ */
+exports.processImage = async (buffer) => {
+  await inspectImage(buffer);
+
+  const { format, quality, sizes } = imageConfig;
+
+  // Decode once, auto-orient, then fan out to each size
+  const base = sharp(buffer, { limitInputPixels: imageConfig.maxInputPixels, failOn: 'error' }).rotate();
+
+  const variants = {};
+  let fullInfo;
+
+  for (const [name, size] of Object.entries(sizes)) {
+    const { data, info } = await base
+      .clone()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .toFormat(format, { quality })
+      .toBuffer({ resolveWithObject: true });
+
+    variants[name] = data;
+    if (name === 'full') fullInfo = info;
+  }
+
+  return {
+    mimeType: MIME_TYPES[format],
+    width: fullInfo.width,
+    height: fullInfo.height,
+    hash: await exports.perceptualHash(variants.full),
+    variants
+  };
+};
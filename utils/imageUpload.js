@@ -1,66 +1,128 @@
-const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinary');
+const { getStorage } = require('../services/storage');
+const storageConfig = require('../config/storage');
+const { processImage } = require('./imageProcessing');
 
 /**
- * Upload single image buffer to Cloudinary
+ * Process an image and upload every size to the configured storage (see STORAGE_DRIVER)
  * @param {Buffer} buffer - Image buffer from multer
- * @param {string} folder - Cloudinary folder name
- * @returns {Promise<string>} Cloudinary URL
+ * @param {string} folder - Storage folder name
+ * @returns {Promise<object>} { full, card, thumbnail, width, height, hash } - URLs, full-size dimensions and perceptual hash
+ */
+exports.uploadImageVariants = async (buffer, folder = 'gharbeti/properties') => {
+  const processed = await processImage(buffer);
+  const storage = getStorage();
+
+  const names = Object.keys(processed.variants);
+  const results = await Promise.allSettled(names.map(name =>
+    storage.upload(processed.variants[name], { folder, mimeType: processed.mimeType, kind: 'image' })
+  ));
+
+  const failed = results.find(result => result.status === 'rejected');
+  if (failed) {
+    // Don't leave half a set behind
+    await Promise.allSettled(results
+      .filter(result => result.status === 'fulfilled')
+      .map(result => storage.delete(result.value.url)));
+    throw failed.reason;
+  }
+
+  const urls = {};
+  names.forEach((name, index) => {
+    urls[name] = results[index].value.url;
+  });
+
+  return { ...urls, width: processed.width, height: processed.height, hash: processed.hash };
+};
+
+/**
+ * Upload single image buffer (processed and resized) and return the full-size URL
+ * @param {Buffer} buffer - Image buffer from multer
+ * @param {string} folder - Storage folder name
+ * @returns {Promise<string>} Stored image URL
  */
 exports.uploadImageBuffer = async (buffer, folder = 'gharbeti/properties') => {
   try {
-    // Convert buffer to base64 data URI
-    const b64 = Buffer.from(buffer).toString('base64');
-    const dataURI = 'data:image/jpeg;base64,' + b64;
-    
-    // Upload to Cloudinary
-    const result = await uploadToCloudinary(dataURI, folder);
-    
-    return result.url;
+    const variants = await this.uploadImageVariants(buffer, folder);
+
+    return variants.full;
   } catch (error) {
+    // Invalid images are the client's fault - pass the 400 through
+    if (error.statusCode) throw error;
     console.error('Image upload error:', error);
     throw new Error('Failed to upload image');
   }
 };
 
 /**
- * Upload multiple image buffers to Cloudinary
+ * Upload a document buffer (e.g. a generated PDF) to the configured storage
+ * @param {Buffer} buffer - File contents
+ * @param {string} folder - Storage folder name
+ * @param {string} mimeType - MIME type of the file
+ * @returns {Promise<string>} Stored file URL
+ */
+exports.uploadDocumentBuffer = async (buffer, folder = 'gharbeti/documents', mimeType = 'application/pdf') => {
+  try {
+    const result = await getStorage().upload(buffer, { folder, mimeType, kind: 'document' });
+
+    return result.url;
+  } catch (error) {
+    console.error('Document upload error:', error);
+    throw new Error('Failed to upload document');
+  }
+};
+
+/**
+ * Upload multiple image buffers with all their sizes
  * @param {Array} files - Array of multer file objects
- * @param {string} folder - Cloudinary folder name
- * @returns {Promise<Array<string>>} Array of Cloudinary URLs
+ * @param {string} folder - Storage folder name
+ * @returns {Promise<Array<object>>} Array of { full, card, thumbnail, width, height, hash }
  */
-exports.uploadMultipleImages = async (files, folder = 'gharbeti/properties') => {
+exports.uploadMultipleImageVariants = async (files, folder = 'gharbeti/properties') => {
   try {
     if (!files || files.length === 0) {
       throw new Error('No files provided for upload');
     }
 
-    const uploadPromises = files.map(file => 
-      this.uploadImageBuffer(file.buffer, folder)
-    );
+    // One at a time - decoding several large photos at once is memory hungry
+    const sets = [];
+    try {
+      for (const file of files) {
+        sets.push(await this.uploadImageVariants(file.buffer, folder));
+      }
+    } catch (error) {
+      // Remove the images that did make it so a failed request leaves nothing behind
+      const uploaded = sets.flatMap(set => [set.full, set.card, set.thumbnail]);
+      await Promise.allSettled(uploaded.map(url => getStorage().delete(url)));
+      throw error;
+    }
 
-    const urls = await Promise.all(uploadPromises);
-    return urls;
+    return sets;
   } catch (error) {
+    if (error.statusCode) throw error;
     console.error('Multiple images upload error:', error);
     throw new Error('Failed to upload images');
   }
 };
 
 /**
- * Delete image from Cloudinary using URL
- * @param {string} imageUrl - Cloudinary image URL
+ * Upload multiple image buffers
+ * @param {Array} files - Array of multer file objects
+ * @param {string} folder - Storage folder name
+ * @returns {Promise<Array<string>>} Array of stored (full-size) image URLs
+ */
+exports.uploadMultipleImages = async (files, folder = 'gharbeti/properties') => {
+  const sets = await this.uploadMultipleImageVariants(files, folder);
+  return sets.map(set => set.full);
+};
+
+/**
+ * Delete a stored image (or document) by URL
+ * @param {string} imageUrl - Stored file URL
  * @returns {Promise<object>} Delete result
  */
 exports.deleteImage = async (imageUrl) => {
   try {
-    // Extract public ID from URL
-    // Example URL: https://res.cloudinary.com/demo/image/upload/v1234567890/gharbeti/properties/abc123.jpg
-    const parts = imageUrl.split('/');
-    const filename = parts[parts.length - 1].split('.')[0]; // Get filename without extension
-    const folder = parts.slice(-3, -1).join('/'); // Get folder path
-    const publicId = `${folder}/${filename}`;
-
-    const result = await deleteFromCloudinary(publicId);
+    const result = await getStorage().delete(imageUrl);
     return result;
   } catch (error) {
     console.error('Image delete error:', error);
@@ -69,8 +131,18 @@ exports.deleteImage = async (imageUrl) => {
 };
 
 /**
- * Delete multiple images from Cloudinary
- * @param {Array<string>} imageUrls - Array of Cloudinary image URLs
+ * Get a time-limited URL for a stored file
+ * @param {string} fileUrl - Stored file URL
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {Promise<string>} Signed URL
+ */
+exports.getSignedFileUrl = async (fileUrl, expiresIn = storageConfig.signedUrlExpirySeconds) => {
+  return getStorage().getSignedUrl(fileUrl, { expiresIn });
+};
+
+/**
+ * Delete multiple stored images
+ * @param {Array<string>} imageUrls - Array of stored image URLs
  * @returns {Promise<Array>} Array of delete results
  */
 exports.deleteMultipleImages = async (imageUrls) => {
@@ -93,9 +165,9 @@ exports.deleteMultipleImages = async (imageUrls) => {
  * Replace old images with new ones
  * Uploads new images and deletes old ones
  * @param {Array} newFiles - Array of new multer file objects
- * @param {Array<string>} oldUrls - Array of old Cloudinary URLs to delete
- * @param {string} folder - Cloudinary folder name
- * @returns {Promise<Array<string>>} Array of new Cloudinary URLs
+ * @param {Array<string>} oldUrls - Array of old image URLs to delete
+ * @param {string} folder - Storage folder name
+ * @returns {Promise<Array<string>>} Array of new image URLs
  */
 exports.replaceImages = async (newFiles, oldUrls, folder = 'gharbeti/properties') => {
   try {
@@ -0,0 +1,37 @@
+/**
+ * Shared helpers for generated PDFs (receipts, leases)
+ */
+const CURRENCY = 'NPR';
+
+/**
+ * Format an amount for print
+ * @param {number} amount - Amount in NPR
+ * @returns {string} e.g. "NPR 25,000"
+ */
+exports.formatAmount = (amount) => `${CURRENCY} ${Number(amount || 0).toLocaleString('en-IN')}`;
+
+/**
+ * Format a date for print (Nepal Time)
+ * @param {Date} date - Date
+ * @returns {string} e.g. "12 Oct 2025"
+ */
+exports.formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  timeZone: 'Asia/Kathmandu',
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+/**
+ * Collect a finished PDFKit document into a Buffer
+ * Call after all content is written; the document is ended here
+ * @param {PDFDocument} doc - PDFKit document
+ * @returns {Promise<Buffer>} PDF contents
+ */
+exports.toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
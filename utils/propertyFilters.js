@@ -0,0 +1,139 @@
+const listingConfig = require('../config/listing');
+const gazetteer = require('../services/gazetteer.service');
+const escapeRegex = require('./escapeRegex');
+const { withinRadius } = require('./geo');
+
+const exactly = (text) => new RegExp(`^${escapeRegex(text.trim())}$`, 'i');
+const containing = (text) => new RegExp(escapeRegex(text.trim()), 'i');
+
+/**
+ * Filter for listings that may be shown publicly
+ * Listings created before moderation existed have no moderationStatus and stay visible
+ * Expired listings are hidden even before the expiry sweep marks them
+ * @returns {object} MongoDB filter object
+ */
+exports.visibleListingFilter = () => ({
+  isActive: true,
+  moderationStatus: { $in: ['approved', null] },
+  expiresAt: { $gt: new Date() }
+});
+
+/**
+ * Build a Property query filter from search parameters
+ * Shared by property search and saved search matching so both
+ * always agree on what a filter combination means
+ * @param {object} params - Search params (same shape as GET /api/properties query)
+ * @param {object} options - Filters that never come from query params
+ * @param {object} options.shape - GeoJSON geometry already checked by normalizeSearchArea
+ * @returns {object} MongoDB filter object
+ */
+exports.buildPropertyFilter = (params = {}, { shape } = {}) => {
+  const {
+    search,
+    city,
+    area,
+    locationId,
+    minRent,
+    maxRent,
+    propertyType,
+    amenities,
+    status,
+    lat,
+    lng,
+    radius,
+    reduced
+  } = params;
+
+  const filter = exports.visibleListingFilter();
+
+  // Only show available properties by default
+  if (status) {
+    filter.status = status;
+  } else {
+    filter.status = 'available';
+  }
+
+  // Text search (title, description, location)
+  if (search && search.trim()) {
+    filter.$text = { $search: search.trim() };
+  }
+
+  // Location filters
+  // Canonical IDs (city=municipality:kathmandu, locationId=district:lalitpur) match every listing inside
+  // that place; locationId may list several, any of which matches
+  const requiredPlaces = [city, area].filter(gazetteer.isLocationId);
+  const anyPlaces = locationId
+    ? [].concat(locationId).join(',').split(',').map(id => id.trim()).filter(Boolean)
+    : [];
+
+  if (requiredPlaces.length > 0 || anyPlaces.length > 0) {
+    filter['location.locationIds'] = {};
+    if (requiredPlaces.length > 0) filter['location.locationIds'].$all = requiredPlaces;
+    if (anyPlaces.length > 0) filter['location.locationIds'].$in = anyPlaces;
+  }
+
+  // Names are looked up in the gazetteer so "KTM", "kathmandu" and "Kathmandu" find the same listings
+  let cityPlace = null;
+  if (city && !gazetteer.isLocationId(city)) {
+    cityPlace = gazetteer.resolveCity(city);
+    const spellings = cityPlace ? gazetteer.spellingsOf(cityPlace) : [city];
+    filter['location.city'] = { $in: spellings.map(exactly) };
+  }
+
+  if (area && !gazetteer.isLocationId(area)) {
+    const areaPlace = gazetteer.resolve(area, { types: ['area'], prefer: cityPlace?.id });
+    const spellings = areaPlace ? gazetteer.spellingsOf(areaPlace) : [area];
+    filter['location.area'] = { $in: spellings.map(containing) };
+  }
+
+  // Geospatial Search (Radius in km)
+  // $geoWithin rather than $near: it works in counts, $or and $geoNear queries,
+  // and distance sorting is done by the search itself (see propertySearch.service)
+  if (lat && lng) {
+    const radiusInKm = parseFloat(radius) || 5; // Default 5km
+    const point = [parseFloat(lng), parseFloat(lat)];
+
+    filter['location.coordinates'] = withinRadius(point, radiusInKm * 1000);
+  }
+
+  // Inside a drawn shape (validated GeoJSON Polygon / MultiPolygon, see normalizeSearchArea)
+  // Replaces the radius search - both constrain location.coordinates
+  if (shape) {
+    filter['location.coordinates'] = {
+      $geoWithin: { $geometry: shape }
+    };
+  }
+
+  // Price range filter
+  if (minRent || maxRent) {
+    filter.rent = {};
+    if (minRent) filter.rent.$gte = parseInt(minRent);
+    if (maxRent) filter.rent.$lte = parseInt(maxRent);
+  }
+
+  // Rent lowered within the last few days
+  if (reduced === true || reduced === 'true') {
+    filter.lastPriceDropAt = {
+      $gte: new Date(Date.now() - listingConfig.recentlyReducedDays * listingConfig.DAY)
+    };
+  }
+
+  // Property type filter
+  if (propertyType && propertyType.length > 0) {
+    if (Array.isArray(propertyType)) {
+      filter.propertyType = { $in: propertyType };
+    } else {
+      filter.propertyType = propertyType;
+    }
+  }
+
+  // Amenities filter
+  if (amenities && amenities.length > 0) {
+    const amenitiesArray = Array.isArray(amenities) ? amenities : amenities.split(',');
+    amenitiesArray.forEach(amenity => {
+      filter[`amenities.${amenity}`] = true;
+    });
+  }
+
+  return filter;
+};
@@ -0,0 +1,14 @@
+/**
+ * Create an error carrying an HTTP status
+ * Services throw these and the global error handler returns them as-is
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Message shown to the client
+ * @returns {Error} Error with statusCode set
+ */
+const serviceError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = serviceError;
@@ -0,0 +1,40 @@
+/**
+ * Small in-memory cache with per-entry expiry
+ * Per process only - fine for short-lived, cheap-to-rebuild results
+ * @param {object} options - { ttlMs, maxEntries }
+ * @returns {object} { get, set, delete, clear }
+ */
+const createCache = ({ ttlMs, maxEntries = 1000 }) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    // Maps keep insertion order, so the first key is the oldest
+    if (!entries.has(key) && entries.size >= maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return value;
+  };
+
+  return {
+    get,
+    set,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear()
+  };
+};
+
+module.exports = createCache;
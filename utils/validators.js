@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { parseBoundingBox, normalizeSearchArea } = require('./geo');
 
 /**
  * Validation result checker middleware
@@ -108,6 +109,791 @@ const createPropertyValidation = [
   validate
 ];
 
+/**
+ * Saved Search Validation Rules
+ */
+const savedSearchValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 60 })
+    .withMessage('Name cannot exceed 60 characters'),
+
+  body('filters.minRent')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum rent must be a positive number'),
+
+  body('filters.maxRent')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum rent must be a positive number'),
+
+  body('filters.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  body('filters.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
+  body('alertsEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('alertsEnabled must be true or false'),
+
+  validate
+];
+
+/**
+ * Saved Search Update Validation Rules (same fields as create, all optional)
+ */
+const updateSavedSearchValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name cannot be empty')
+    .isLength({ max: 60 })
+    .withMessage('Name cannot exceed 60 characters'),
+
+  body('filters.minRent')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum rent must be a positive number'),
+
+  body('filters.maxRent')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum rent must be a positive number'),
+
+  body('filters.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  body('filters.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
+  body('alertsEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('alertsEnabled must be true or false'),
+
+  validate
+];
+
+/**
+ * Saved Search Alerts Query Validation Rules
+ */
+const searchAlertsValidation = [
+  query('savedSearch')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid saved search ID'),
+
+  validate
+];
+
+/**
+ * Listing Rejection Validation Rules
+ */
+const rejectPropertyValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Rejection reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Rejection reason cannot exceed 500 characters'),
+
+  validate
+];
+
+/**
+ * Admin: User Status Validation Rules
+ */
+const userStatusValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  validate
+];
+
+/**
+ * Admin: Verification Validation Rules (users and properties)
+ */
+const verificationValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('isVerified')
+    .isBoolean()
+    .withMessage('isVerified must be true or false')
+    .toBoolean(),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  validate
+];
+
+/**
+ * Admin: User Role Validation Rules
+ */
+const userRoleValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('role')
+    .isIn(['tenant', 'owner', 'admin', 'moderator'])
+    .withMessage('Role must be tenant, owner, admin or moderator'),
+
+  validate
+];
+
+/**
+ * Admin: Unlist/Relist Validation Rules
+ */
+const listingActionValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  validate
+];
+
+/**
+ * Promotion Order Validation Rules
+ */
+const promotionOrderValidation = [
+  body('propertyId')
+    .isMongoId()
+    .withMessage('Valid property ID is required'),
+
+  body('packageCode')
+    .trim()
+    .notEmpty()
+    .withMessage('Package code is required'),
+
+  body('gateway')
+    .trim()
+    .notEmpty()
+    .withMessage('Payment gateway is required'),
+
+  body('returnUrl')
+    .optional()
+    .isURL({ require_tld: false, require_protocol: true })
+    .withMessage('returnUrl must be a valid URL'),
+
+  body('failureUrl')
+    .optional()
+    .isURL({ require_tld: false, require_protocol: true })
+    .withMessage('failureUrl must be a valid URL'),
+
+  validate
+];
+
+/**
+ * Review Validation Rules
+ */
+const createReviewValidation = [
+  body('ownerId')
+    .isMongoId()
+    .withMessage('Valid owner ID is required'),
+
+  body('propertyId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid property ID'),
+
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5')
+    .toInt(),
+
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Review cannot exceed 1000 characters'),
+
+  validate
+];
+
+const updateReviewValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5')
+    .toInt(),
+
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Review cannot exceed 1000 characters'),
+
+  validate
+];
+
+const reviewReplyValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('text')
+    .trim()
+    .notEmpty()
+    .withMessage('Reply text is required')
+    .isLength({ max: 1000 })
+    .withMessage('Reply cannot exceed 1000 characters'),
+
+  validate
+];
+
+const reportReviewValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('reason')
+    .isIn(['spam', 'offensive', 'fake', 'personal_info', 'other'])
+    .withMessage('Reason must be spam, offensive, fake, personal_info or other'),
+
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Details cannot exceed 500 characters'),
+
+  validate
+];
+
+/**
+ * Admin: Review Status Validation Rules
+ */
+const reviewStatusValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('status')
+    .isIn(['published', 'hidden'])
+    .withMessage('Status must be published or hidden'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  validate
+];
+
+/**
+ * Abuse Report Validation Rules (listings and users)
+ */
+const reportValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('reason')
+    .isIn(['scam', 'fake_listing', 'wrong_information', 'already_rented', 'duplicate', 'offensive', 'harassment', 'spam', 'other'])
+    .withMessage('Please select a valid reason'),
+
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details cannot exceed 1000 characters'),
+
+  validate
+];
+
+/**
+ * Admin: Report Resolution Validation Rules
+ */
+const resolveReportValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('status')
+    .isIn(['reviewing', 'action_taken', 'dismissed'])
+    .withMessage('Status must be reviewing, action_taken or dismissed'),
+
+  body('resolution')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Resolution cannot exceed 500 characters'),
+
+  validate
+];
+
+/**
+ * Viewing slots validation
+ */
+const viewingSlotsValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('slots')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Please provide between 1 and 50 slots'),
+
+  body('slots.*.startsAt')
+    .isISO8601()
+    .withMessage('Each slot needs a valid startsAt date'),
+
+  body('slots.*.endsAt')
+    .isISO8601()
+    .withMessage('Each slot needs a valid endsAt date'),
+
+  validate
+];
+
+/**
+ * Book viewing validation
+ */
+const bookViewingValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
+  validate
+];
+
+/**
+ * Reschedule viewing validation
+ */
+const rescheduleViewingValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('slotId')
+    .isMongoId()
+    .withMessage('Please select a valid slot'),
+
+  validate
+];
+
+/**
+ * Cancel viewing validation
+ */
+const cancelViewingValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  validate
+];
+
+/**
+ * Rental application validation
+ */
+const applicationValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('moveInDate')
+    .isISO8601()
+    .withMessage('Please provide a valid move-in date'),
+
+  body('occupants')
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Occupants must be between 1 and 20'),
+
+  body('occupation')
+    .trim()
+    .notEmpty()
+    .withMessage('Please provide your occupation')
+    .isLength({ max: 100 })
+    .withMessage('Occupation cannot exceed 100 characters'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot exceed 1000 characters'),
+
+  validate
+];
+
+/**
+ * Application status validation (owner decision)
+ */
+const applicationStatusValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('status')
+    .isIn(['shortlisted', 'accepted', 'declined'])
+    .withMessage('Status must be shortlisted, accepted or declined'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  validate
+];
+
+/**
+ * Property status validation (tenancy terms apply when marking rented)
+ */
+const propertyStatusValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('status')
+    .isIn(['available', 'rented'])
+    .withMessage('Please provide a valid status (available or rented)'),
+
+  body('tenantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid tenant ID'),
+
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end date'),
+
+  body('rent')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Rent must be a positive number'),
+
+  body('securityDeposit')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Security deposit must be a positive number'),
+
+  validate
+];
+
+/**
+ * Rent payment validation
+ */
+const rentPaymentValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('amount')
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be at least 1'),
+
+  body('method')
+    .isIn(['cash', 'bank', 'wallet'])
+    .withMessage('Payment method must be cash, bank or wallet'),
+
+  body('paidAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid payment date'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
+  validate
+];
+
+/**
+ * Utility amounts validation
+ */
+const utilityAmountsValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('electricity')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Electricity amount must be a positive number'),
+
+  body('water')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Water amount must be a positive number'),
+
+  validate
+];
+
+/**
+ * Maintenance ticket validation
+ * (runs after the upload middleware, so fields come from multipart form data)
+ */
+const maintenanceTicketValidation = [
+  body('category')
+    .isIn(['plumbing', 'electrical', 'appliance', 'structural', 'pest_control', 'internet', 'cleaning', 'other'])
+    .withMessage('Please select a valid category'),
+
+  body('description')
+    .trim()
+    .notEmpty()
+    .withMessage('Please describe the problem')
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+
+  body('urgency')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'emergency'])
+    .withMessage('Urgency must be low, medium, high or emergency'),
+
+  validate
+];
+
+/**
+ * Maintenance status validation
+ */
+const maintenanceStatusValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('status')
+    .isIn(['in_progress', 'resolved'])
+    .withMessage('Status must be in_progress or resolved'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
+  validate
+];
+
+/**
+ * Maintenance comment validation
+ */
+const maintenanceCommentValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment cannot be empty')
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters'),
+
+  validate
+];
+
+/**
+ * Single listing image validation
+ */
+const imageUrlValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('url')
+    .isString()
+    .notEmpty()
+    .withMessage('Please provide the image URL'),
+
+  validate
+];
+
+/**
+ * Listing image order validation
+ */
+const imageOrderValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+
+  body('images')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Please provide the images in their new order'),
+
+  body('images.*')
+    .isString()
+    .withMessage('Each image must be a URL'),
+
+  validate
+];
+
+/**
+ * Map Search Validation (viewport + zoom)
+ */
+const mapSearchValidation = [
+  query('bbox')
+    .custom(value => {
+      if (!parseBoundingBox(value)) {
+        throw new Error('bbox must be minLng,minLat,maxLng,maxLat with min below max');
+      }
+      return true;
+    }),
+
+  query('zoom')
+    .notEmpty()
+    .withMessage('zoom is required')
+    .isInt({ min: 0, max: 22 })
+    .withMessage('zoom must be between 0 and 22'),
+
+  validate
+];
+
+/**
+ * Area Search Validation (drawn GeoJSON shape + listing filters)
+ */
+const areaSearchValidation = [
+  body('shape')
+    .custom(value => {
+      const { error } = normalizeSearchArea(value);
+      if (error) throw new Error(error);
+      return true;
+    })
+    .customSanitizer(value => normalizeSearchArea(value).geometry),
+
+  body('minRent')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('minRent must be a positive number'),
+
+  body('maxRent')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('maxRent must be a positive number'),
+
+  body('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be at least 1'),
+
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100'),
+
+  validate
+];
+
+/**
+ * Location autocomplete Validation
+ */
+const locationAutocompleteValidation = [
+  query('q')
+    .trim()
+    .notEmpty()
+    .withMessage('q is required')
+    .isLength({ max: 100 })
+    .withMessage('q cannot exceed 100 characters'),
+
+  query('type')
+    .optional()
+    .custom(value => {
+      const types = String(value).split(',').map(type => type.trim());
+      if (!types.every(type => ['province', 'district', 'municipality', 'ward', 'area'].includes(type))) {
+        throw new Error('type must be province, district, municipality, ward or area');
+      }
+      return true;
+    }),
+
+  query('within')
+    .optional()
+    .matches(/^(province|district|municipality|area|ward):[a-z0-9-]+$/)
+    .withMessage('within must be a location ID such as municipality:kathmandu'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 25 })
+    .withMessage('limit must be between 1 and 25'),
+
+  validate
+];
+
+/**
+ * Owner ID param Validation (/:ownerId routes)
+ */
+const ownerIdValidation = [
+  param('ownerId')
+    .isMongoId()
+    .withMessage('Invalid owner ID format'),
+
+  validate
+];
+
 /**
  * MongoDB ObjectId Validation
  */
@@ -124,6 +910,40 @@ module.exports = {
   signupValidation,
   signinValidation,
   createPropertyValidation,
+  savedSearchValidation,
+  updateSavedSearchValidation,
+  searchAlertsValidation,
+  rejectPropertyValidation,
+  userStatusValidation,
+  verificationValidation,
+  userRoleValidation,
+  listingActionValidation,
+  promotionOrderValidation,
+  createReviewValidation,
+  updateReviewValidation,
+  reviewReplyValidation,
+  reportReviewValidation,
+  ownerIdValidation,
+  reviewStatusValidation,
+  reportValidation,
+  resolveReportValidation,
+  viewingSlotsValidation,
+  bookViewingValidation,
+  rescheduleViewingValidation,
+  cancelViewingValidation,
+  applicationValidation,
+  applicationStatusValidation,
+  propertyStatusValidation,
+  rentPaymentValidation,
+  utilityAmountsValidation,
+  maintenanceTicketValidation,
+  maintenanceStatusValidation,
+  maintenanceCommentValidation,
+  imageUrlValidation,
+  imageOrderValidation,
+  mapSearchValidation,
+  areaSearchValidation,
+  locationAutocompleteValidation,
   objectIdValidation
 };
 